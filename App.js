@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, DefaultTheme, DarkTheme } from '@react-navigation/native';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
@@ -8,13 +8,21 @@ import { AuthProvider, useAuth } from './GQCarsDriverApp/contexts/AuthContext';
 import AuthStack from './GQCarsDriverApp/navigation/AuthStack';
 import TabNavigator from './GQCarsDriverApp/navigation/TabNavigator';
 import DocumentVerificationScreen from './GQCarsDriverApp/screens/auth/DocumentVerificationScreen';
-import { colors, spacing, typography } from './GQCarsDriverApp/shared/theme';
+import {
+  spacing,
+  typography,
+  ThemeProvider,
+  useTheme,
+  useThemedStyles
+} from './GQCarsDriverApp/shared/theme';
 
 // Initialize Firebase with real credentials - NOW ACTIVE!
 import './firebase/config';
 
 // Main App Component with Authentication Logic
 const AppContent = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const { 
     isAuthenticated, 
     isLoading, 
@@ -58,8 +66,34 @@ const AppContent = () => {
   return <TabNavigator />;
 };
 
-// Root App Component
-export default function App() {
+// Navigation colors follow the active palette
+const ThemedNavigation = () => {
+  const { colors, isDark } = useTheme();
+  const baseTheme = isDark ? DarkTheme : DefaultTheme;
+  const navigationTheme = {
+    ...baseTheme,
+    colors: {
+      ...baseTheme.colors,
+      primary: colors.primary,
+      background: colors.background,
+      card: colors.surface,
+      text: colors.text.primary,
+      border: colors.border
+    }
+  };
+
+  return (
+    <NavigationContainer theme={navigationTheme}>
+      <StatusBar style={isDark ? 'light' : 'dark'} />
+      <AppContent />
+    </NavigationContainer>
+  );
+};
+
+// App setup, with its loading and error screens in the driver's theme
+const AppInitializer = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [firebaseInitialized, setFirebaseInitialized] = useState(false);
   const [initializationError, setInitializationError] = useState(null);
 
@@ -77,51 +111,60 @@ export default function App() {
 
   if (initializationError) {
     return (
-      <SafeAreaProvider>
-        <View style={styles.errorContainer}>
-          <View style={styles.errorIcon}>
-            <Ionicons name="alert-circle-outline" size={64} color={colors.danger} />
-          </View>
-          <Text style={styles.errorTitle}>Initialization Error</Text>
-          <Text style={styles.errorMessage}>
-            Failed to initialize the app: {initializationError}
-          </Text>
-          <Text style={styles.errorSubtext}>
-            Please check your network connection and Firebase configuration.
-          </Text>
+      <View style={styles.errorContainer}>
+        <View style={styles.errorIcon}>
+          <Ionicons name="alert-circle-outline" size={64} color={colors.danger} />
         </View>
-      </SafeAreaProvider>
+        <Text style={styles.errorTitle}>Initialization Error</Text>
+        <Text style={styles.errorMessage}>
+          Failed to initialize the app: {initializationError}
+        </Text>
+        <Text style={styles.errorSubtext}>
+          Please check your network connection and Firebase configuration.
+        </Text>
+      </View>
     );
   }
 
   if (!firebaseInitialized) {
     return (
-      <SafeAreaProvider>
-        <View style={styles.loadingContainer}>
-          <View style={styles.logoContainer}>
-            <Ionicons name="car-outline" size={48} color={colors.primary} />
-            <Text style={styles.logoText}>GQCars</Text>
-          </View>
-          <ActivityIndicator size="large" color={colors.primary} style={styles.loadingSpinner} />
-          <Text style={styles.loadingText}>Initializing GQCars Driver...</Text>
+      <View style={styles.loadingContainer}>
+        <View style={styles.logoContainer}>
+          <Ionicons name="car-outline" size={48} color={colors.primary} />
+          <Text style={styles.logoText}>GQCars</Text>
         </View>
-      </SafeAreaProvider>
+        <ActivityIndicator size="large" color={colors.primary} style={styles.loadingSpinner} />
+        <Text style={styles.loadingText}>Initializing GQCars Driver...</Text>
+      </View>
     );
   }
 
+  return <ThemedNavigation />;
+};
+
+// Theme from the driver's appearance settings (device cache until signed in)
+const ThemedApp = () => {
+  const { settings } = useAuth();
+
+  return (
+    <ThemeProvider settings={settings}>
+      <AppInitializer />
+    </ThemeProvider>
+  );
+};
+
+// Root App Component
+export default function App() {
   return (
     <SafeAreaProvider>
       <AuthProvider>
-        <NavigationContainer>
-          <StatusBar style="auto" />
-          <AppContent />
-        </NavigationContainer>
+        <ThemedApp />
       </AuthProvider>
     </SafeAreaProvider>
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
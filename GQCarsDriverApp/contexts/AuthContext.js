@@ -1,10 +1,12 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import AuthService from '../services/authService';
+import AuthService, { DEFAULT_SETTINGS } from '../services/authService';
+import payoutScheduler from '../services/payoutScheduler';
 
 // Initial state
 const initialState = {
   user: null,
   driverProfile: null,
+  settings: DEFAULT_SETTINGS,
   isAuthenticated: false,
   isLoading: true,
   error: null,
@@ -20,7 +22,8 @@ const AUTH_ACTIONS = {
   CLEAR_ERROR: 'CLEAR_ERROR',
   SIGN_OUT: 'SIGN_OUT',
   UPDATE_PROFILE: 'UPDATE_PROFILE',
-  SET_AUTH_LISTENER: 'SET_AUTH_LISTENER'
+  SET_AUTH_LISTENER: 'SET_AUTH_LISTENER',
+  SET_SETTINGS: 'SET_SETTINGS'
 };
 
 // Reducer function
@@ -84,6 +87,12 @@ function authReducer(state, action) {
         authListenerSetup: action.payload
       };
 
+    case AUTH_ACTIONS.SET_SETTINGS:
+      return {
+        ...state,
+        settings: action.payload
+      };
+
     default:
       return state;
   }
@@ -141,6 +150,22 @@ export function AuthProvider({ children }) {
     };
   }, [state.authListenerSetup]);
 
+  // Send weekly payouts while a driver is signed in, whichever screen is open
+  const driverId = state.driverProfile ? state.user?.uid : null;
+  useEffect(() => {
+    if (!driverId) return;
+
+    payoutScheduler.start(driverId);
+    return () => payoutScheduler.stop();
+  }, [driverId]);
+
+  // Mirror the settings the services use, including the device cache loaded at startup
+  useEffect(() => {
+    return AuthService.onSettingsChange((settings) => {
+      dispatch({ type: AUTH_ACTIONS.SET_SETTINGS, payload: settings });
+    });
+  }, []);
+
   // Auth functions
   const authFunctions = {
     // Sign in function
@@ -226,6 +251,20 @@ export function AuthProvider({ children }) {
       }
     },
 
+    // Update app settings (synced to the driver profile and the device)
+    updateSettings: async (changes) => {
+      try {
+        const settings = await AuthService.updateSettings(changes);
+        dispatch({ type: AUTH_ACTIONS.UPDATE_PROFILE, payload: { settings } });
+
+        return { success: true };
+      } catch (error) {
+        console.error('Settings update error:', error);
+        dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: error.message });
+        throw error;
+      }
+    },
+
     // Update driver status (online/offline)
     updateDriverStatus: async (isOnline) => {
       try {
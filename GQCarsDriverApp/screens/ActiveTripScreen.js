@@ -10,48 +10,147 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { Card, Button, StatusBadge } from '../shared/components/ui';
 import { NavigationMap } from '../shared/components/Map';
-import { colors, spacing, typography } from '../shared/theme';
-import locationService from '../services/locationService';
+import { spacing, typography, useTheme, useThemedStyles } from '../shared/theme';
+import { activeTripService, driverService, locationService, offlineActionQueue } from '../services';
+import { TRIP_STATUS } from '../services/tripStateMachine';
+import { useAuth } from '../contexts/AuthContext';
 
-const ActiveTripScreen = () => {
-  const [activeTrip, setActiveTrip] = useState({
-    id: 'trip_123',
-    passengerName: 'John Smith',
-    passengerPhone: '+1 (555) 123-4567',
-    pickup: {
-      address: '123 Main St, Downtown',
-      latitude: 40.7128,
-      longitude: -74.0060,
-    },
-    destination: {
-      address: 'Airport Terminal 1',
-      latitude: 40.6413,
-      longitude: -73.7781,
-    },
-    distance: '12.5 mi',
-    estimatedEarnings: 18.50,
-    estimatedTime: '25 min',
-    rating: 4.9,
-    status: 'en_route_to_pickup', // en_route_to_pickup, arrived_at_pickup, passenger_onboard, arrived_at_destination
-    startTime: new Date(),
-    pickupETA: '8 min'
-  });
+// Display details for each in-progress trip status
+const STATUS_INFO = {
+  assigned: {
+    title: 'Trip Assigned',
+    description: 'Head to the pickup location when ready',
+    color: 'busy'
+  },
+  en_route_pickup: {
+    title: 'Driving to Pickup',
+    description: 'Navigate to passenger location',
+    color: 'busy'
+  },
+  arrived_pickup: {
+    title: 'Arrived at Pickup',
+    description: 'Waiting for passenger',
+    color: 'online'
+  },
+  passenger_onboard: {
+    title: 'Passenger Onboard',
+    description: 'Start the trip when ready to leave',
+    color: 'earning'
+  },
+  en_route_dropoff: {
+    title: 'Trip in Progress',
+    description: 'Passenger onboard - Navigate to destination',
+    color: 'earning'
+  },
+  // Only shown while the final action is queued offline
+  completed: {
+    title: 'Trip Completed',
+    description: 'Earnings will be recorded once you are back online',
+    color: 'online'
+  },
+  cancelled: {
+    title: 'Trip Cancelled',
+    description: 'Cancellation will be sent once you are back online',
+    color: 'offline'
+  },
+  no_show: {
+    title: 'Passenger No-Show',
+    description: 'No-show will be sent once you are back online',
+    color: 'offline'
+  }
+};
 
+// Button labels for moving the trip to each status
+const ACTION_LABELS = {
+  [TRIP_STATUS.EN_ROUTE_PICKUP]: 'Start Driving to Pickup',
+  [TRIP_STATUS.ARRIVED_PICKUP]: 'Arrived at Pickup',
+  [TRIP_STATUS.PASSENGER_ONBOARD]: 'Passenger Onboard',
+  [TRIP_STATUS.EN_ROUTE_DROPOFF]: 'Start Trip',
+  [TRIP_STATUS.COMPLETED]: 'Complete Trip'
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// Format elapsed milliseconds as HH:MM:SS
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+};
+
+const ActiveTripScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { user } = useAuth();
+  const [serverTrip, setServerTrip] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
   const [driverLocation, setDriverLocation] = useState(null);
-  const [tripTimer, setTripTimer] = useState('00:15:32');
+  const [tripTimer, setTripTimer] = useState('00:00:00');
+  const [syncStatus, setSyncStatus] = useState(offlineActionQueue.getStatus());
+  
+  // Server state with any actions still waiting to sync applied on top
+  const activeTrip = activeTripService.applyPendingActions(serverTrip);
   
-  // Initialize location tracking when component mounts
+  // Subscribe to the signed-in driver's current trip
   useEffect(() => {
+    if (!user) return;
+    
+    const unsubscribe = activeTripService.subscribeToDriverTrip(user.uid, (trip, error) => {
+      if (error) {
+        console.error('Error loading active trip:', error);
+      }
+      setServerTrip(trip);
+      setLoading(false);
+    });
+    
+    return () => unsubscribe();
+  }, [user]);
+  
+  // Follow the offline action queue for the pending sync indicator
+  useEffect(() => {
+    const unsubscribe = offlineActionQueue.subscribe(setSyncStatus);
+    return () => unsubscribe();
+  }, []);
+  
+  // Tell the driver about queued actions the server rejected on replay
+  useEffect(() => {
+    if (syncStatus.conflicts.length === 0) return;
+    
+    const reasons = syncStatus.conflicts.map(conflict => conflict.reason).join('\n');
+    offlineActionQueue.clearConflicts();
+    Alert.alert(
+      'Trip Updated Elsewhere',
+      `Some actions made offline could not be applied because the trip changed:\n${reasons}`
+    );
+  }, [syncStatus.conflicts.length]);
+  
+  // Track location only while there is a trip in progress
+  useEffect(() => {
+    if (!user || !activeTrip?.id) return;
+    
     initializeLocationTracking();
     
     return () => {
-      // Cleanup location tracking when component unmounts
+      // Cleanup location tracking when the trip ends or the screen unmounts
+      activeTripService.stopBreadcrumbs();
       locationService.stopTracking();
     };
-  }, []);
+  }, [user, activeTrip?.id]);
+  
+  // Record the trip's GPS trail; the status picks the pickup or paid leg
+  useEffect(() => {
+    if (activeTrip?.id) {
+      activeTripService.startBreadcrumbs(activeTrip);
+    }
+  }, [activeTrip?.id, activeTrip?.status]);
 
   // Update driver location periodically
   useEffect(() => {
+    if (!activeTrip?.id) return;
+    
     const locationInterval = setInterval(async () => {
       try {
         const currentLocation = locationService.getCurrentTrackedLocation();
@@ -68,15 +167,25 @@ const ActiveTripScreen = () => {
     }, 5000); // Update every 5 seconds
 
     return () => clearInterval(locationInterval);
-  }, []);
+  }, [activeTrip?.id]);
+  
+  // Tick the trip timer from the trip's start time
+  useEffect(() => {
+    if (!activeTrip?.startTime) return;
+    
+    const startTime = toDate(activeTrip.startTime);
+    const updateTimer = () => setTripTimer(formatElapsed(Date.now() - startTime.getTime()));
+    updateTimer();
+    
+    const timerInterval = setInterval(updateTimer, 1000);
+    return () => clearInterval(timerInterval);
+  }, [activeTrip?.startTime]);
 
   // Initialize location tracking
   const initializeLocationTracking = async () => {
     try {
       await locationService.initialize();
-      if (activeTrip) {
-        await locationService.startTracking('driver_123'); // In production, use actual driver ID
-      }
+      await locationService.startTracking(user.uid);
       
       // Get initial location
       const initialLocation = await locationService.getCurrentLocation();
@@ -94,59 +203,36 @@ const ActiveTripScreen = () => {
   };
 
   const getStatusInfo = () => {
-    switch (activeTrip?.status) {
-      case 'en_route_to_pickup':
-        return {
-          title: 'Driving to Pickup',
-          description: 'Navigate to passenger location',
-          color: 'busy',
-          action: 'Arrived at Pickup'
-        };
-      case 'arrived_at_pickup':
-        return {
-          title: 'Arrived at Pickup',
-          description: 'Waiting for passenger',
-          color: 'online',
-          action: 'Start Trip'
-        };
-      case 'passenger_onboard':
-        return {
-          title: 'Trip in Progress',
-          description: 'Passenger onboard - Navigate to destination',
-          color: 'earning',
-          action: 'Complete Trip'
-        };
-      case 'arrived_at_destination':
-        return {
-          title: 'Arrived at Destination',
-          description: 'Trip completed',
-          color: 'online',
-          action: 'End Trip'
-        };
-      default:
-        return {
-          title: 'No Active Trip',
-          description: 'Accept a ride request to start',
-          color: 'offline',
-          action: null
-        };
-    }
+    return STATUS_INFO[activeTrip?.status] || {
+      title: 'No Active Trip',
+      description: 'Accept a ride request to start',
+      color: 'offline'
+    };
+  };
+
+  // Forward progress action allowed by the trip state machine, if any
+  const getNextStatus = () => {
+    return activeTripService
+      .getAllowedActions(activeTrip)
+      .find(status => ACTION_LABELS[status]) || null;
+  };
+
+  const canMoveTo = (status) => {
+    return activeTripService.getAllowedActions(activeTrip).includes(status);
+  };
+
+  const isHeadingToPickup = () => {
+    return ['assigned', 'en_route_pickup', 'arrived_pickup'].includes(activeTrip?.status);
   };
 
   const callPassenger = () => {
-    if (activeTrip?.passengerPhone) {
-      Linking.openURL(`tel:${activeTrip.passengerPhone}`);
+    if (activeTrip?.passengerInfo?.phone) {
+      Linking.openURL(`tel:${activeTrip.passengerInfo.phone}`);
     }
   };
 
   const openNavigation = () => {
-    const destination = activeTrip?.status === 'passenger_onboard' 
-      ? activeTrip.destination 
-      : activeTrip.pickup;
-    
-    const destinationName = activeTrip?.status === 'passenger_onboard' 
-      ? 'destination' 
-      : 'pickup location';
+    const destinationName = isHeadingToPickup() ? 'pickup location' : 'destination';
     
     Alert.alert(
       'Open Navigation',
@@ -158,39 +244,51 @@ const ActiveTripScreen = () => {
     );
   };
 
-  const updateTripStatus = () => {
-    const currentStatus = activeTrip?.status;
-    let newStatus;
+  const completeTrip = async () => {
+    try {
+      setUpdating(true);
+      
+      // Distance and duration come from the trip's recorded GPS breadcrumbs
+      const completedTrip = await activeTripService.completeTrip(activeTrip.id, driverLocation);
+      
+      if (completedTrip) {
+        Alert.alert('Trip Completed', 'Great job! Your earnings have been updated.');
+      } else {
+        Alert.alert('Trip Completed Offline', 'Your earnings will be updated once you are back online.');
+      }
+    } catch (error) {
+      console.error('Error completing trip:', error);
+      Alert.alert('Error', 'Failed to complete trip. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const updateTripStatus = async () => {
+    const nextStatus = getNextStatus();
+    if (!nextStatus || updating) return;
     
-    switch (currentStatus) {
-      case 'en_route_to_pickup':
-        newStatus = 'arrived_at_pickup';
-        break;
-      case 'arrived_at_pickup':
-        newStatus = 'passenger_onboard';
-        break;
-      case 'passenger_onboard':
-        newStatus = 'arrived_at_destination';
-        break;
-      case 'arrived_at_destination':
-        Alert.alert(
-          'Complete Trip',
-          'Mark this trip as completed?',
-          [
-            { text: 'Cancel', style: 'cancel' },
-            { 
-              text: 'Complete', 
-              onPress: () => {
-                setActiveTrip(null);
-                Alert.alert('Trip Completed', 'Great job! Your earnings have been updated.');
-              }
-            }
-          ]
-        );
-        return;
+    if (nextStatus === TRIP_STATUS.COMPLETED) {
+      Alert.alert(
+        'Complete Trip',
+        'Mark this trip as completed?',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Complete', onPress: completeTrip }
+        ]
+      );
+      return;
     }
     
-    setActiveTrip({ ...activeTrip, status: newStatus });
+    try {
+      setUpdating(true);
+      await activeTripService.updateTripStatus(activeTrip.id, nextStatus, {}, driverLocation);
+    } catch (error) {
+      console.error('Error updating trip status:', error);
+      Alert.alert('Error', 'Failed to update trip status. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
   };
 
   const cancelTrip = () => {
@@ -202,15 +300,64 @@ const ActiveTripScreen = () => {
         { 
           text: 'Yes, Cancel Trip', 
           style: 'destructive',
-          onPress: () => {
-            setActiveTrip(null);
-            Alert.alert('Trip Cancelled', 'Trip has been cancelled.');
+          onPress: async () => {
+            try {
+              setUpdating(true);
+              await activeTripService.cancelTrip(activeTrip.id, 'Cancelled by driver', 'driver', driverLocation);
+              
+              // Driver is available for new requests again
+              await driverService.updateDriverStatus(user.uid, 'online');
+              Alert.alert('Trip Cancelled', 'Trip has been cancelled.');
+            } catch (error) {
+              console.error('Error cancelling trip:', error);
+              Alert.alert('Error', 'Failed to cancel trip. Please try again.');
+            } finally {
+              setUpdating(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const markNoShow = () => {
+    Alert.alert(
+      'Passenger No-Show',
+      'Close this trip because the passenger did not show up?',
+      [
+        { text: 'Keep Waiting', style: 'cancel' },
+        { 
+          text: 'Mark No-Show', 
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setUpdating(true);
+              await activeTripService.markNoShow(activeTrip.id, driverLocation);
+              
+              // Driver is available for new requests again
+              await driverService.updateDriverStatus(user.uid, 'online');
+            } catch (error) {
+              console.error('Error marking no-show:', error);
+              Alert.alert('Error', 'Failed to mark passenger as no-show. Please try again.');
+            } finally {
+              setUpdating(false);
+            }
           }
         }
       ]
     );
   };
 
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyDescription}>Loading trip...</Text>
+        </View>
+      </View>
+    );
+  }
+
   if (!activeTrip) {
     return (
       <View style={styles.container}>
@@ -226,16 +373,20 @@ const ActiveTripScreen = () => {
   }
 
   const statusInfo = getStatusInfo();
+  const nextStatus = getNextStatus();
+  const passengerInfo = activeTrip.passengerInfo || {};
+  const estimatedEarnings = activeTrip.fareInfo?.driverEarning || activeTrip.fareInfo?.totalFare || 0;
 
   return (
     <View style={styles.container}>
       {/* Navigation Map - Takes up top half of screen */}
       <View style={styles.mapContainer}>
         <NavigationMap
-          pickup={activeTrip.pickup}
-          destination={activeTrip.destination}
+          pickup={activeTrip.pickupLocation}
+          destination={activeTrip.dropoffLocation}
           driverLocation={driverLocation}
           tripStatus={activeTrip.status}
+          actionLabel={nextStatus ? ACTION_LABELS[nextStatus] : null}
           onNavigationPress={openNavigation}
           onStatusUpdate={updateTripStatus}
           style={styles.map}
@@ -257,15 +408,25 @@ const ActiveTripScreen = () => {
             <Text style={styles.tripTimer}>{tripTimer}</Text>
           </View>
           <Text style={styles.statusDescription}>{statusInfo.description}</Text>
+          {syncStatus.pendingCount > 0 && (
+            <View style={styles.pendingSync}>
+              <Ionicons name="cloud-offline-outline" size={16} color={colors.warning} />
+              <Text style={styles.pendingSyncText}>
+                {syncStatus.isSyncing
+                  ? 'Syncing trip updates...'
+                  : `Pending sync: ${syncStatus.pendingCount} update${syncStatus.pendingCount !== 1 ? 's' : ''} will be sent when you are back online`}
+              </Text>
+            </View>
+          )}
         </Card>
 
         <Card style={styles.passengerCard}>
           <View style={styles.passengerHeader}>
             <View style={styles.passengerInfo}>
-              <Text style={styles.passengerName}>{activeTrip.passengerName}</Text>
+              <Text style={styles.passengerName}>{passengerInfo.name}</Text>
               <View style={styles.ratingContainer}>
                 <Ionicons name="star" size={16} color={colors.warning} />
-                <Text style={styles.rating}>{activeTrip.rating}</Text>
+                <Text style={styles.rating}>{passengerInfo.rating}</Text>
               </View>
             </View>
             <Button
@@ -286,10 +447,7 @@ const ActiveTripScreen = () => {
               <Ionicons name="radio-button-on" size={18} color={colors.success} />
               <View style={styles.locationInfo}>
                 <Text style={styles.locationLabel}>Pickup</Text>
-                <Text style={styles.locationText}>{activeTrip.pickup.address}</Text>
-                {activeTrip.status === 'en_route_to_pickup' && (
-                  <Text style={styles.etaText}>ETA: {activeTrip.pickupETA}</Text>
-                )}
+                <Text style={styles.locationText}>{activeTrip.pickupLocation?.address}</Text>
               </View>
             </View>
             
@@ -299,7 +457,7 @@ const ActiveTripScreen = () => {
               <Ionicons name="location" size={18} color={colors.danger} />
               <View style={styles.locationInfo}>
                 <Text style={styles.locationLabel}>Destination</Text>
-                <Text style={styles.locationText}>{activeTrip.destination.address}</Text>
+                <Text style={styles.locationText}>{activeTrip.dropoffLocation?.address}</Text>
               </View>
             </View>
           </View>
@@ -307,20 +465,43 @@ const ActiveTripScreen = () => {
           <View style={styles.tripMeta}>
             <View style={styles.metaItem}>
               <Ionicons name="car" size={16} color={colors.text.secondary} />
-              <Text style={styles.metaText}>{activeTrip.distance}</Text>
+              <Text style={styles.metaText}>{(activeTrip.route?.distance || 0).toFixed(1)} km</Text>
             </View>
             <View style={styles.metaItem}>
               <Ionicons name="time" size={16} color={colors.text.secondary} />
-              <Text style={styles.metaText}>{activeTrip.estimatedTime}</Text>
+              <Text style={styles.metaText}>{Math.round(activeTrip.route?.duration || 0)} min</Text>
             </View>
             <View style={styles.metaItem}>
               <Ionicons name="wallet" size={16} color={colors.driver.earnings} />
               <Text style={[styles.metaText, styles.earningsText]}>
-                ${activeTrip.estimatedEarnings.toFixed(2)}
+                ${estimatedEarnings.toFixed(2)}
               </Text>
             </View>
           </View>
         </Card>
+
+        <View style={styles.actionContainer}>
+          {canMoveTo(TRIP_STATUS.NO_SHOW) && (
+            <Button
+              title="Passenger No-Show"
+              variant="secondary"
+              size="medium"
+              onPress={markNoShow}
+              disabled={updating}
+              style={styles.actionButton}
+            />
+          )}
+          {canMoveTo(TRIP_STATUS.CANCELLED) && (
+            <Button
+              title="Cancel Trip"
+              variant="danger"
+              size="medium"
+              onPress={cancelTrip}
+              disabled={updating}
+              style={styles.cancelButton}
+            />
+          )}
+        </View>
         
         {/* Additional bottom spacing for scroll */}
         <View style={styles.bottomSpacer} />
@@ -329,7 +510,7 @@ const ActiveTripScreen = () => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -375,6 +556,19 @@ const styles = StyleSheet.create({
     color: colors.text.secondary,
   },
   
+  pendingSync: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  
+  pendingSyncText: {
+    flex: 1,
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginLeft: spacing.xs,
+  },
+  
   passengerCard: {
     marginBottom: spacing.md,
   },
@@ -4,25 +4,82 @@ import {
   Text, 
   StyleSheet, 
   ScrollView,
-  TouchableOpacity 
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert 
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { Card, Button } from '../shared/components/ui';
-import { colors, spacing, typography } from '../shared/theme';
-import { earningsService, authService } from '../services';
+import { Card, Button, ProgressBar } from '../shared/components/ui';
+import { spacing, typography, useTheme, useThemedStyles } from '../shared/theme';
+import {
+  earningsService,
+  earningsGoalService,
+  earningsAnalyticsService,
+  statementService,
+  ledgerService,
+  authService,
+  payoutScheduler
+} from '../services';
+import { EarningsHeatmap } from '../shared/components/Map';
 import { AuthContext } from '../contexts/AuthContext';
+import {
+  getDriverTimeZone,
+  getDateKey,
+  getZonedParts,
+  startOfDay,
+  endOfDay,
+  startOfWeek,
+  formatTimeOfDay
+} from '../services/timeZoneUtils';
+import { STATEMENT_PERIODS, getStatementPeriod } from '../services/earningsStatement';
+import { SETTLEMENT_METHOD, SETTLEMENT_STATUS } from '../services/ledgerService';
+import { PAYOUT_TYPE, PAYOUT_STATUS } from '../services/payoutRules';
+import {
+  GOAL_PERIOD,
+  getEarningsGoals,
+  formatGoalValue,
+  describeGoalPace
+} from '../services/earningsGoalService';
+import { WEEKDAY_LABELS, formatHourSlot } from '../services/earningsAnalytics';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
 
 const EarningsScreen = () => {
-  const { user } = useContext(AuthContext);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { user, driverProfile } = useContext(AuthContext);
+  const timeZone = getDriverTimeZone(driverProfile);
   const [selectedPeriod, setSelectedPeriod] = useState('today');
   const [earningsData, setEarningsData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showStatementExport, setShowStatementExport] = useState(false);
+  const [statementPeriod, setStatementPeriod] = useState('last_month');
+  const [statementRange, setStatementRange] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [ledger, setLedger] = useState(null);
+  const [showLedger, setShowLedger] = useState(false);
+  const [settling, setSettling] = useState(false);
+  const [pendingSettlement, setPendingSettlement] = useState(null);
+  const [nextPayout, setNextPayout] = useState(null);
+  const [payouts, setPayouts] = useState([]);
+  const [cashingOut, setCashingOut] = useState(false);
+  const [goalProgress, setGoalProgress] = useState([]);
+  const [analytics, setAnalytics] = useState(null);
+  const earningsGoalsKey = JSON.stringify(getEarningsGoals(driverProfile));
   
   // Initialize earnings data on component mount
   useEffect(() => {
     loadEarningsData();
-  }, [user]);
+    loadPayouts();
+    loadAnalytics();
+  }, [user, timeZone]);
+  
+  // Goals are set from the home screen
+  useEffect(() => {
+    loadGoalProgress();
+  }, [user, timeZone, earningsGoalsKey]);
   
   // Reload data when period changes
   useEffect(() => {
@@ -38,17 +95,17 @@ const EarningsScreen = () => {
       setLoading(true);
       setError(null);
       
-      const today = new Date();
+      const now = new Date();
       let data = {};
       
       if (selectedPeriod === 'today') {
-        const todayData = await loadTodayData(today);
+        const todayData = await loadTodayData(now);
         data = { today: todayData };
       } else if (selectedPeriod === 'week') {
-        const weekData = await loadWeekData(today);
+        const weekData = await loadWeekData(now);
         data = { week: weekData };
       } else if (selectedPeriod === 'month') {
-        const monthData = await loadMonthData(today);
+        const monthData = await loadMonthData(now);
         data = { month: monthData };
       }
       
@@ -62,6 +119,8 @@ const EarningsScreen = () => {
           total: 0,
           trips: 0,
           hours: 0,
+          onlineMinutes: 0,
+          busyMinutes: 0,
           tips: 0,
           breakdown: []
         }
@@ -71,23 +130,24 @@ const EarningsScreen = () => {
     }
   };
   
-  const loadTodayData = async (today) => {
-    today.setHours(0, 0, 0, 0);
-    const dailySummary = await earningsService.getDailySummary(user.uid, today);
+  const loadTodayData = async (now) => {
+    const dailySummary = await earningsService.getDailySummary(user.uid, now, timeZone);
     
     if (dailySummary && dailySummary.summary) {
       // Get today's individual trip earnings for breakdown
-      const todayEnd = new Date(today);
-      todayEnd.setHours(23, 59, 59, 999);
-      const todayEarnings = await earningsService.getEarnings(user.uid, today, todayEnd, 10);
+      const todayStart = startOfDay(now, timeZone);
+      const todayEnd = endOfDay(now, timeZone);
+      const todayEarnings = await earningsService.getEarnings(user.uid, todayStart, todayEnd, 10);
       
       return {
         total: dailySummary.summary.totalEarnings || 0,
         trips: dailySummary.summary.totalTrips || 0,
         hours: Math.round((dailySummary.summary.onlineTime || 0) / 60 * 10) / 10,
+        onlineMinutes: dailySummary.summary.onlineTime || 0,
+        busyMinutes: dailySummary.summary.busyTime || 0,
         tips: dailySummary.summary.tips || 0,
         breakdown: todayEarnings.map(earning => ({
-          time: earning.completedAt?.toDate ? earning.completedAt.toDate().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '',
+          time: earning.completedAt?.toDate ? formatTimeOfDay(earning.completedAt.toDate(), timeZone) : '',
           passenger: 'Passenger', // Anonymized for privacy
           amount: earning.driverEarnings.netEarning || 0,
           tip: earning.fareBreakdown.tips || 0
@@ -95,48 +155,108 @@ const EarningsScreen = () => {
       };
     }
     
-    return { total: 0, trips: 0, hours: 0, tips: 0, breakdown: [] };
+    return { total: 0, trips: 0, hours: 0, onlineMinutes: 0, busyMinutes: 0, tips: 0, breakdown: [] };
   };
   
-  const loadWeekData = async (today) => {
-    const startOfWeek = new Date(today);
-    const day = startOfWeek.getDay();
-    const diff = startOfWeek.getDate() - day;
-    startOfWeek.setDate(diff);
-    startOfWeek.setHours(0, 0, 0, 0);
+  const loadWeekData = async (now) => {
+    const weekStart = startOfWeek(now, timeZone);
     
-    const weekSummary = await earningsService.getWeeklySummary(user.uid, startOfWeek);
+    const weekSummary = await earningsService.getWeeklySummary(user.uid, weekStart, timeZone);
     
     if (weekSummary && weekSummary.weeklyTotal) {
       return {
         total: weekSummary.weeklyTotal.totalEarnings || 0,
         trips: weekSummary.weeklyTotal.totalTrips || 0,
         hours: Math.round((weekSummary.weeklyTotal.onlineTime || 0) / 60 * 10) / 10,
+        onlineMinutes: weekSummary.weeklyTotal.onlineTime || 0,
+        busyMinutes: weekSummary.weeklyTotal.busyTime || 0,
         tips: weekSummary.weeklyTotal.tips || 0,
         breakdown: []
       };
     }
     
-    return { total: 0, trips: 0, hours: 0, tips: 0, breakdown: [] };
+    return { total: 0, trips: 0, hours: 0, onlineMinutes: 0, busyMinutes: 0, tips: 0, breakdown: [] };
   };
   
-  const loadMonthData = async (today) => {
-    const monthSummary = await earningsService.getMonthlySummary(user.uid, today.getFullYear(), today.getMonth());
+  const loadMonthData = async (now) => {
+    const { year, month } = getZonedParts(now, timeZone);
+    const monthSummary = await earningsService.getMonthlySummary(user.uid, year, month - 1, timeZone);
     
     if (monthSummary && monthSummary.monthlyTotal) {
       return {
         total: monthSummary.monthlyTotal.totalEarnings || 0,
         trips: monthSummary.monthlyTotal.totalTrips || 0,
         hours: Math.round((monthSummary.monthlyTotal.onlineTime || 0) / 60 * 10) / 10,
+        onlineMinutes: monthSummary.monthlyTotal.onlineTime || 0,
+        busyMinutes: monthSummary.monthlyTotal.busyTime || 0,
         tips: monthSummary.monthlyTotal.tips || 0,
         breakdown: []
       };
     }
     
-    return { total: 0, trips: 0, hours: 0, tips: 0, breakdown: [] };
+    return { total: 0, trips: 0, hours: 0, onlineMinutes: 0, busyMinutes: 0, tips: 0, breakdown: [] };
+  };
+
+  // Today's and this week's progress towards the driver's goals
+  const loadGoalProgress = async () => {
+    if (!user) return;
+    
+    try {
+      setGoalProgress(await earningsGoalService.getProgress(user.uid, driverProfile));
+    } catch (error) {
+      console.error('Error loading goal progress:', error);
+    }
+  };
+
+  // Best hours, days, zones and ride types over recent weeks
+  const loadAnalytics = async () => {
+    if (!user) return;
+    
+    try {
+      setAnalytics(await earningsAnalyticsService.getAnalytics(user.uid));
+    } catch (error) {
+      console.error('Error loading earnings analytics:', error);
+    }
+  };
+
+  // Credit a bank transfer settlement that has arrived, then show the balance and its recent entries
+  const loadLedger = async () => {
+    if (!user) return;
+    
+    try {
+      const pending = await ledgerService.refreshPendingSettlement(user.uid).catch(error => {
+        console.error('Error checking pending settlement:', error);
+        return null;
+      });
+      setPendingSettlement(pending);
+      setLedger(await ledgerService.getLedger(user.uid));
+    } catch (error) {
+      console.error('Error loading ledger:', error);
+    }
+  };
+
+  // Wait for any payout check in progress, then show past and upcoming payouts
+  const loadPayouts = async () => {
+    if (!user) return;
+    
+    try {
+      await payoutScheduler.run();
+      
+      const [upcoming, history] = await Promise.all([
+        earningsService.getNextPayout(user.uid),
+        earningsService.getPayouts(user.uid, 5)
+      ]);
+      setNextPayout(upcoming);
+      setPayouts(history);
+    } catch (error) {
+      console.error('Error loading payouts:', error);
+    }
+    
+    // Payouts move the balance
+    await loadLedger();
   };
 
-  const currentData = earningsData ? earningsData[selectedPeriod] : { total: 0, trips: 0, hours: 0, tips: 0, breakdown: [] };
+  const currentData = earningsData ? earningsData[selectedPeriod] : { total: 0, trips: 0, hours: 0, onlineMinutes: 0, busyMinutes: 0, tips: 0, breakdown: [] };
 
   const periods = [
     { key: 'today', label: 'Today' },
@@ -149,9 +269,159 @@ const EarningsScreen = () => {
     return (currentData.total / currentData.trips).toFixed(2);
   };
 
+  // Uses exact shift minutes rather than the rounded hours shown
   const calculateHourlyRate = () => {
-    if (currentData.hours === 0) return 0;
-    return (currentData.total / currentData.hours).toFixed(2);
+    if (!currentData.onlineMinutes) return 0;
+    return (currentData.total / (currentData.onlineMinutes / 60)).toFixed(2);
+  };
+
+  // Share of online time spent on trips
+  const calculateUtilization = () => {
+    if (!currentData.onlineMinutes) return 0;
+    return Math.round((currentData.busyMinutes || 0) / currentData.onlineMinutes * 100);
+  };
+
+  // Highest rate per online hour, for scaling the charts
+  const getTopRate = (slots) => Math.max(0, ...slots.map(slot => slot.ratePerHour || 0));
+
+  const openStatementExport = () => {
+    selectStatementPeriod(statementPeriod === 'custom' ? 'last_month' : statementPeriod);
+    setShowStatementExport(true);
+  };
+
+  const selectStatementPeriod = (period) => {
+    setStatementPeriod(period);
+    setStatementRange(getStatementPeriod(period, new Date(), timeZone));
+  };
+
+  // Typing a date switches to a custom range
+  const updateStatementRange = (changes) => {
+    setStatementPeriod('custom');
+    setStatementRange(prev => ({ ...prev, ...changes }));
+  };
+
+  const exportStatement = async (format) => {
+    try {
+      setExporting(true);
+      const driverName = driverProfile ? `${driverProfile.firstName} ${driverProfile.lastName}`.trim() : null;
+      const statement = await statementService.getStatement(
+        user.uid,
+        statementRange.startKey,
+        statementRange.endKey,
+        driverName
+      );
+
+      if (format === 'csv') {
+        await statementService.shareCsv(statement);
+      } else {
+        await statementService.sharePdf(statement);
+      }
+      setShowStatementExport(false);
+    } catch (error) {
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const showTransferDetails = (settlement) => {
+    const { accountName, accountNumber, routingNumber } = settlement.bankDetails || {};
+    Alert.alert(
+      'Bank Transfer Details',
+      `Send $${settlement.amount.toFixed(2)} to:\n\n${accountName}\nAccount ${accountNumber}\nRouting ${routingNumber}\n\n` +
+      `Reference: ${settlement.paymentReference}\n\nYour balance is cleared once the transfer arrives.`
+    );
+  };
+
+  const settleUp = () => {
+    const owed = -ledger.balance;
+    const settle = async (method) => {
+      try {
+        setSettling(true);
+        const settlement = await ledgerService.settleUp(user.uid, method);
+        await loadLedger();
+        if (settlement.status === SETTLEMENT_STATUS.PAID) {
+          Alert.alert('Balance Settled', `Your card was charged $${settlement.amount.toFixed(2)} and your balance with GQCars is cleared.`);
+        } else {
+          showTransferDetails(settlement);
+        }
+      } catch (error) {
+        Alert.alert('Settle Up Failed', error.message);
+      } finally {
+        setSettling(false);
+      }
+    };
+
+    Alert.alert(
+      'Settle Up',
+      `Pay the $${owed.toFixed(2)} commission owed on cash trips?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Bank Transfer', onPress: () => settle(SETTLEMENT_METHOD.BANK_TRANSFER) },
+        { text: 'Card on File', onPress: () => settle(SETTLEMENT_METHOD.CARD) }
+      ]
+    );
+  };
+
+  const cashOut = async () => {
+    try {
+      setCashingOut(true);
+      const quote = await earningsService.getInstantCashoutQuote(user.uid);
+      if (quote.amount < quote.minimum) {
+        Alert.alert('Not Enough to Cash Out', `You need at least $${quote.minimum.toFixed(2)} available to cash out instantly.`);
+        setCashingOut(false);
+        return;
+      }
+      
+      Alert.alert(
+        'Cash Out Now',
+        `Cash out $${quote.amount.toFixed(2)}? A $${quote.fee.toFixed(2)} fee applies, so $${quote.netAmount.toFixed(2)} will be sent to your bank account.`,
+        [
+          { text: 'Cancel', style: 'cancel', onPress: () => setCashingOut(false) },
+          {
+            text: 'Cash Out',
+            onPress: async () => {
+              try {
+                const payout = await earningsService.requestInstantCashout(user.uid);
+                // Null when another payout claimed the earnings in the meantime
+                if (payout) {
+                  Alert.alert('Cashout Sent', `$${payout.netAmount.toFixed(2)} is on its way to your bank account.`);
+                } else {
+                  Alert.alert('Nothing to Cash Out', 'Your earnings were already included in another payout.');
+                }
+                await loadPayouts();
+              } catch (error) {
+                Alert.alert('Cashout Failed', error.message);
+              } finally {
+                setCashingOut(false);
+              }
+            }
+          }
+        ],
+        { onDismiss: () => setCashingOut(false) }
+      );
+    } catch (error) {
+      Alert.alert('Cashout Failed', error.message);
+      setCashingOut(false);
+    }
+  };
+
+  const formatPayoutDate = (value) => {
+    const date = value?.toDate ? value.toDate() : new Date(value);
+    return getDateKey(date, timeZone);
+  };
+
+  const getPayoutStatusColor = (status) => {
+    if (status === PAYOUT_STATUS.PAID) return colors.success;
+    if (status === PAYOUT_STATUS.FAILED) return colors.danger;
+    return colors.warning;
+  };
+
+  const formatSignedAmount = (amount) => `${amount < 0 ? '-' : '+'}$${Math.abs(amount).toFixed(2)}`;
+
+  const formatEntryTime = (createdAt) => {
+    const date = createdAt?.toDate ? createdAt.toDate() : new Date(createdAt);
+    return `${getDateKey(date, timeZone)} ${formatTimeOfDay(date, timeZone)}`;
   };
 
   if (loading) {
@@ -231,6 +501,7 @@ const EarningsScreen = () => {
             <Ionicons name="time" size={24} color={colors.success} />
             <Text style={styles.statValue}>{currentData.hours}h</Text>
             <Text style={styles.statLabel}>Hours Online</Text>
+            <Text style={styles.statSubLabel}>{calculateUtilization()}% on trips</Text>
           </View>
         </Card>
 
@@ -251,6 +522,29 @@ const EarningsScreen = () => {
         </Card>
       </View>
 
+      {goalProgress.length > 0 && (
+        <Card style={styles.breakdownCard}>
+          <Text style={styles.breakdownTitle}>Goals</Text>
+          {goalProgress.map(goal => (
+            <View key={goal.period} style={styles.goalRow}>
+              <View style={styles.goalHeader}>
+                <Text style={styles.goalLabel}>
+                  {goal.period === GOAL_PERIOD.WEEKLY ? 'This week' : 'Today'}
+                </Text>
+                <Text style={styles.goalValue}>
+                  {formatGoalValue(goal.metric, goal.current)} / {formatGoalValue(goal.metric, goal.target)}
+                </Text>
+              </View>
+              <ProgressBar
+                progress={goal.progress}
+                color={goal.reached ? colors.success : colors.driver.earnings}
+              />
+              <Text style={styles.goalPace}>{describeGoalPace(goal, timeZone)}</Text>
+            </View>
+          ))}
+        </Card>
+      )}
+
       {selectedPeriod === 'today' && currentData.breakdown.length > 0 && (
         <Card style={styles.breakdownCard}>
           <Text style={styles.breakdownTitle}>Today's Trip History</Text>
@@ -271,22 +565,200 @@ const EarningsScreen = () => {
         </Card>
       )}
 
+      {analytics && analytics.overall.trips > 0 && (
+        <>
+          <Card style={styles.breakdownCard}>
+            <Text style={styles.breakdownTitle}>Best Times to Drive</Text>
+            <Text style={styles.insightSubtitle}>
+              Earnings per online hour over the last {analytics.days} days
+            </Text>
+            <View style={styles.barChart}>
+              {analytics.weekdays.map(day => (
+                <View key={day.weekday} style={styles.barColumn}>
+                  <Text style={styles.barValue}>
+                    {day.ratePerHour !== null ? `$${Math.round(day.ratePerHour)}` : '-'}
+                  </Text>
+                  <View style={styles.barTrack}>
+                    <View style={[
+                      styles.barFill,
+                      { height: `${Math.round((day.ratePerHour || 0) / (getTopRate(analytics.weekdays) || 1) * 100)}%` }
+                    ]} />
+                  </View>
+                  <Text style={styles.barLabel}>{day.label}</Text>
+                </View>
+              ))}
+            </View>
+
+            <View style={styles.heatGrid}>
+              {WEEKDAY_LABELS.map((label, weekday) => (
+                <View key={label} style={styles.heatRow}>
+                  <Text style={styles.heatLabel}>{label}</Text>
+                  {analytics.hourOfWeek.slice(weekday * 24, weekday * 24 + 24).map(slot => (
+                    <View
+                      key={slot.hourOfWeek}
+                      style={[
+                        styles.heatCell,
+                        slot.ratePerHour !== null && {
+                          backgroundColor: colors.driver.earnings,
+                          opacity: 0.15 + 0.85 * slot.ratePerHour / (getTopRate(analytics.hourOfWeek) || 1)
+                        }
+                      ]}
+                    />
+                  ))}
+                </View>
+              ))}
+              <View style={styles.heatRow}>
+                <Text style={styles.heatLabel} />
+                {['00', '06', '12', '18'].map(hour => (
+                  <Text key={hour} style={styles.heatAxisLabel}>{hour}</Text>
+                ))}
+              </View>
+            </View>
+
+            {analytics.bestHours.slice(0, 3).map((slot, index) => (
+              <View key={slot.hourOfWeek} style={styles.tripRow}>
+                <Text style={styles.tripPassenger}>{index + 1}. {formatHourSlot(slot)}</Text>
+                <Text style={styles.tripAmount}>${slot.ratePerHour.toFixed(2)}/h</Text>
+              </View>
+            ))}
+          </Card>
+
+          <Card style={styles.breakdownCard}>
+            <Text style={styles.breakdownTitle}>Best Pickup Zones</Text>
+            <Text style={styles.insightSubtitle}>Darker areas earned you more</Text>
+            <EarningsHeatmap zones={analytics.zones} />
+            {analytics.zones.slice(0, 3).map((zone, index) => (
+              <View key={zone.key} style={styles.tripRow}>
+                <View style={styles.tripInfo}>
+                  <Text style={styles.tripPassenger}>Zone {index + 1}</Text>
+                  <Text style={styles.tripTime}>
+                    {zone.trips} trip{zone.trips === 1 ? '' : 's'}, ${zone.averageEarning.toFixed(2)} avg
+                  </Text>
+                </View>
+                <Text style={styles.tripAmount}>${zone.earnings.toFixed(2)}</Text>
+              </View>
+            ))}
+          </Card>
+
+          <Card style={styles.breakdownCard}>
+            <Text style={styles.breakdownTitle}>Ride Types</Text>
+            {[...analytics.rideTypes, { rideType: 'all', ...analytics.overall }].map(type => (
+              <View key={type.rideType} style={styles.tripRow}>
+                <View style={styles.tripInfo}>
+                  <Text style={styles.tripPassenger}>
+                    {type.rideType === 'all' ? 'All trips' : capitalize(type.rideType)}
+                  </Text>
+                  <Text style={styles.tripTime}>
+                    {type.trips} trip{type.trips === 1 ? '' : 's'}
+                    {type.earningPerKm !== null ? `, you earn $${type.earningPerKm.toFixed(2)}/km` : ''}
+                  </Text>
+                </View>
+                <View style={styles.tripEarnings}>
+                  <Text style={styles.tripAmount}>${type.averageFare.toFixed(2)} avg fare</Text>
+                  {type.farePerKm !== null && (
+                    <Text style={styles.tripTime}>${type.farePerKm.toFixed(2)}/km</Text>
+                  )}
+                </View>
+              </View>
+            ))}
+          </Card>
+        </>
+      )}
+
       <View style={styles.actionSection}>
+        {ledger && (
+          <Card style={styles.balanceCard}>
+            <View style={styles.payoutHeader}>
+              <Ionicons name="swap-horizontal" size={24} color={colors.primary} />
+              <Text style={styles.payoutTitle}>Balance</Text>
+            </View>
+            <Text style={[
+              styles.balanceAmount,
+              { color: ledger.balance < 0 ? colors.danger : colors.driver.earnings }
+            ]}>
+              ${Math.abs(ledger.balance).toFixed(2)}
+            </Text>
+            <Text style={styles.payoutDescription}>
+              {ledger.balance < 0
+                ? 'You owe GQCars commission on cash trips.'
+                : 'GQCars owes you for card and wallet trips.'}
+              {pendingSettlement && (pendingSettlement.paymentReference
+                ? ` Your $${pendingSettlement.amount.toFixed(2)} bank transfer (reference ${pendingSettlement.paymentReference}) hasn't arrived yet.`
+                : ` Your $${pendingSettlement.amount.toFixed(2)} payment is still being processed.`)}
+            </Text>
+            <View style={styles.balanceActions}>
+              <Button
+                title="View Ledger"
+                variant="secondary"
+                size="medium"
+                onPress={() => setShowLedger(true)}
+                style={ledger.balance < 0 || pendingSettlement?.bankDetails ? styles.halfButton : styles.fullButton}
+              />
+              {pendingSettlement?.bankDetails ? (
+                <Button
+                  title="Transfer Details"
+                  variant="primary"
+                  size="medium"
+                  onPress={() => showTransferDetails(pendingSettlement)}
+                  style={styles.halfButton}
+                />
+              ) : ledger.balance < 0 && (
+                <Button
+                  title="Settle Up"
+                  variant="primary"
+                  size="medium"
+                  onPress={settleUp}
+                  disabled={settling || !!pendingSettlement}
+                  style={styles.halfButton}
+                />
+              )}
+            </View>
+          </Card>
+        )}
+
         <Card style={styles.payoutCard}>
           <View style={styles.payoutHeader}>
             <Ionicons name="card" size={24} color={colors.primary} />
-            <Text style={styles.payoutTitle}>Instant Payout</Text>
+            <Text style={styles.payoutTitle}>Payouts</Text>
           </View>
+          {nextPayout && (
+            <View style={styles.payoutRow}>
+              <View>
+                <Text style={styles.payoutRowTitle}>Next payout</Text>
+                <Text style={styles.payoutRowSubtitle}>{formatPayoutDate(nextPayout.scheduledFor)}</Text>
+              </View>
+              <Text style={styles.payoutRowAmount}>${nextPayout.amount.toFixed(2)}</Text>
+            </View>
+          )}
           <Text style={styles.payoutDescription}>
-            Transfer your earnings to your bank account instantly for a small fee.
+            Weekly payouts are sent every Monday for the previous week's trips. Need it sooner? Cash out instantly for a small fee.
           </Text>
           <Button
             title="Cash Out Now"
             variant="primary"
             size="large"
-            onPress={() => {}}
+            onPress={cashOut}
+            disabled={cashingOut}
             style={styles.payoutButton}
           />
+          {payouts.length > 0 && (
+            <View style={styles.payoutHistory}>
+              <Text style={styles.payoutRowTitle}>Recent payouts</Text>
+              {payouts.map(payout => (
+                <View key={payout.id} style={styles.payoutRow}>
+                  <View>
+                    <Text style={styles.payoutRowSubtitle}>
+                      {formatPayoutDate(payout.requestedAt)} - {payout.type === PAYOUT_TYPE.INSTANT ? 'Instant' : 'Weekly'}
+                    </Text>
+                    <Text style={[styles.payoutStatus, { color: getPayoutStatusColor(payout.status) }]}>
+                      {payout.status.charAt(0).toUpperCase() + payout.status.slice(1)}
+                    </Text>
+                  </View>
+                  <Text style={styles.payoutRowAmount}>${payout.netAmount.toFixed(2)}</Text>
+                </View>
+              ))}
+            </View>
+          )}
         </Card>
 
         <Card style={styles.documentsCard}>
@@ -295,22 +767,144 @@ const EarningsScreen = () => {
             <Text style={styles.documentsTitle}>Tax Documents</Text>
           </View>
           <Text style={styles.documentsDescription}>
-            Download your earnings summary and tax documents.
+            Export a statement of your fares, commission, tips and net earnings for any dates, as a spreadsheet (CSV) or a formatted statement.
           </Text>
           <Button
-            title="View Documents"
+            title="Export Statement"
             variant="secondary"
             size="medium"
-            onPress={() => {}}
+            onPress={openStatementExport}
             style={styles.documentsButton}
           />
         </Card>
       </View>
+
+      <Modal
+        visible={showLedger}
+        animationType="slide"
+        onRequestClose={() => setShowLedger(false)}
+      >
+        <View style={styles.ledgerContainer}>
+          <View style={styles.ledgerHeader}>
+            <Text style={styles.ledgerTitle}>Balance Ledger</Text>
+            <TouchableOpacity onPress={() => setShowLedger(false)}>
+              <Ionicons name="close" size={24} color={colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+          <ScrollView contentContainerStyle={styles.ledgerContent}>
+            {ledger?.entries.length === 0 && (
+              <Text style={styles.ledgerEmpty}>No entries yet</Text>
+            )}
+            {ledger?.entries.map(entry => (
+              <View key={entry.id} style={styles.ledgerRow}>
+                <View style={styles.ledgerInfo}>
+                  <Text style={styles.ledgerDescription}>{entry.description}</Text>
+                  <Text style={styles.ledgerTime}>{formatEntryTime(entry.createdAt)}</Text>
+                </View>
+                <View style={styles.ledgerAmounts}>
+                  <Text style={[
+                    styles.ledgerAmount,
+                    { color: entry.amount < 0 ? colors.danger : colors.success }
+                  ]}>
+                    {formatSignedAmount(entry.amount)}
+                  </Text>
+                  <Text style={styles.ledgerBalance}>
+                    Balance {entry.balanceAfter < 0 ? '-' : ''}${Math.abs(entry.balanceAfter).toFixed(2)}
+                  </Text>
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+        </View>
+      </Modal>
+
+      <Modal
+        visible={showStatementExport}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setShowStatementExport(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.exportSheet}>
+            <Text style={styles.exportTitle}>Export Statement</Text>
+            <Text style={styles.exportSubtitle}>Days in {timeZone}</Text>
+
+            <View style={styles.chipRow}>
+              {STATEMENT_PERIODS.map(period => (
+                <TouchableOpacity
+                  key={period.key}
+                  style={[styles.chip, statementPeriod === period.key && styles.chipSelected]}
+                  onPress={() => selectStatementPeriod(period.key)}
+                >
+                  <Text style={[styles.chipText, statementPeriod === period.key && styles.chipTextSelected]}>
+                    {period.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {statementRange && (
+              <View style={styles.dateRow}>
+                <View style={styles.dateField}>
+                  <Text style={styles.dateLabel}>From</Text>
+                  <TextInput
+                    style={styles.dateInput}
+                    value={statementRange.startKey}
+                    onChangeText={(startKey) => updateStatementRange({ startKey })}
+                    placeholder="YYYY-MM-DD"
+                    placeholderTextColor={colors.text.tertiary}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </View>
+                <View style={styles.dateField}>
+                  <Text style={styles.dateLabel}>To</Text>
+                  <TextInput
+                    style={styles.dateInput}
+                    value={statementRange.endKey}
+                    onChangeText={(endKey) => updateStatementRange({ endKey })}
+                    placeholder="YYYY-MM-DD"
+                    placeholderTextColor={colors.text.tertiary}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </View>
+              </View>
+            )}
+
+            <View style={styles.exportActions}>
+              <Button
+                title="Share CSV"
+                variant="secondary"
+                size="medium"
+                onPress={() => exportStatement('csv')}
+                disabled={exporting}
+                style={styles.halfButton}
+              />
+              <Button
+                title="Share PDF"
+                variant="primary"
+                size="medium"
+                onPress={() => exportStatement('pdf')}
+                disabled={exporting}
+                style={styles.halfButton}
+              />
+            </View>
+            <Button
+              title="Cancel"
+              variant="secondary"
+              size="medium"
+              onPress={() => setShowStatementExport(false)}
+              style={styles.exportCancel}
+            />
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -424,6 +1018,13 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
   
+  statSubLabel: {
+    fontSize: typography.sizes.xs,
+    color: colors.text.tertiary,
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  
   breakdownCard: {
     marginHorizontal: spacing.md,
     marginBottom: spacing.lg,
@@ -436,6 +1037,108 @@ const styles = StyleSheet.create({
     marginBottom: spacing.md,
   },
   
+  goalRow: {
+    marginBottom: spacing.md,
+  },
+  
+  insightSubtitle: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+  
+  barChart: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    height: 140,
+    marginBottom: spacing.lg,
+  },
+  
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  
+  barValue: {
+    fontSize: typography.sizes.xs,
+    color: colors.text.secondary,
+    marginBottom: spacing.xs,
+  },
+  
+  barTrack: {
+    flex: 1,
+    width: 20,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.divider,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  
+  barFill: {
+    width: '100%',
+    backgroundColor: colors.driver.earnings,
+  },
+  
+  barLabel: {
+    fontSize: typography.sizes.xs,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  
+  heatGrid: {
+    marginBottom: spacing.md,
+  },
+  
+  heatRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  
+  heatLabel: {
+    width: 32,
+    fontSize: typography.sizes.xs,
+    color: colors.text.secondary,
+  },
+  
+  heatCell: {
+    flex: 1,
+    height: 12,
+    marginRight: 1,
+    borderRadius: 2,
+    backgroundColor: colors.divider,
+  },
+  
+  heatAxisLabel: {
+    flex: 6,
+    fontSize: typography.sizes.xs,
+    color: colors.text.tertiary,
+  },
+  
+  goalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.xs,
+  },
+  
+  goalLabel: {
+    fontSize: typography.sizes.md,
+    color: colors.text.secondary,
+  },
+  
+  goalValue: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  goalPace: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  
   tripRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -510,6 +1213,42 @@ const styles = StyleSheet.create({
     marginTop: spacing.sm,
   },
   
+  payoutRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+  },
+  
+  payoutRowTitle: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  payoutRowSubtitle: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+  },
+  
+  payoutRowAmount: {
+    fontSize: typography.sizes.lg,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  payoutStatus: {
+    fontSize: typography.sizes.sm,
+    fontWeight: typography.weights.medium,
+  },
+  
+  payoutHistory: {
+    marginTop: spacing.lg,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  
   documentsCard: {
     marginBottom: spacing.md,
   },
@@ -538,6 +1277,191 @@ const styles = StyleSheet.create({
     marginTop: spacing.sm,
   },
   
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  
+  exportSheet: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: spacing.lg,
+  },
+  
+  exportTitle: {
+    fontSize: typography.sizes.lg,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  exportSubtitle: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+    marginBottom: spacing.md,
+  },
+  
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  
+  chip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  
+  chipText: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.primary,
+  },
+  
+  chipTextSelected: {
+    color: colors.surface,
+  },
+  
+  dateRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  
+  dateField: {
+    width: '48%',
+  },
+  
+  dateLabel: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginBottom: spacing.xs,
+  },
+  
+  dateInput: {
+    height: 44,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: spacing.sm,
+    fontSize: typography.sizes.md,
+    color: colors.text.primary,
+  },
+  
+  exportActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  
+  halfButton: {
+    width: '48%',
+  },
+  
+  fullButton: {
+    width: '100%',
+  },
+  
+  balanceCard: {
+    marginBottom: spacing.md,
+  },
+  
+  balanceAmount: {
+    fontSize: typography.sizes.xxl,
+    fontWeight: typography.weights.bold,
+    marginBottom: spacing.xs,
+  },
+  
+  balanceActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  
+  ledgerContainer: {
+    flex: 1,
+    backgroundColor: colors.background,
+    paddingTop: spacing.xl,
+  },
+  
+  ledgerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+  },
+  
+  ledgerTitle: {
+    fontSize: typography.sizes.xl,
+    fontWeight: typography.weights.bold,
+    color: colors.text.primary,
+  },
+  
+  ledgerContent: {
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.xl,
+  },
+  
+  ledgerEmpty: {
+    fontSize: typography.sizes.md,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    marginTop: spacing.xl,
+  },
+  
+  ledgerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  
+  ledgerInfo: {
+    flex: 1,
+    marginRight: spacing.md,
+  },
+  
+  ledgerDescription: {
+    fontSize: typography.sizes.md,
+    color: colors.text.primary,
+  },
+  
+  ledgerTime: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  
+  ledgerAmounts: {
+    alignItems: 'flex-end',
+  },
+  
+  ledgerAmount: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+  },
+  
+  ledgerBalance: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  
+  exportCancel: {
+    marginTop: spacing.md,
+  },
+  
   centerContent: {
     justifyContent: 'center',
     alignItems: 'center',
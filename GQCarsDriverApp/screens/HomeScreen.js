@@ -1,47 +1,141 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   View, 
   Text, 
   StyleSheet, 
   ScrollView, 
   Switch,
+  Modal,
+  TouchableOpacity,
   Alert 
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { Card, Button, StatusBadge } from '../shared/components/ui';
-import { colors, spacing, typography } from '../shared/theme';
+import { Card, Button, StatusBadge, ProgressBar } from '../shared/components/ui';
+import { spacing, typography, useTheme, useThemedStyles } from '../shared/theme';
 import { 
   driverService,
   locationService, 
   notificationService,
   rideRequestService,
   authService,
-  earningsService 
+  earningsService,
+  earningsGoalService,
+  ledgerService,
+  shiftService,
+  workingTimeService
 } from '../services';
+import { getRequestFilters } from '../services/requestFilters';
+import { SHIFT_END_REASON } from '../services/shiftService';
+import { LEDGER_ENTRY_TYPE } from '../services/ledgerService';
+import { WORKING_TIME_STATUS } from '../services/workingTimeRules';
+import { getDriverTimeZone } from '../services/timeZoneUtils';
+import {
+  GOAL_PERIOD,
+  GOAL_METRIC,
+  GOAL_TARGET_OPTIONS,
+  getEarningsGoals,
+  formatGoalValue,
+  describeGoalPace
+} from '../services/earningsGoalService';
+import { useAuth } from '../contexts/AuthContext';
 
 const HomeScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { driverProfile, updateDriverProfile } = useAuth();
   const [isOnline, setIsOnline] = useState(false);
   const [currentEarnings, setCurrentEarnings] = useState(0);
   const [completedTrips, setCompletedTrips] = useState(0);
   const [hoursOnline, setHoursOnline] = useState(0);
   const [driverRating, setDriverRating] = useState(0);
+  const [responseStats, setResponseStats] = useState(null);
   const [availableRequests, setAvailableRequests] = useState(0);
   const [currentUser, setCurrentUser] = useState(null);
   const [driverLocation, setDriverLocation] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [workingTime, setWorkingTime] = useState(null);
+  const [goalProgress, setGoalProgress] = useState([]);
+  const [showGoals, setShowGoals] = useState(false);
   
   // Real-time listeners
   const [requestsUnsubscribe, setRequestsUnsubscribe] = useState(null);
+  
+  // Only count requests the driver would actually take
+  const requestFilters = getRequestFilters(driverProfile);
+  const requestFiltersRef = useRef(requestFilters);
+  requestFiltersRef.current = requestFilters;
+  const requestFiltersKey = JSON.stringify(requestFilters);
+  
+  // Goals are read from a ref so interval refreshes see the latest targets
+  const earningsGoals = getEarningsGoals(driverProfile);
+  const driverProfileRef = useRef(driverProfile);
+  driverProfileRef.current = driverProfile;
+  const earningsGoalsKey = JSON.stringify(earningsGoals);
 
   // Initialize services on component mount
   useEffect(() => {
     initializeHomeScreen();
     
+    // Follow driving time as the monitor re-evaluates it
+    const unsubscribeWorkingTime = workingTimeService.subscribe(setWorkingTime);
+    
     return () => {
       cleanup();
+      unsubscribeWorkingTime();
+      workingTimeService.stopMonitoring();
     };
   }, []);
   
+  // Check driving time limits every minute while online
+  useEffect(() => {
+    if (!isOnline || !currentUser) return;
+    
+    workingTimeService.startMonitoring(currentUser.uid);
+    return () => workingTimeService.stopMonitoring();
+  }, [isOnline, currentUser]);
+  
+  // Take the driver offline once a driving limit is reached
+  useEffect(() => {
+    if (isOnline && workingTime && !workingTime.canGoOnline) {
+      startForcedBreak();
+    }
+  }, [isOnline, workingTime]);
+  
+  // Let the driver know when a passenger tips after a trip
+  useEffect(() => {
+    if (!currentUser) return;
+    
+    return ledgerService.subscribeToNewEntries(currentUser.uid, LEDGER_ENTRY_TYPE.TIP, (tip) => {
+      if (!tip) return;
+      
+      notificationService.showTipReceived(tip.amount, tip.tripId);
+      loadTodaysEarnings(currentUser.uid);
+    });
+  }, [currentUser]);
+  
+  // Keep today's online hours current while the shift is running
+  useEffect(() => {
+    if (!isOnline || !currentUser) return;
+    
+    const interval = setInterval(() => loadTodaysEarnings(currentUser.uid), 60000);
+    return () => clearInterval(interval);
+  }, [isOnline, currentUser]);
+  
+  // Show progress against new targets straight away
+  useEffect(() => {
+    if (currentUser) {
+      loadGoalProgress(currentUser.uid);
+    }
+  }, [earningsGoalsKey]);
+  
+  // Re-subscribe when the driver changes their request filters
+  useEffect(() => {
+    if (!requestsUnsubscribe) return;
+    
+    requestsUnsubscribe();
+    setupRideRequestsListener(driverLocation, isOnline);
+  }, [requestFiltersKey]);
+  
   // Initialize home screen with services
   const initializeHomeScreen = async () => {
     try {
@@ -62,19 +156,38 @@ const HomeScreen = () => {
       const driver = await driverService.getDriver(user.uid);
       setIsOnline(driver.status === 'online');
       
+      // Close a shift the app was killed during, and keep counting if still online
+      await shiftService.resumeShift(user.uid, ['online', 'busy'].includes(driver.status)).catch(error => {
+        console.error('Error resuming shift:', error);
+      });
+      
       // Get current location
       const location = await locationService.getCurrentLocation();
       setDriverLocation(location);
       
+      // Don't count requests the driver already declined
+      await rideRequestService.loadDeclinedRequests(user.uid).catch(error => {
+        console.error('Error loading declined requests:', error);
+      });
+      
       // Set up real-time ride requests listener
       setupRideRequestsListener(location, driver.status === 'online');
       
       // Load today's earnings data
       await loadTodaysEarnings(user.uid);
       
+      // Show driving time against the limits even while offline
+      workingTimeService.evaluate(user.uid).catch(error => {
+        console.error('Error evaluating working time:', error);
+      });
+      
       // Set driver rating
       setDriverRating(driver.rating || 0);
       
+      // Show the stored response rates, then roll the 7 day window forward
+      setResponseStats(driver.responseStats?.last7Days || null);
+      loadResponseStats(user.uid);
+      
     } catch (error) {
       console.error('Error initializing home screen:', error);
       Alert.alert('Error', 'Failed to initialize. Some features may not work properly.');
@@ -99,7 +212,8 @@ const HomeScreen = () => {
           }
           setAvailableRequests(requests.length);
         },
-        location
+        location,
+        requestFiltersRef.current
       );
       
       setRequestsUnsubscribe(() => unsubscribe);
@@ -111,10 +225,8 @@ const HomeScreen = () => {
   // Load today's earnings data
   const loadTodaysEarnings = async (driverId) => {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const dailySummary = await earningsService.getDailySummary(driverId, today);
+      // The day is resolved in the driver's profile time zone
+      const dailySummary = await earningsService.getDailySummary(driverId, new Date());
       
       if (dailySummary && dailySummary.summary) {
         setCurrentEarnings(dailySummary.summary.totalEarnings || 0);
@@ -130,8 +242,54 @@ const HomeScreen = () => {
       console.error('Error loading today\'s earnings:', error);
       // Keep default values on error
     }
+    
+    await loadGoalProgress(driverId);
+  };
+  
+  // Refresh goal progress, announcing any goal just reached
+  const loadGoalProgress = async (driverId) => {
+    try {
+      setGoalProgress(await earningsGoalService.checkGoals(driverId, driverProfileRef.current));
+    } catch (error) {
+      console.error('Error loading goal progress:', error);
+    }
+  };
+  
+  const saveGoal = async (period, changes) => {
+    try {
+      await updateDriverProfile({
+        earningsGoals: { ...earningsGoals, [period]: { ...earningsGoals[period], ...changes } }
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update your goal. Please try again.');
+    }
+  };
+  
+  // Switching between amount and trips starts from a middle target
+  const selectGoalMetric = (period, metric) => {
+    const options = GOAL_TARGET_OPTIONS[period][metric];
+    saveGoal(period, { metric, target: options[Math.floor(options.length / 2)] });
+  };
+  
+  // Rebuild the driver's rolling response rates
+  const loadResponseStats = async (driverId) => {
+    try {
+      const stats = await driverService.refreshResponseStats(driverId);
+      setResponseStats(stats.last7Days);
+    } catch (error) {
+      console.error('Error loading response stats:', error);
+    }
   };
   
+  const formatRate = (rate) => `${Math.round((rate || 0) * 100)}%`;
+  
+  const formatDuration = (minutes) => {
+    const total = Math.round(minutes || 0);
+    return `${Math.floor(total / 60)}h ${total % 60}m`;
+  };
+  
+  const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  
   // Cleanup function
   const cleanup = () => {
     if (requestsUnsubscribe) {
@@ -173,9 +331,24 @@ const HomeScreen = () => {
   // Go online function
   const goOnline = async () => {
     try {
-      // Update driver status in Firebase
+      // Don't go online during a required break
+      const drivingTime = await workingTimeService.evaluate(currentUser.uid);
+      if (!drivingTime.canGoOnline) {
+        Alert.alert(
+          drivingTime.status === WORKING_TIME_STATUS.DAILY_LIMIT ? 'Daily Limit Reached' : 'Break Required',
+          `You've reached your driving limit. You can go back online at ${formatTime(drivingTime.blockedUntil)}.`
+        );
+        return;
+      }
+      
+      // Update driver status in Firebase (queued while offline)
       await driverService.updateDriverStatus(currentUser.uid, 'online');
       
+      // Start counting online time; going online mustn't wait on it
+      shiftService.startShift(currentUser.uid).catch(error => {
+        console.error('Error starting shift:', error);
+      });
+      
       // Start location tracking
       await locationService.startTracking(currentUser.uid);
       
@@ -196,11 +369,17 @@ const HomeScreen = () => {
   };
   
   // Go offline function
-  const goOffline = async () => {
+  const goOffline = async (reason = SHIFT_END_REASON.OFFLINE) => {
     try {
-      // Update driver status in Firebase
+      // Update driver status in Firebase (queued while offline)
       await driverService.updateDriverStatus(currentUser.uid, 'offline');
       
+      // Close the shift, counting time up to now; its transaction fails offline,
+      // so going offline mustn't wait on it
+      shiftService.endShift(currentUser.uid, reason).catch(error => {
+        console.error('Error ending shift:', error);
+      });
+      
       // Stop location tracking
       await locationService.stopTracking();
       
@@ -216,6 +395,22 @@ const HomeScreen = () => {
     }
   };
 
+  // End the shift for a required break, letting a trip in progress finish first
+  const startForcedBreak = async () => {
+    try {
+      const driver = await driverService.getDriver(currentUser.uid);
+      if (driver.status === 'busy') return;
+      
+      await goOffline(SHIFT_END_REASON.FORCED_BREAK);
+      Alert.alert(
+        workingTime.status === WORKING_TIME_STATUS.DAILY_LIMIT ? 'Daily Limit Reached' : 'Time for a Break',
+        `You've been taken offline. You can go back online at ${formatTime(workingTime.blockedUntil)}.`
+      );
+    } catch (error) {
+      console.error('Error starting forced break:', error);
+    }
+  };
+
   const getStatusText = () => {
     return isOnline ? 'Online' : 'Offline';
   };
@@ -284,8 +479,100 @@ const HomeScreen = () => {
             <Text style={styles.statLabel}>Rating</Text>
           </View>
         </Card>
+
+        <Card style={styles.statCard}>
+          <View style={styles.statContent}>
+            <Ionicons name="thumbs-up" size={24} color={colors.success} />
+            <Text style={styles.statValue}>
+              {responseStats?.offered ? formatRate(responseStats.acceptanceRate) : '-'}
+            </Text>
+            <Text style={styles.statLabel}>Acceptance (7 days)</Text>
+          </View>
+        </Card>
+
+        <Card style={styles.statCard}>
+          <View style={styles.statContent}>
+            <Ionicons name="close-circle" size={24} color={colors.danger} />
+            <Text style={styles.statValue}>
+              {responseStats?.accepted ? formatRate(responseStats.cancellationRate) : '-'}
+            </Text>
+            <Text style={styles.statLabel}>Cancellation (7 days)</Text>
+          </View>
+        </Card>
       </View>
 
+      {/* Goals Card */}
+      <Card style={styles.actionCard}>
+        <View style={styles.requestsHeader}>
+          <Text style={styles.actionTitle}>Goals</Text>
+          <TouchableOpacity onPress={() => setShowGoals(true)}>
+            <Text style={styles.goalEditText}>{goalProgress.length > 0 ? 'Edit' : 'Set Goals'}</Text>
+          </TouchableOpacity>
+        </View>
+        {goalProgress.length === 0 ? (
+          <Text style={styles.goalHint}>
+            Set a daily or weekly target for earnings or trips and track your progress here.
+          </Text>
+        ) : (
+          goalProgress.map(goal => (
+            <View key={goal.period} style={styles.goalRow}>
+              <View style={styles.drivingTimeRow}>
+                <Text style={styles.drivingTimeLabel}>
+                  {goal.period === GOAL_PERIOD.WEEKLY ? 'This week' : 'Today'}
+                </Text>
+                <Text style={styles.drivingTimeValue}>
+                  {formatGoalValue(goal.metric, goal.current)} / {formatGoalValue(goal.metric, goal.target)}
+                </Text>
+              </View>
+              <ProgressBar
+                progress={goal.progress}
+                color={goal.reached ? colors.success : colors.driver.earnings}
+              />
+              <Text style={styles.goalPace}>
+                {describeGoalPace(goal, getDriverTimeZone(driverProfile))}
+              </Text>
+            </View>
+          ))
+        )}
+      </Card>
+
+      {/* Driving Time Card */}
+      {workingTime && (
+        <Card style={styles.actionCard}>
+          <Text style={styles.actionTitle}>Driving Time</Text>
+          <View style={styles.drivingTimeRow}>
+            <Text style={styles.drivingTimeLabel}>Since last break</Text>
+            <Text style={styles.drivingTimeValue}>
+              {formatDuration(workingTime.continuousMinutes)} / {formatDuration(workingTime.rules.maxContinuousMinutes)}
+            </Text>
+          </View>
+          <View style={styles.drivingTimeRow}>
+            <Text style={styles.drivingTimeLabel}>Last 24 hours</Text>
+            <Text style={styles.drivingTimeValue}>
+              {formatDuration(workingTime.dailyMinutes)} / {formatDuration(workingTime.rules.maxDailyMinutes)}
+            </Text>
+          </View>
+          {workingTime.status === WORKING_TIME_STATUS.WARNING && (
+            <View style={[styles.drivingTimeBanner, { backgroundColor: colors.warningBackground }]}>
+              <Ionicons name="warning" size={18} color={colors.warning} />
+              <Text style={styles.drivingTimeBannerText}>
+                {workingTime.nextLimit === 'daily'
+                  ? `${formatDuration(workingTime.minutesUntilDailyLimit)} left before your daily limit`
+                  : `Take a break within ${formatDuration(workingTime.minutesUntilBreak)}`}
+              </Text>
+            </View>
+          )}
+          {!workingTime.canGoOnline && (
+            <View style={[styles.drivingTimeBanner, { backgroundColor: colors.dangerBackground }]}>
+              <Ionicons name="cafe" size={18} color={colors.danger} />
+              <Text style={styles.drivingTimeBannerText}>
+                On a required break until {formatTime(workingTime.blockedUntil)}
+              </Text>
+            </View>
+          )}
+        </Card>
+      )}
+
       {/* Available Requests Card */}
       {isOnline && (
         <Card style={styles.actionCard}>
@@ -358,11 +645,75 @@ const HomeScreen = () => {
           </View>
         </Card>
       )}
+
+      <Modal
+        visible={showGoals}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setShowGoals(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.goalSheet}>
+            <Text style={styles.goalSheetTitle}>Earnings Goals</Text>
+            {Object.values(GOAL_PERIOD).map(period => (
+              <View key={period} style={styles.goalSetting}>
+                <View style={styles.statusHeader}>
+                  <Text style={styles.goalSettingTitle}>
+                    {period === GOAL_PERIOD.WEEKLY ? 'Weekly goal' : 'Daily goal'}
+                  </Text>
+                  <Switch
+                    value={earningsGoals[period].enabled}
+                    onValueChange={(enabled) => saveGoal(period, { enabled })}
+                    trackColor={{ false: colors.border, true: colors.primary }}
+                    thumbColor={colors.surface}
+                  />
+                </View>
+                {earningsGoals[period].enabled && (
+                  <>
+                    <View style={styles.chipRow}>
+                      {Object.values(GOAL_METRIC).map(metric => (
+                        <TouchableOpacity
+                          key={metric}
+                          style={[styles.chip, earningsGoals[period].metric === metric && styles.chipSelected]}
+                          onPress={() => selectGoalMetric(period, metric)}
+                        >
+                          <Text style={[styles.chipText, earningsGoals[period].metric === metric && styles.chipTextSelected]}>
+                            {metric === GOAL_METRIC.TRIPS ? 'Trips' : 'Earnings'}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                    <View style={styles.chipRow}>
+                      {GOAL_TARGET_OPTIONS[period][earningsGoals[period].metric].map(target => (
+                        <TouchableOpacity
+                          key={target}
+                          style={[styles.chip, earningsGoals[period].target === target && styles.chipSelected]}
+                          onPress={() => saveGoal(period, { target })}
+                        >
+                          <Text style={[styles.chipText, earningsGoals[period].target === target && styles.chipTextSelected]}>
+                            {formatGoalValue(earningsGoals[period].metric, target)}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </>
+                )}
+              </View>
+            ))}
+            <Button
+              title="Done"
+              variant="primary"
+              size="medium"
+              onPress={() => setShowGoals(false)}
+            />
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -492,6 +843,121 @@ const styles = StyleSheet.create({
     fontSize: typography.sizes.lg,
     fontWeight: typography.weights.bold,
   },
+  
+  drivingTimeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.sm,
+  },
+  
+  drivingTimeLabel: {
+    fontSize: typography.sizes.md,
+    color: colors.text.secondary,
+  },
+  
+  drivingTimeValue: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  drivingTimeBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    padding: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  
+  drivingTimeBannerText: {
+    flex: 1,
+    fontSize: typography.sizes.sm,
+    color: colors.text.primary,
+    marginLeft: spacing.sm,
+  },
+  
+  goalEditText: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+    color: colors.primary,
+    marginBottom: spacing.sm,
+  },
+  
+  goalHint: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    lineHeight: typography.lineHeights.relaxed * typography.sizes.sm,
+  },
+  
+  goalRow: {
+    marginBottom: spacing.md,
+  },
+  
+  goalPace: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  
+  goalSheet: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: spacing.lg,
+  },
+  
+  goalSheetTitle: {
+    fontSize: typography.sizes.lg,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+    marginBottom: spacing.md,
+  },
+  
+  goalSetting: {
+    marginBottom: spacing.md,
+  },
+  
+  goalSettingTitle: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: spacing.sm,
+  },
+  
+  chip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  
+  chipText: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.primary,
+  },
+  
+  chipTextSelected: {
+    color: colors.surface,
+  },
 });
 
 export default HomeScreen;
\ No newline at end of file
@@ -7,14 +7,49 @@ import {
   Switch,
   Alert,
   Image,
+  Modal,
   TouchableOpacity 
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Card, Button, StatusBadge } from '../shared/components/ui';
-import { colors, spacing, typography } from '../shared/theme';
+import { spacing, typography, useTheme, useThemedStyles, THEME_MODE } from '../shared/theme';
 import { useAuth } from '../contexts/AuthContext';
+import {
+  TIME_ZONE_OPTIONS,
+  getDeviceTimeZone,
+  getDriverTimeZone
+} from '../services/timeZoneUtils';
+import {
+  RIDE_TYPE_OPTIONS,
+  PAYMENT_METHOD_OPTIONS,
+  getRequestFilters
+} from '../services/requestFilters';
+import { DAILY_CAP_OPTIONS, getAutoAcceptSettings } from '../services/autoAcceptService';
+import { locationService, driverService, workingTimeService } from '../services';
+
+const PICKUP_DISTANCE_OPTIONS = [3, 5, 10, 15, 25];
+const MIN_FARE_OPTIONS = [0, 10, 15, 20, 30];
+const MIN_RATING_OPTIONS = [0, 4.0, 4.5, 4.8];
+
+const RESPONSE_RATE_ROWS = [
+  { key: 'acceptanceRate', label: 'Acceptance', icon: 'thumbs-up' },
+  { key: 'declineRate', label: 'Declined', icon: 'hand-left' },
+  { key: 'timeoutRate', label: 'Timed out', icon: 'hourglass' },
+  { key: 'cancellationRate', label: 'Cancelled after accepting', icon: 'close-circle' }
+];
+
+const THEME_MODE_OPTIONS = [THEME_MODE.LIGHT, THEME_MODE.DARK, THEME_MODE.SYSTEM];
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const formatDuration = (minutes) => {
+  const total = Math.round(minutes || 0);
+  return `${Math.floor(total / 60)}h ${total % 60}m`;
+};
 
 const ProfileScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const { 
     user, 
     driverProfile, 
@@ -23,22 +58,125 @@ const ProfileScreen = ({ navigation }) => {
     hasPendingVerification,
     isSuspended,
     getDriverName,
-    getVerificationProgress
+    getVerificationProgress,
+    updateDriverProfile,
+    settings,
+    updateSettings
   } = useAuth();
 
-  const [settings, setSettings] = useState({
-    pushNotifications: true,
-    emailNotifications: true,
-    autoAcceptRides: false,
-    shareLocation: true,
-    darkMode: false
+  const [showTimeZones, setShowTimeZones] = useState(false);
+  const [responseStats, setResponseStats] = useState(driverProfile?.responseStats || null);
+  const [workingTimeLog, setWorkingTimeLog] = useState(null);
+  const [showWorkingTimeLog, setShowWorkingTimeLog] = useState(false);
+
+  // Roll the 7 and 30 day windows forward on open
+  useEffect(() => {
+    if (!user) return;
+
+    driverService.refreshResponseStats(user.uid)
+      .then(setResponseStats)
+      .catch(error => console.error('Error loading response stats:', error));
+  }, [user?.uid]);
+
+  // Shifts and breaks for the last four weeks, to show a licensing officer
+  const openWorkingTimeLog = async () => {
+    setShowWorkingTimeLog(true);
+    try {
+      setWorkingTimeLog(await workingTimeService.getWorkingTimeLog(user.uid));
+    } catch (error) {
+      setShowWorkingTimeLog(false);
+      Alert.alert('Error', 'Failed to load your working time log. Please try again.');
+    }
+  };
+
+  const formatLogTime = (date) => date.toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: getDriverTimeZone(driverProfile)
+  });
+
+  const formatLogDate = (dateKey) => new Date(`${dateKey}T12:00:00Z`).toLocaleDateString([], {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
   });
 
-  const updateSetting = (key, value) => {
-    setSettings(prev => ({
-      ...prev,
-      [key]: value
-    }));
+  const updateSetting = async (key, value) => {
+    try {
+      await updateSettings({ [key]: value });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update settings. Please try again.');
+    }
+  };
+
+  const deviceTimeZone = getDeviceTimeZone();
+  const timeZoneChoices = [deviceTimeZone, ...TIME_ZONE_OPTIONS.filter(zone => zone !== deviceTimeZone)];
+
+  const selectTimeZone = async (timeZone) => {
+    setShowTimeZones(false);
+    if (timeZone === driverProfile?.timeZone) return;
+
+    try {
+      await updateDriverProfile({ timeZone });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update time zone. Please try again.');
+    }
+  };
+
+  const requestFilters = getRequestFilters(driverProfile);
+
+  const saveRequestFilters = async (changes) => {
+    try {
+      await updateDriverProfile({ requestFilters: { ...requestFilters, ...changes } });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update request filters. Please try again.');
+    }
+  };
+
+  // Empty list means "any", so toggling the last option off accepts everything again
+  const toggleFilterOption = (key, option) => {
+    const current = requestFilters[key];
+    const next = current.includes(option)
+      ? current.filter(item => item !== option)
+      : [...current, option];
+    saveRequestFilters({ [key]: next });
+  };
+
+  const autoAccept = getAutoAcceptSettings(driverProfile);
+
+  const saveAutoAccept = async (changes) => {
+    try {
+      await updateDriverProfile({ autoAccept: { ...autoAccept, ...changes } });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update auto-accept. Please try again.');
+    }
+  };
+
+  const setHomeToCurrentLocation = async () => {
+    try {
+      const location = await locationService.getCurrentLocation();
+      await saveRequestFilters({
+        destination: {
+          ...requestFilters.destination,
+          enabled: true,
+          latitude: location.latitude,
+          longitude: location.longitude
+        }
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Could not get your current location.');
+    }
+  };
+
+  const toggleHeadingHome = (enabled) => {
+    const { destination } = requestFilters;
+    if (enabled && destination.latitude == null) {
+      setHomeToCurrentLocation();
+      return;
+    }
+    saveRequestFilters({ destination: { ...destination, enabled } });
   };
 
   const showEditProfile = () => {
@@ -108,7 +246,7 @@ const ProfileScreen = ({ navigation }) => {
   );
 
   const MenuRow = ({ title, subtitle, icon, onPress, showArrow = true }) => (
-    <View style={styles.menuRow}>
+    <TouchableOpacity style={styles.menuRow} onPress={onPress} disabled={!onPress}>
       <View style={styles.menuInfo}>
         <Ionicons name={icon} size={20} color={colors.text.secondary} />
         <View style={styles.menuText}>
@@ -121,9 +259,27 @@ const ProfileScreen = ({ navigation }) => {
       {showArrow && (
         <Ionicons name="chevron-forward" size={20} color={colors.text.tertiary} />
       )}
+    </TouchableOpacity>
+  );
+
+  const OptionChips = ({ options, isSelected, onSelect, getLabel = String }) => (
+    <View style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={String(option)}
+          style={[styles.chip, isSelected(option) && styles.chipSelected]}
+          onPress={() => onSelect(option)}
+        >
+          <Text style={[styles.chipText, isSelected(option) && styles.chipTextSelected]}>
+            {getLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
     </View>
   );
 
+  const formatRate = (rate) => `${Math.round((rate || 0) * 100)}%`;
+
   // Get verification status for badge
   const getVerificationStatus = () => {
     if (isVerifiedDriver()) return { status: 'online', text: 'Verified' };
@@ -228,6 +384,28 @@ const ProfileScreen = ({ navigation }) => {
         </View>
       </Card>
 
+      <Card style={styles.statsCard}>
+        <Text style={styles.sectionTitle}>Response Rates</Text>
+        <View style={styles.rateRow}>
+          <Text style={[styles.rateLabel, styles.rateHeader]}>Last</Text>
+          <Text style={[styles.rateValue, styles.rateHeader]}>7 days</Text>
+          <Text style={[styles.rateValue, styles.rateHeader]}>30 days</Text>
+        </View>
+        {RESPONSE_RATE_ROWS.map(row => (
+          <View key={row.key} style={styles.rateRow}>
+            <View style={styles.rateLabelContainer}>
+              <Ionicons name={row.icon} size={16} color={colors.text.secondary} />
+              <Text style={styles.rateLabel}>{row.label}</Text>
+            </View>
+            <Text style={styles.rateValue}>{formatRate(responseStats?.last7Days?.[row.key])}</Text>
+            <Text style={styles.rateValue}>{formatRate(responseStats?.last30Days?.[row.key])}</Text>
+          </View>
+        ))}
+        <Text style={styles.rateFootnote}>
+          {responseStats?.last30Days?.offered || 0} requests offered in the last 30 days
+        </Text>
+      </Card>
+
       <Card style={styles.menuCard}>
         <Text style={styles.sectionTitle}>Vehicle & Documents</Text>
         <MenuRow
@@ -245,8 +423,63 @@ const ProfileScreen = ({ navigation }) => {
           icon="document-text"
           onPress={showDocuments}
         />
+        <MenuRow
+          title="Working Time Log"
+          subtitle="Shifts and breaks for the last 4 weeks"
+          icon="time"
+          onPress={openWorkingTimeLog}
+        />
       </Card>
 
+      <Modal
+        visible={showWorkingTimeLog}
+        animationType="slide"
+        onRequestClose={() => setShowWorkingTimeLog(false)}
+      >
+        <View style={styles.logContainer}>
+          <View style={styles.logHeader}>
+            <Text style={styles.logTitle}>Working Time Log</Text>
+            <TouchableOpacity onPress={() => setShowWorkingTimeLog(false)}>
+              <Ionicons name="close" size={24} color={colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.logSubtitle}>
+            {getDriverName()} - times in {getDriverTimeZone(driverProfile)}
+          </Text>
+          <ScrollView contentContainerStyle={styles.logContent}>
+            {!workingTimeLog ? (
+              <Text style={styles.logEmpty}>Loading...</Text>
+            ) : workingTimeLog.length === 0 ? (
+              <Text style={styles.logEmpty}>No shifts in the last 4 weeks</Text>
+            ) : workingTimeLog.map(day => (
+              <Card key={day.dateKey} style={styles.logDay}>
+                <View style={styles.logDayHeader}>
+                  <Text style={styles.logDayTitle}>{formatLogDate(day.dateKey)}</Text>
+                  {day.overLimit && (
+                    <StatusBadge status="offline" text="Over limit" />
+                  )}
+                </View>
+                <Text style={styles.logSummary}>
+                  Worked {formatDuration(day.workedMinutes)} ({formatDuration(day.busyMinutes)} on trips) - longest stretch {formatDuration(day.longestStretchMinutes)}
+                </Text>
+                <Text style={styles.logSummary}>
+                  {day.breaks.length} break{day.breaks.length !== 1 ? 's' : ''}
+                  {day.forcedBreaks > 0 && `, ${day.forcedBreaks} enforced`}
+                </Text>
+                {day.shifts.map(shift => (
+                  <View key={shift.id} style={styles.logShift}>
+                    <Text style={styles.logShiftTime}>
+                      {formatLogTime(shift.start)} - {shift.end ? formatLogTime(shift.end) : 'now'}
+                    </Text>
+                    <Text style={styles.logShiftMinutes}>{formatDuration(shift.minutes)}</Text>
+                  </View>
+                ))}
+              </Card>
+            ))}
+          </ScrollView>
+        </View>
+      </Modal>
+
       <Card style={styles.settingsCard}>
         <Text style={styles.sectionTitle}>Notification Settings</Text>
         <SettingRow
@@ -269,11 +502,22 @@ const ProfileScreen = ({ navigation }) => {
         <Text style={styles.sectionTitle}>Driver Preferences</Text>
         <SettingRow
           title="Auto-Accept Rides"
-          description="Automatically accept ride requests"
-          value={settings.autoAcceptRides}
-          onValueChange={(value) => updateSetting('autoAcceptRides', value)}
+          description="Accept matching requests when you're online and free"
+          value={autoAccept.enabled}
+          onValueChange={(enabled) => saveAutoAccept({ enabled })}
           icon="refresh"
         />
+        {autoAccept.enabled && (
+          <>
+            <Text style={styles.filterLabel}>Daily auto-accept limit</Text>
+            <OptionChips
+              options={DAILY_CAP_OPTIONS}
+              isSelected={(cap) => autoAccept.dailyCap === cap}
+              onSelect={(dailyCap) => saveAutoAccept({ dailyCap })}
+              getLabel={(cap) => `${cap} rides`}
+            />
+          </>
+        )}
         <SettingRow
           title="Share Location"
           description="Allow passengers to track your location"
@@ -281,13 +525,104 @@ const ProfileScreen = ({ navigation }) => {
           onValueChange={(value) => updateSetting('shareLocation', value)}
           icon="location"
         />
+        <Text style={styles.filterLabel}>Appearance</Text>
+        <OptionChips
+          options={THEME_MODE_OPTIONS}
+          isSelected={(mode) => settings.themeMode === mode}
+          onSelect={(mode) => updateSetting('themeMode', mode)}
+          getLabel={capitalize}
+        />
         <SettingRow
-          title="Dark Mode"
-          description="Use dark theme for the app"
-          value={settings.darkMode}
-          onValueChange={(value) => updateSetting('darkMode', value)}
+          title="Dark at Night"
+          description="Switch to the dark theme from 7pm to 7am"
+          value={settings.autoNightMode}
+          onValueChange={(value) => updateSetting('autoNightMode', value)}
           icon="moon"
         />
+        <MenuRow
+          title="Time Zone"
+          subtitle={`${getDriverTimeZone(driverProfile)} - used for daily and weekly earnings`}
+          icon="time"
+          onPress={() => setShowTimeZones(prev => !prev)}
+        />
+        {showTimeZones && timeZoneChoices.map(zone => (
+          <TouchableOpacity
+            key={zone}
+            style={styles.timeZoneOption}
+            onPress={() => selectTimeZone(zone)}
+          >
+            <Text style={styles.timeZoneText}>
+              {zone === deviceTimeZone ? `${zone} (device)` : zone}
+            </Text>
+            {zone === getDriverTimeZone(driverProfile) && (
+              <Ionicons name="checkmark" size={20} color={colors.primary} />
+            )}
+          </TouchableOpacity>
+        ))}
+      </Card>
+
+      <Card style={styles.settingsCard}>
+        <Text style={styles.sectionTitle}>Ride Request Filters</Text>
+        <Text style={styles.filterDescription}>
+          Only get alerted for requests that match these preferences
+        </Text>
+
+        <Text style={styles.filterLabel}>Max pickup distance</Text>
+        <OptionChips
+          options={PICKUP_DISTANCE_OPTIONS}
+          isSelected={(km) => requestFilters.maxPickupDistanceKm === km}
+          onSelect={(km) => saveRequestFilters({ maxPickupDistanceKm: km })}
+          getLabel={(km) => `${km} km`}
+        />
+
+        <Text style={styles.filterLabel}>Ride types {requestFilters.rideTypes.length === 0 && '(any)'}</Text>
+        <OptionChips
+          options={RIDE_TYPE_OPTIONS}
+          isSelected={(type) => requestFilters.rideTypes.includes(type)}
+          onSelect={(type) => toggleFilterOption('rideTypes', type)}
+          getLabel={capitalize}
+        />
+
+        <Text style={styles.filterLabel}>Payment methods {requestFilters.paymentMethods.length === 0 && '(any)'}</Text>
+        <OptionChips
+          options={PAYMENT_METHOD_OPTIONS}
+          isSelected={(method) => requestFilters.paymentMethods.includes(method)}
+          onSelect={(method) => toggleFilterOption('paymentMethods', method)}
+          getLabel={capitalize}
+        />
+
+        <Text style={styles.filterLabel}>Minimum fare</Text>
+        <OptionChips
+          options={MIN_FARE_OPTIONS}
+          isSelected={(fare) => requestFilters.minFare === fare}
+          onSelect={(fare) => saveRequestFilters({ minFare: fare })}
+          getLabel={(fare) => (fare ? `$${fare}` : 'Any')}
+        />
+
+        <Text style={styles.filterLabel}>Minimum passenger rating</Text>
+        <OptionChips
+          options={MIN_RATING_OPTIONS}
+          isSelected={(rating) => requestFilters.minPassengerRating === rating}
+          onSelect={(rating) => saveRequestFilters({ minPassengerRating: rating })}
+          getLabel={(rating) => (rating ? `${rating.toFixed(1)}+` : 'Any')}
+        />
+
+        <SettingRow
+          title={`Heading ${requestFilters.destination.label}`}
+          description="Only trips that take you towards home"
+          value={requestFilters.destination.enabled}
+          onValueChange={toggleHeadingHome}
+          icon="home"
+        />
+        <MenuRow
+          title={`Set ${requestFilters.destination.label} Location`}
+          subtitle={requestFilters.destination.latitude != null ?
+            `${requestFilters.destination.latitude.toFixed(4)}, ${requestFilters.destination.longitude.toFixed(4)}` :
+            'Use your current location'
+          }
+          icon="navigate"
+          onPress={setHomeToCurrentLocation}
+        />
       </Card>
 
       <Card style={styles.menuCard}>
@@ -327,7 +662,7 @@ const ProfileScreen = ({ navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -346,7 +681,7 @@ const styles = StyleSheet.create({
   },
   
   verificationBanner: {
-    backgroundColor: '#FFF9E6',
+    backgroundColor: colors.warningBackground,
     borderColor: colors.warning,
     borderWidth: 1,
     margin: spacing.md,
@@ -496,6 +831,44 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
   
+  rateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+  },
+  
+  rateLabelContainer: {
+    flex: 2,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  
+  rateLabel: {
+    flex: 2,
+    fontSize: typography.sizes.sm,
+    color: colors.text.primary,
+    marginLeft: spacing.sm,
+  },
+  
+  rateHeader: {
+    color: colors.text.secondary,
+    fontWeight: typography.weights.medium,
+  },
+  
+  rateValue: {
+    flex: 1,
+    fontSize: typography.sizes.sm,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+    textAlign: 'right',
+  },
+  
+  rateFootnote: {
+    fontSize: typography.sizes.xs,
+    color: colors.text.tertiary,
+    marginTop: spacing.sm,
+  },
+  
   menuCard: {
     marginHorizontal: spacing.md,
     marginBottom: spacing.sm,
@@ -570,6 +943,64 @@ const styles = StyleSheet.create({
     color: colors.text.secondary,
   },
   
+  timeZoneOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.sm,
+    paddingLeft: spacing.xl,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  
+  timeZoneText: {
+    fontSize: typography.sizes.md,
+    color: colors.text.primary,
+  },
+  
+  filterDescription: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginBottom: spacing.sm,
+  },
+  
+  filterLabel: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.medium,
+    color: colors.text.primary,
+    marginTop: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  
+  chip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  
+  chipText: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.primary,
+  },
+  
+  chipTextSelected: {
+    color: colors.surface,
+  },
+  
   signOutSection: {
     margin: spacing.md,
     marginTop: spacing.lg,
@@ -588,6 +1019,86 @@ const styles = StyleSheet.create({
     fontSize: typography.sizes.sm,
     color: colors.text.tertiary,
   },
+  
+  logContainer: {
+    flex: 1,
+    backgroundColor: colors.background,
+    paddingTop: spacing.xl,
+  },
+  
+  logHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+  },
+  
+  logTitle: {
+    fontSize: typography.sizes.xl,
+    fontWeight: typography.weights.bold,
+    color: colors.text.primary,
+  },
+  
+  logSubtitle: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    paddingHorizontal: spacing.lg,
+    marginTop: spacing.xs,
+    marginBottom: spacing.md,
+  },
+  
+  logContent: {
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+  
+  logEmpty: {
+    fontSize: typography.sizes.md,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    marginTop: spacing.xl,
+  },
+  
+  logDay: {
+    marginBottom: spacing.md,
+  },
+  
+  logDayHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  
+  logDayTitle: {
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  logSummary: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginBottom: spacing.xs,
+  },
+  
+  logShift: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.xs,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  
+  logShiftTime: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.primary,
+  },
+  
+  logShiftMinutes: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+  },
 });
 
 export default ProfileScreen;
\ No newline at end of file
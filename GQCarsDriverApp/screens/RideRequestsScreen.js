@@ -7,34 +7,76 @@ import {
   Alert,
   RefreshControl,
   AppState,
-  TouchableOpacity 
+  TouchableOpacity,
+  Modal
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Card, Button, StatusBadge } from '../shared/components/ui';
 import { RideRequestMap } from '../shared/components/Map';
-import { colors, spacing, typography } from '../shared/theme';
+import { spacing, typography, useTheme, useThemedStyles } from '../shared/theme';
 import { 
   rideRequestService, 
   notificationService, 
   locationService, 
   driverService,
+  dispatchService,
+  autoAcceptService,
+  workingTimeService,
   authService 
 } from '../services';
+import { ACCEPT_RESULT, DECLINE_REASON } from '../services/rideRequestService';
+import { RESPONSE_EVENT } from '../services/driverService';
+import { getAutoAcceptSettings } from '../services/autoAcceptService';
+import { getRequestFilters } from '../services/requestFilters';
+import { useAuth } from '../contexts/AuthContext';
+
+// Reasons offered when declining, in display order
+const DECLINE_REASON_OPTIONS = [
+  { reason: DECLINE_REASON.TOO_FAR, label: 'Too far away', icon: 'navigate' },
+  { reason: DECLINE_REASON.WRONG_DIRECTION, label: 'Wrong direction', icon: 'swap-horizontal' },
+  { reason: DECLINE_REASON.LOW_FARE, label: 'Fare too low', icon: 'cash' },
+  { reason: DECLINE_REASON.PASSENGER_RATING, label: 'Passenger rating', icon: 'star-half' },
+  { reason: DECLINE_REASON.UNSPECIFIED, label: 'No reason', icon: 'close' }
+];
 
 const RideRequestsScreen = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { driverProfile } = useAuth();
   const [refreshing, setRefreshing] = useState(false);
   const [rideRequests, setRideRequests] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [now, setNow] = useState(Date.now());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [driverLocation, setDriverLocation] = useState(null);
-  const [requestTimeouts, setRequestTimeouts] = useState({});
   const [currentUser, setCurrentUser] = useState(null);
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'map'
   const [selectedRequest, setSelectedRequest] = useState(null);
+  const [declineTarget, setDeclineTarget] = useState(null);
+  const [autoAcceptCountdown, setAutoAcceptCountdown] = useState(null);
+  const [workingTime, setWorkingTime] = useState(null);
   
   const unsubscribeRef = useRef(null);
+  const offersUnsubscribeRef = useRef(null);
+  const offerTimersRef = useRef({});
+  const requestTimersRef = useRef({});
+  const driverUnsubscribeRef = useRef(null);
+  const driverStatusRef = useRef(null);
+  const seenRequestIdsRef = useRef(new Set());
+  const listedRequestIdsRef = useRef(new Set());
+  const autoAcceptRef = useRef(null);
+  const driverProfileRef = useRef(driverProfile);
+  driverProfileRef.current = driverProfile;
+  const onBreakRef = useRef(false);
   const appStateRef = useRef(AppState.currentState);
   
+  // Kept in a ref so listeners started from async callbacks use the latest filters
+  const requestFilters = getRequestFilters(driverProfile);
+  const requestFiltersRef = useRef(requestFilters);
+  requestFiltersRef.current = requestFilters;
+  const requestFiltersKey = JSON.stringify(requestFilters);
+  
   // Mock data for fallback (with coordinates for map)
   const mockRequests = [
     {
@@ -114,12 +156,38 @@ const RideRequestsScreen = () => {
     
     const subscription = AppState.addEventListener('change', handleAppStateChange);
     
+    // Hide requests while the driver is on a required break
+    const unsubscribeWorkingTime = workingTimeService.subscribe((status) => {
+      onBreakRef.current = !status.canGoOnline;
+      if (onBreakRef.current) {
+        cancelAutoAccept();
+      }
+      setWorkingTime(status);
+    });
+    
     return () => {
       cleanup();
       subscription?.remove();
+      unsubscribeWorkingTime();
     };
   }, []);
   
+  // Tick once a second while an offer countdown is showing
+  useEffect(() => {
+    if (offers.length === 0) return;
+    
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [offers.length]);
+  
+  // Re-subscribe when the driver changes their request filters
+  useEffect(() => {
+    if (!driverLocation || !unsubscribeRef.current) return;
+    
+    unsubscribeRef.current();
+    startRideRequestListener(driverLocation);
+  }, [requestFiltersKey]);
+  
   // Initialize screen with services
   const initializeScreen = async () => {
     try {
@@ -136,12 +204,19 @@ const RideRequestsScreen = () => {
       // Initialize notification service
       await notificationService.initialize();
       
+      // Keep requests declined earlier out of the list
+      await rideRequestService.loadDeclinedRequests(user.uid).catch(error => {
+        console.error('Error loading declined requests:', error);
+      });
+      
       // Get driver location
       const location = await locationService.getCurrentLocation();
       setDriverLocation(location);
       
-      // Start listening to ride requests
+      // Start listening to the driver's status, ride requests and offers made to this driver
+      startDriverListener(user.uid);
       startRideRequestListener(location);
+      startOfferListener(user.uid);
       
     } catch (error) {
       console.error('Error initializing ride requests screen:', error);
@@ -153,6 +228,22 @@ const RideRequestsScreen = () => {
     }
   };
   
+  // Track the driver's status; request countdowns stop when they go offline
+  const startDriverListener = (driverId) => {
+    try {
+      driverUnsubscribeRef.current = driverService.subscribeToDriver(driverId, (driver, error) => {
+        if (error) return;
+        
+        driverStatusRef.current = driver?.status || null;
+        if (driverStatusRef.current === 'offline') {
+          Object.keys(requestTimersRef.current).forEach(clearRequestTimeout);
+        }
+      });
+    } catch (error) {
+      console.error('Error starting driver status listener:', error);
+    }
+  };
+  
   // Start real-time ride request listener
   const startRideRequestListener = (location) => {
     try {
@@ -166,17 +257,20 @@ const RideRequestsScreen = () => {
           
           // Process new requests for notifications
           const newRequests = requests.filter(request => 
-            !rideRequests.find(existing => existing.id === request.id)
+            !seenRequestIdsRef.current.has(request.id)
           );
           
           newRequests.forEach(request => {
+            seenRequestIdsRef.current.add(request.id);
             handleNewRideRequest(request);
           });
+          listedRequestIdsRef.current = new Set(requests.map(request => request.id));
           
           setRideRequests(requests);
           setError(null);
         },
-        location
+        location,
+        requestFiltersRef.current
       );
     } catch (error) {
       console.error('Error starting ride request listener:', error);
@@ -184,14 +278,119 @@ const RideRequestsScreen = () => {
     }
   };
   
+  // Start listening to requests offered to this driver by sequential dispatch
+  const startOfferListener = (driverId) => {
+    try {
+      offersUnsubscribeRef.current = dispatchService.subscribeToOffers(driverId, (offeredRequests, error) => {
+        if (error) {
+          console.error('Error in ride offers subscription:', error);
+          return;
+        }
+        
+        offeredRequests.forEach(request => {
+          if (!offerTimersRef.current[request.id]) {
+            handleNewOffer(request);
+          }
+        });
+        
+        setOffers(offeredRequests);
+      });
+    } catch (error) {
+      console.error('Error starting ride offer listener:', error);
+    }
+  };
+  
+  // Alert the driver and pass the offer on when its window runs out
+  const handleNewOffer = async (request) => {
+    const expiresAt = request.dispatch.currentOffer.expiresAt;
+    const expiresInMs = (expiresAt.toDate ? expiresAt.toDate() : new Date(expiresAt)) - Date.now();
+    
+    offerTimersRef.current[request.id] = setTimeout(async () => {
+      delete offerTimersRef.current[request.id];
+      setOffers(prev => prev.filter(offer => offer.id !== request.id));
+      try {
+        await dispatchService.expireOffer(request.id);
+      } catch (error) {
+        console.error('Error expiring ride offer:', error);
+      }
+    }, Math.max(expiresInMs, 0));
+    
+    // Let the offer run out and pass on during a required break
+    if (onBreakRef.current) return;
+    
+    try {
+      await notificationService.showUrgentRideAlert(request);
+      await maybeAutoAccept(request);
+    } catch (error) {
+      console.error('Error handling new ride offer:', error);
+    }
+  };
+  
+  // Start the undo countdown if this request should be auto-accepted
+  const maybeAutoAccept = async (request) => {
+    const driverId = authService.getCurrentUser()?.uid;
+    if (!driverId || !request.passengerInfo || autoAcceptRef.current || onBreakRef.current) return;
+    
+    const profile = driverProfileRef.current;
+    const location = locationService.currentLocation;
+    const { eligible } = await autoAcceptService.checkEligibility(request, driverId, profile, location);
+    if (!eligible || autoAcceptRef.current) return;
+    
+    const { undoSeconds } = getAutoAcceptSettings(profile);
+    let secondsLeft = undoSeconds;
+    
+    const interval = setInterval(async () => {
+      secondsLeft -= 1;
+      if (secondsLeft > 0) {
+        setAutoAcceptCountdown({ request, secondsLeft });
+        return;
+      }
+      
+      clearInterval(interval);
+      autoAcceptRef.current = null;
+      setAutoAcceptCountdown(null);
+      
+      // Counted against the daily cap by the accept transaction itself
+      await performAccept(request.id, driverId, { autoAccept: true });
+    }, 1000);
+    
+    autoAcceptRef.current = { requestId: request.id, interval };
+    setAutoAcceptCountdown({ request, secondsLeft });
+    await notificationService.announceAutoAccept(request, undoSeconds);
+  };
+  
+  // Undo a pending auto-accept; the request stays in the list
+  const cancelAutoAccept = () => {
+    if (autoAcceptRef.current) {
+      clearInterval(autoAcceptRef.current.interval);
+      autoAcceptRef.current = null;
+    }
+    setAutoAcceptCountdown(null);
+  };
+  
+  // Stop the countdown for an offer the driver has answered
+  const clearOfferTimer = (requestId) => {
+    if (offerTimersRef.current[requestId]) {
+      clearTimeout(offerTimersRef.current[requestId]);
+      delete offerTimersRef.current[requestId];
+    }
+  };
+  
   // Handle new incoming ride requests
   const handleNewRideRequest = async (request) => {
+    if (onBreakRef.current) return;
+    
     try {
       // Show notification alert
       await notificationService.showUrgentRideAlert(request);
       
-      // Start timeout countdown
-      startRequestTimeout(request.id);
+      // Only requests listed while online count towards the acceptance rate
+      if (driverStatusRef.current !== 'offline') {
+        startRequestTimeout(request.id);
+        recordResponse(request.id, RESPONSE_EVENT.OFFERED);
+      }
+      
+      await maybeAutoAccept(request);
       
       console.log('New ride request received:', request.id);
     } catch (error) {
@@ -205,9 +404,7 @@ const RideRequestsScreen = () => {
     const warningTime = 10000; // Show warning at 10 seconds left
     
     // Clear existing timeout if any
-    if (requestTimeouts[requestId]) {
-      clearTimeout(requestTimeouts[requestId]);
-    }
+    clearRequestTimeout(requestId);
     
     // Set warning timeout
     const warningTimeout = setTimeout(() => {
@@ -219,14 +416,27 @@ const RideRequestsScreen = () => {
       handleRequestTimeout(requestId);
     }, timeoutDuration);
     
-    setRequestTimeouts(prev => ({
-      ...prev,
-      [requestId]: { warning: warningTimeout, expiration: expirationTimeout }
-    }));
+    requestTimersRef.current[requestId] = { warning: warningTimeout, expiration: expirationTimeout };
+  };
+  
+  // Count a response to a broadcast request in the driver's response stats,
+  // once per request however often it's listed
+  const recordResponse = (requestId, event) => {
+    const driverId = authService.getCurrentUser()?.uid;
+    if (!driverId) return;
+    
+    driverService.recordBroadcastResponse(driverId, requestId, event).catch(error => {
+      console.error('Error recording response:', error);
+    });
   };
   
   // Handle request timeout
   const handleRequestTimeout = (requestId) => {
+    // Requests taken by another driver in the meantime don't count against this one
+    if (listedRequestIdsRef.current.has(requestId)) {
+      recordResponse(requestId, RESPONSE_EVENT.TIMED_OUT);
+    }
+    
     Alert.alert(
       'Request Expired',
       'The ride request has expired due to no response.',
@@ -239,15 +449,11 @@ const RideRequestsScreen = () => {
   
   // Clear request timeout
   const clearRequestTimeout = (requestId) => {
-    if (requestTimeouts[requestId]) {
-      clearTimeout(requestTimeouts[requestId].warning);
-      clearTimeout(requestTimeouts[requestId].expiration);
-      
-      setRequestTimeouts(prev => {
-        const updated = { ...prev };
-        delete updated[requestId];
-        return updated;
-      });
+    const timers = requestTimersRef.current[requestId];
+    if (timers) {
+      clearTimeout(timers.warning);
+      clearTimeout(timers.expiration);
+      delete requestTimersRef.current[requestId];
     }
   };
   
@@ -287,10 +493,20 @@ const RideRequestsScreen = () => {
       unsubscribeRef.current = null;
     }
     
+    if (offersUnsubscribeRef.current) {
+      offersUnsubscribeRef.current();
+      offersUnsubscribeRef.current = null;
+    }
+    
+    if (driverUnsubscribeRef.current) {
+      driverUnsubscribeRef.current();
+      driverUnsubscribeRef.current = null;
+    }
+    
     // Clear all timeouts
-    Object.keys(requestTimeouts).forEach(requestId => {
-      clearRequestTimeout(requestId);
-    });
+    Object.keys(requestTimersRef.current).forEach(clearRequestTimeout);
+    Object.keys(offerTimersRef.current).forEach(clearOfferTimer);
+    cancelAutoAccept();
   };
 
   const acceptRide = async (rideId, passengerName) => {
@@ -307,33 +523,7 @@ const RideRequestsScreen = () => {
           { text: 'Cancel', style: 'cancel' },
           { 
             text: 'Accept', 
-            onPress: async () => {
-              try {
-                // Clear timeout for this request
-                clearRequestTimeout(rideId);
-                
-                // Accept the ride in Firebase
-                const acceptedRide = await rideRequestService.acceptRideRequest(rideId, currentUser.uid);
-                
-                // Update driver status to busy
-                await driverService.updateDriverStatus(currentUser.uid, 'busy');
-                
-                // Show success notification
-                await notificationService.showRideAcceptedNotification();
-                
-                Alert.alert(
-                  'Ride Accepted!', 
-                  'Navigate to pickup location?',
-                  [
-                    { text: 'Later', style: 'cancel' },
-                    { text: 'Navigate', onPress: () => navigateToPickup(acceptedRide) }
-                  ]
-                );
-              } catch (error) {
-                console.error('Error accepting ride:', error);
-                Alert.alert('Error', 'Failed to accept ride. Please try again.');
-              }
-            }
+            onPress: () => performAccept(rideId, currentUser.uid)
           }
         ]
       );
@@ -343,35 +533,121 @@ const RideRequestsScreen = () => {
     }
   };
 
-  const declineRide = async (rideId) => {
+  // Accept a ride through the race-safe transaction; returns true on success
+  const performAccept = async (rideId, driverId, options = {}) => {
     try {
+      // Clear timeout for this request
+      clearRequestTimeout(rideId);
+      clearOfferTimer(rideId);
+      // Any countdown still running would hand the driver a second ride
+      cancelAutoAccept();
+      
+      // Accept the ride in Firebase
+      const result = await rideRequestService.acceptRideRequest(
+        rideId,
+        driverId,
+        getDriverInfo(),
+        options
+      );
+      
+      if (result.status !== ACCEPT_RESULT.ACCEPTED) {
+        // Someone else won the race or the request lapsed - drop it from the list
+        if (![ACCEPT_RESULT.DAILY_CAP, ACCEPT_RESULT.DRIVER_BUSY].includes(result.status)) {
+          setRideRequests(prev => prev.filter(request => request.id !== rideId));
+          setOffers(prev => prev.filter(offer => offer.id !== rideId));
+        }
+        Alert.alert(...getAcceptFailureMessage(result.status));
+        return false;
+      }
+      
+      const acceptedRide = result.request;
+      
+      // Update driver status to busy
+      await driverService.updateDriverStatus(driverId, 'busy');
+      
+      // Show success notification
+      await notificationService.showRideAcceptedNotification();
+      
       Alert.alert(
-        'Decline Ride',
-        'Are you sure you want to decline this ride request?',
+        'Ride Accepted!', 
+        'Navigate to pickup location?',
         [
-          { text: 'Cancel', style: 'cancel' },
-          { 
-            text: 'Decline', 
-            style: 'destructive',
-            onPress: async () => {
-              try {
-                // Clear timeout for this request
-                clearRequestTimeout(rideId);
-                
-                // Remove from local state immediately for better UX
-                setRideRequests(prev => prev.filter(request => request.id !== rideId));
-                
-                console.log('Ride declined:', rideId);
-              } catch (error) {
-                console.error('Error declining ride:', error);
-                Alert.alert('Error', 'Failed to decline ride.');
-              }
-            }
-          }
+          { text: 'Later', style: 'cancel' },
+          { text: 'Navigate', onPress: () => navigateToPickup(acceptedRide) }
         ]
       );
+      return true;
     } catch (error) {
-      console.error('Error in decline ride process:', error);
+      console.error('Error accepting ride:', error);
+      Alert.alert('Error', 'Failed to accept ride. Please try again.');
+      return false;
+    }
+  };
+
+  // Driver details copied onto the active trip for the passenger
+  const getDriverInfo = () => {
+    const profile = authService.driverProfile || {};
+    return {
+      name: `${profile.firstName || ''} ${profile.lastName || ''}`.trim(),
+      phone: profile.phone || '',
+      vehicleInfo: profile.vehicleInfo || {},
+      rating: profile.rating || 0
+    };
+  };
+  
+  // Alert title and message for a request that could not be accepted
+  const getAcceptFailureMessage = (status) => {
+    switch (status) {
+      case ACCEPT_RESULT.ALREADY_TAKEN:
+        return ['Ride Unavailable', 'This ride has already been accepted by another driver.'];
+      case ACCEPT_RESULT.EXPIRED:
+        return ['Request Expired', 'This ride request has expired.'];
+      case ACCEPT_RESULT.NOT_OFFERED:
+        return ['Offer Expired', 'This ride has been offered to another driver.'];
+      case ACCEPT_RESULT.DRIVER_BUSY:
+        return ['Already on a Trip', 'You can accept another ride once you are online and your current trip has finished.'];
+      case ACCEPT_RESULT.DAILY_CAP:
+        return ['Auto-Accept Paused', "You've reached today's auto-accept limit. Tap Accept to take this ride."];
+      default:
+        return ['Ride Unavailable', 'This ride request is no longer available.'];
+    }
+  };
+
+  // Ask why the driver is passing on a request
+  const declineRide = (rideId) => {
+    const request = [...offers, ...rideRequests].find(item => item.id === rideId);
+    if (request) {
+      setDeclineTarget(request);
+    }
+  };
+
+  const confirmDecline = async (reason) => {
+    const request = declineTarget;
+    setDeclineTarget(null);
+    if (!request) return;
+    
+    try {
+      // Clear timeout for this request
+      clearRequestTimeout(request.id);
+      clearOfferTimer(request.id);
+      if (autoAcceptRef.current?.requestId === request.id) {
+        cancelAutoAccept();
+      }
+      
+      // Remove from local state immediately for better UX
+      setRideRequests(prev => prev.filter(item => item.id !== request.id));
+      setOffers(prev => prev.filter(offer => offer.id !== request.id));
+      
+      // Mock requests have no Firestore document
+      if (!request.passengerInfo || !currentUser) return;
+      
+      // Offers pass straight on to the next driver; broadcast requests stay hidden until they expire
+      await rideRequestService.declineRideRequest(request, currentUser.uid, reason, driverLocation);
+      
+      console.log('Ride declined:', request.id, reason);
+    } catch (error) {
+      console.error('Error declining ride:', error);
+      Alert.alert('Error', 'Failed to decline ride.');
     }
   };
   
@@ -428,9 +704,18 @@ const RideRequestsScreen = () => {
     return 'low';
   };
 
+  // Seconds left on an offer made to this driver, or null for broadcast requests
+  const getOfferSecondsLeft = (request) => {
+    const expiresAt = request.dispatch?.currentOffer?.expiresAt;
+    if (!offers.some(offer => offer.id === request.id) || !expiresAt) return null;
+    const expiry = expiresAt.toDate ? expiresAt.toDate() : new Date(expiresAt);
+    return Math.max(Math.ceil((expiry - now) / 1000), 0);
+  };
+
   const renderRideRequest = ({ item }) => {
     // Format the request for display
     const displayItem = item.passengerInfo ? formatRequestForDisplay(item) : item;
+    const offerSecondsLeft = getOfferSecondsLeft(item);
     
     return (
     <Card style={styles.requestCard}>
@@ -444,6 +729,9 @@ const RideRequestsScreen = () => {
         </View>
         <View style={styles.requestMeta}>
           <Text style={styles.requestTime}>{displayItem.requestTime}</Text>
+          {offerSecondsLeft !== null && (
+            <StatusBadge status="online" text={`Offered to you · ${offerSecondsLeft}s`} size="small" />
+          )}
           {displayItem.priority === 'high' && (
             <StatusBadge status="earning" text="High Priority" size="small" />
           )}
@@ -539,6 +827,13 @@ const RideRequestsScreen = () => {
     </View>
   );
 
+  // Offers made to this driver are listed first; none are shown during a required break
+  const isOnBreak = workingTime ? !workingTime.canGoOnline : false;
+  const visibleRequests = isOnBreak ? [] : [
+    ...offers,
+    ...rideRequests.filter(request => !offers.some(offer => offer.id === request.id))
+  ];
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -546,7 +841,7 @@ const RideRequestsScreen = () => {
           <View style={styles.headerInfo}>
             <Text style={styles.headerTitle}>Available Ride Requests</Text>
             <Text style={styles.headerSubtitle}>
-              {loading ? 'Loading...' : `${rideRequests.length} request${rideRequests.length !== 1 ? 's' : ''} available`}
+              {loading ? 'Loading...' : `${visibleRequests.length} request${visibleRequests.length !== 1 ? 's' : ''} available`}
             </Text>
             {driverLocation && (
               <Text style={styles.locationIndicator}>
@@ -581,6 +876,58 @@ const RideRequestsScreen = () => {
         </View>
       </View>
 
+      {isOnBreak && (
+        <View style={styles.breakBanner}>
+          <Ionicons name="cafe" size={20} color={colors.danger} />
+          <Text style={styles.breakText}>
+            Required break until {workingTime.blockedUntil.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}. Requests are hidden until then.
+          </Text>
+        </View>
+      )}
+
+      {autoAcceptCountdown && (
+        <View style={styles.autoAcceptBanner}>
+          <Ionicons name="flash" size={20} color={colors.surface} />
+          <Text style={styles.autoAcceptText} numberOfLines={2}>
+            Auto-accepting {autoAcceptCountdown.request.passengerInfo?.name || 'ride'} in {autoAcceptCountdown.secondsLeft}s
+          </Text>
+          <TouchableOpacity style={styles.autoAcceptCancel} onPress={cancelAutoAccept}>
+            <Text style={styles.autoAcceptCancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <Modal
+        visible={Boolean(declineTarget)}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setDeclineTarget(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.declineSheet}>
+            <Text style={styles.declineTitle}>Decline Ride</Text>
+            <Text style={styles.declineSubtitle}>Why are you passing on this request?</Text>
+            {DECLINE_REASON_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.reason}
+                style={styles.declineOption}
+                onPress={() => confirmDecline(option.reason)}
+              >
+                <Ionicons name={option.icon} size={20} color={colors.text.secondary} />
+                <Text style={styles.declineOptionText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+            <Button
+              title="Cancel"
+              variant="secondary"
+              size="medium"
+              onPress={() => setDeclineTarget(null)}
+              style={styles.declineCancel}
+            />
+          </View>
+        </View>
+      </Modal>
+
       {loading ? (
         <LoadingState />
       ) : error ? (
@@ -588,19 +935,19 @@ const RideRequestsScreen = () => {
       ) : viewMode === 'map' ? (
         <RideRequestMap
           driverLocation={driverLocation}
-          rideRequests={rideRequests}
+          rideRequests={visibleRequests}
           selectedRequest={selectedRequest}
           onRequestSelect={(request) => setSelectedRequest(request)}
           style={styles.map}
         />
       ) : (
         <FlatList
-          data={rideRequests}
+          data={visibleRequests}
           renderItem={renderRideRequest}
           keyExtractor={(item) => item.id}
           contentContainerStyle={[
             styles.listContainer,
-            rideRequests.length === 0 && styles.emptyContainer
+            visibleRequests.length === 0 && styles.emptyContainer
           ]}
           refreshControl={
             <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
@@ -613,7 +960,7 @@ const RideRequestsScreen = () => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -656,6 +1003,99 @@ const styles = StyleSheet.create({
     flex: 1,
   },
   
+  autoAcceptBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.success,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+    padding: spacing.md,
+    borderRadius: 8,
+  },
+  
+  autoAcceptText: {
+    flex: 1,
+    fontSize: typography.sizes.md,
+    fontWeight: typography.weights.semibold,
+    color: colors.surface,
+    marginLeft: spacing.sm,
+  },
+  
+  autoAcceptCancel: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.surface,
+  },
+  
+  autoAcceptCancelText: {
+    fontSize: typography.sizes.sm,
+    fontWeight: typography.weights.semibold,
+    color: colors.surface,
+  },
+  
+  breakBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.dangerBackground,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+    padding: spacing.md,
+    borderRadius: 8,
+  },
+  
+  breakText: {
+    flex: 1,
+    fontSize: typography.sizes.md,
+    color: colors.text.primary,
+    marginLeft: spacing.sm,
+  },
+  
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  
+  declineSheet: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: spacing.lg,
+  },
+  
+  declineTitle: {
+    fontSize: typography.sizes.lg,
+    fontWeight: typography.weights.semibold,
+    color: colors.text.primary,
+  },
+  
+  declineSubtitle: {
+    fontSize: typography.sizes.sm,
+    color: colors.text.secondary,
+    marginTop: spacing.xs,
+    marginBottom: spacing.md,
+  },
+  
+  declineOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  
+  declineOptionText: {
+    fontSize: typography.sizes.md,
+    color: colors.text.primary,
+    marginLeft: spacing.md,
+  },
+  
+  declineCancel: {
+    marginTop: spacing.md,
+  },
+  
   headerTitle: {
     fontSize: typography.sizes.xl,
     fontWeight: typography.weights.bold,
@@ -11,11 +11,13 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
-import { colors, spacing, typography } from '../../shared/theme';
+import { spacing, typography, useTheme, useThemedStyles } from '../../shared/theme';
 import { Button, Card } from '../../shared/components/ui';
 import { useAuth } from '../../contexts/AuthContext';
 
 const DocumentVerificationScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [uploadingDocument, setUploadingDocument] = useState(null);
   const { driverProfile, uploadDocument, updateDriverProfile, getVerificationProgress } = useAuth();
 
@@ -281,7 +283,7 @@ const DocumentVerificationScreen = ({ navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -12,11 +12,13 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
-import { colors, spacing, typography } from '../../shared/theme';
+import { spacing, typography, useTheme, useThemedStyles } from '../../shared/theme';
 import { Button } from '../../shared/components/ui';
 import { useAuth } from '../../contexts/AuthContext';
 
 const ForgotPasswordScreen = ({ navigation, route }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [email, setEmail] = useState(route.params?.email || '');
   const [isLoading, setIsLoading] = useState(false);
   const [emailSent, setEmailSent] = useState(false);
@@ -169,7 +171,7 @@ const ForgotPasswordScreen = ({ navigation, route }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -12,11 +12,13 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
-import { colors, spacing, typography } from '../../shared/theme';
+import { spacing, typography, useTheme, useThemedStyles } from '../../shared/theme';
 import { Button } from '../../shared/components/ui';
 import { useAuth } from '../../contexts/AuthContext';
 
 const LoginScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -256,7 +258,7 @@ const LoginScreen = ({ navigation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -305,7 +307,7 @@ const styles = StyleSheet.create({
   errorContainer: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#FFF5F5',
+    backgroundColor: colors.dangerBackground,
     borderColor: colors.danger,
     borderWidth: 1,
     borderRadius: 8,
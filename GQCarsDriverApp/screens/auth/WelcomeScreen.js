@@ -9,12 +9,13 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
-import { colors, spacing, typography } from '../../shared/theme';
+import { spacing, typography, useThemedStyles } from '../../shared/theme';
 import { Button } from '../../shared/components/ui';
 
 const { width, height } = Dimensions.get('window');
 
 const WelcomeScreen = ({ navigation }) => {
+  const styles = useThemedStyles(createStyles);
   const handleLogin = () => {
     navigation.navigate('Login');
   };
@@ -110,19 +111,23 @@ const WelcomeScreen = ({ navigation }) => {
   );
 };
 
-const FeatureItem = ({ icon, title, description }) => (
-  <View style={styles.featureItem}>
-    <View style={styles.featureIconContainer}>
-      <Ionicons name={icon} size={24} color="#FFFFFF" />
-    </View>
-    <View style={styles.featureTextContainer}>
-      <Text style={styles.featureTitle}>{title}</Text>
-      <Text style={styles.featureDescription}>{description}</Text>
+const FeatureItem = ({ icon, title, description }) => {
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.featureItem}>
+      <View style={styles.featureIconContainer}>
+        <Ionicons name={icon} size={24} color="#FFFFFF" />
+      </View>
+      <View style={styles.featureTextContainer}>
+        <Text style={styles.featureTitle}>{title}</Text>
+        <Text style={styles.featureDescription}>{description}</Text>
+      </View>
     </View>
-  </View>
-);
+  );
+};
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
   },
@@ -0,0 +1,110 @@
+import { roundCurrency, calculateFare, DEFAULT_RATE_CARDS } from '../fareService';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  getDocs: jest.fn()
+}));
+jest.mock('../../../firebase.js', () => ({ db: {} }));
+
+const rateCard = {
+  baseFare: 2.5,
+  perKm: 1.2,
+  perMinute: 0.2,
+  minimumFare: 5,
+  commissionRate: 0.2
+};
+
+describe('roundCurrency', () => {
+  it('rounds half-up at .005', () => {
+    expect(roundCurrency(1.005)).toBe(1.01);
+    expect(roundCurrency(2.675)).toBe(2.68);
+    expect(roundCurrency(10.125)).toBe(10.13);
+  });
+
+  it('rounds below .005 down', () => {
+    expect(roundCurrency(1.004)).toBe(1);
+    expect(roundCurrency(1.0049)).toBe(1);
+  });
+
+  it('treats missing amounts as zero', () => {
+    expect(roundCurrency(undefined)).toBe(0);
+    expect(roundCurrency(null)).toBe(0);
+  });
+});
+
+describe('calculateFare', () => {
+  it('prices base, distance and time separately', () => {
+    const fare = calculateFare(rateCard, { distance: 10, duration: 20 });
+
+    expect(fare.baseFare).toBe(2.5);
+    expect(fare.distanceFare).toBe(12);
+    expect(fare.timeFare).toBe(4);
+    expect(fare.surgeFare).toBe(0);
+    expect(fare.totalFare).toBe(18.5);
+  });
+
+  it('charges surge on base + distance + time', () => {
+    const fare = calculateFare(rateCard, { distance: 10, duration: 20, surgeMultiplier: 1.5 });
+
+    expect(fare.surgeFare).toBe(9.25);
+    expect(fare.totalFare).toBe(27.75);
+  });
+
+  it('tops the base fare up to the minimum fare', () => {
+    const fare = calculateFare(rateCard, { distance: 1, duration: 2 });
+
+    // 2.50 + 1.20 + 0.40 = 4.10, so 0.90 goes on the base fare
+    expect(fare.baseFare).toBe(3.4);
+    expect(fare.totalFare).toBe(5);
+    expect(fare.baseFare + fare.distanceFare + fare.timeFare).toBeCloseTo(fare.totalFare, 10);
+  });
+
+  it('applies the minimum fare before tolls', () => {
+    const fare = calculateFare(rateCard, { distance: 1, duration: 2, tolls: 3 });
+
+    expect(fare.totalFare).toBe(8);
+  });
+
+  it('caps the discount so the total never drops below the tolls', () => {
+    const fare = calculateFare(rateCard, { distance: 10, duration: 20, tolls: 4.2, discount: 50 });
+
+    expect(fare.discount).toBe(18.5);
+    expect(fare.tolls).toBe(4.2);
+    expect(fare.totalFare).toBe(4.2);
+    expect(fare.commission).toBe(0);
+    expect(fare.driverEarning).toBe(4.2);
+  });
+
+  it('ignores negative discounts and tolls', () => {
+    const fare = calculateFare(rateCard, { distance: 10, duration: 20, tolls: -2, discount: -5 });
+
+    expect(fare.discount).toBe(0);
+    expect(fare.tolls).toBe(0);
+    expect(fare.totalFare).toBe(18.5);
+  });
+
+  it('takes commission on the discounted fare and not on tolls', () => {
+    const fare = calculateFare(rateCard, { distance: 10, duration: 20, tolls: 3, discount: 2.5 });
+
+    expect(fare.totalFare).toBe(19);
+    expect(fare.commission).toBe(3.2);
+    expect(fare.driverEarning).toBe(15.8);
+  });
+
+  it('splits the total exactly between commission and driver earning', () => {
+    const fare = calculateFare(rateCard, { distance: 7.3, duration: 13, tolls: 1.15, commissionRate: 0.175 });
+
+    // (2.50 + 8.76 + 2.60) * 0.175 = 2.4255, rounded on its own
+    expect(fare.commission).toBe(2.43);
+    expect(fare.totalFare).toBe(15.01);
+    expect(fare.driverEarning).toBe(12.58);
+    expect(roundCurrency(fare.commission + fare.driverEarning)).toBe(fare.totalFare);
+  });
+
+  it('uses the rate card commission unless one is given', () => {
+    const fare = calculateFare(DEFAULT_RATE_CARDS.premium, { distance: 5, duration: 10 });
+
+    expect(fare.commissionRate).toBe(DEFAULT_RATE_CARDS.premium.commissionRate);
+    expect(fare.commission).toBe(roundCurrency(fare.totalFare * fare.commissionRate));
+  });
+});
@@ -0,0 +1,68 @@
+import offlineActionQueue, { QUEUED_ACTION } from '../offlineActionQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('offlineActionQueue replay', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    await offlineActionQueue.loaded;
+    offlineActionQueue.actions = [];
+    offlineActionQueue.clearConflicts();
+    offlineActionQueue.setOnline(false);
+  });
+
+  afterEach(() => {
+    clearTimeout(offlineActionQueue.retryTimer);
+    jest.useRealTimers();
+  });
+
+  it('retries a failing action with backoff instead of stranding the queue', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('Permission denied'))
+      .mockResolvedValue('ok');
+    offlineActionQueue.registerHandler(QUEUED_ACTION.DRIVER_STATUS, handler);
+
+    await offlineActionQueue.execute(QUEUED_ACTION.DRIVER_STATUS, { status: 'offline' });
+    offlineActionQueue.setOnline(true);
+    await flushPromises();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(offlineActionQueue.getPendingActions()).toHaveLength(1);
+
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(offlineActionQueue.getPendingActions()).toHaveLength(0);
+    expect(offlineActionQueue.getConflicts()).toHaveLength(0);
+  });
+
+  it('drops an action that keeps failing as a conflict and replays the rest', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('Permission denied'));
+    const next = jest.fn().mockResolvedValue('ok');
+    offlineActionQueue.registerHandler(QUEUED_ACTION.TRIP_TRANSITION, failing);
+    offlineActionQueue.registerHandler(QUEUED_ACTION.DRIVER_STATUS, next);
+
+    await offlineActionQueue.execute(QUEUED_ACTION.TRIP_TRANSITION, { tripId: 'trip1' });
+    await offlineActionQueue.execute(QUEUED_ACTION.DRIVER_STATUS, { status: 'offline' });
+    offlineActionQueue.setOnline(true);
+    await flushPromises();
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      expect(next).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(2000 * 2 ** (attempt - 1));
+      await flushPromises();
+    }
+
+    expect(failing).toHaveBeenCalledTimes(5);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(offlineActionQueue.getPendingActions()).toHaveLength(0);
+    expect(offlineActionQueue.getConflicts()).toEqual([
+      expect.objectContaining({ reason: 'Permission denied' })
+    ]);
+  });
+});
@@ -0,0 +1,142 @@
+import {
+  DEFAULT_WORKING_TIME_RULES,
+  WORKING_TIME_STATUS,
+  evaluateWorkingTime,
+  getDailyLimitEnd,
+  getWorkIntervals,
+  buildWorkingTimeLog
+} from '../workingTimeRules';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2025-03-10T12:00:00Z');
+
+const hoursAgo = (hours, from = now) => new Date(from.getTime() - hours * HOUR_MS);
+
+// Shift from `start` to `end` hours before now; open if end is omitted
+const shift = (start, end, extra = {}) => ({
+  startedAt: hoursAgo(start),
+  endedAt: end === undefined ? null : hoursAgo(end),
+  ...extra
+});
+
+describe('evaluateWorkingTime', () => {
+  it('only counts the rolling last 24 hours towards the daily limit', () => {
+    const status = evaluateWorkingTime([shift(30, 20)], DEFAULT_WORKING_TIME_RULES, now);
+
+    expect(status.dailyMinutes).toBe(240);
+    expect(status.continuousMinutes).toBe(0);
+    expect(status.status).toBe(WORKING_TIME_STATUS.OK);
+  });
+
+  it('drops work out of the window as time passes', () => {
+    const shifts = [shift(30, 20)];
+    const later = new Date(now.getTime() + 4 * HOUR_MS);
+
+    expect(evaluateWorkingTime(shifts, DEFAULT_WORKING_TIME_RULES, later).dailyMinutes).toBe(0);
+  });
+
+  it('keeps continuous driving going across gaps shorter than the minimum break', () => {
+    // 30 minute gap: not a break, and not counted as driving either
+    const status = evaluateWorkingTime([shift(5, 3), shift(2.5)], DEFAULT_WORKING_TIME_RULES, now);
+
+    expect(status.continuousMinutes).toBe(270);
+    expect(status.status).toBe(WORKING_TIME_STATUS.BREAK_REQUIRED);
+    expect(status.canGoOnline).toBe(false);
+    expect(status.blockedUntil).toEqual(new Date(now.getTime() + 45 * 60000));
+  });
+
+  it('resets continuous driving after a qualifying break', () => {
+    const status = evaluateWorkingTime([shift(5, 3), shift(2.25)], DEFAULT_WORKING_TIME_RULES, now);
+
+    expect(status.continuousMinutes).toBe(135);
+    expect(status.dailyMinutes).toBe(255);
+    expect(status.status).toBe(WORKING_TIME_STATUS.OK);
+  });
+
+  it('counts an open shift up to now', () => {
+    const status = evaluateWorkingTime([shift(4 + 10 / 60)], DEFAULT_WORKING_TIME_RULES, now);
+
+    expect(status.continuousMinutes).toBeCloseTo(250, 6);
+    expect(status.minutesUntilBreak).toBeCloseTo(20, 6);
+    expect(status.status).toBe(WORKING_TIME_STATUS.WARNING);
+    expect(status.canGoOnline).toBe(true);
+  });
+
+  it('blocks an open shift that started more than a day ago', () => {
+    const status = evaluateWorkingTime([shift(60)], DEFAULT_WORKING_TIME_RULES, now);
+
+    expect(status.dailyMinutes).toBe(1440);
+    expect(status.status).toBe(WORKING_TIME_STATUS.DAILY_LIMIT);
+    expect(status.canGoOnline).toBe(false);
+  });
+
+  it('blocks until enough work has left the window once the daily limit is hit', () => {
+    const shifts = [shift(23, 19), shift(18, 14), shift(13, 10)];
+    const status = evaluateWorkingTime(shifts, DEFAULT_WORKING_TIME_RULES, now);
+
+    expect(status.dailyMinutes).toBe(660);
+    expect(status.status).toBe(WORKING_TIME_STATUS.DAILY_LIMIT);
+    // The first hour of the 23h-ago shift has to roll out of the window
+    expect(status.blockedUntil).toEqual(new Date(now.getTime() + 2 * HOUR_MS));
+  });
+});
+
+describe('getDailyLimitEnd', () => {
+  const windowStart = hoursAgo(24);
+
+  it('only counts the part of a shift inside the window', () => {
+    const intervals = getWorkIntervals([shift(26, 22)], now);
+
+    expect(getDailyLimitEnd(intervals, windowStart, 30)).toEqual(new Date(now.getTime() + 30 * 60000));
+  });
+
+  it('moves on to later shifts once earlier ones have rolled out', () => {
+    const intervals = getWorkIntervals([shift(24, 23), shift(22, 20)], now);
+
+    expect(getDailyLimitEnd(intervals, windowStart, 90)).toEqual(new Date(now.getTime() + 2.5 * HOUR_MS));
+  });
+});
+
+describe('buildWorkingTimeLog', () => {
+  const at = (time) => new Date(`2025-03-${time}Z`);
+  const shifts = [
+    { id: 'a', startedAt: at('09T08:00:00'), endedAt: at('09T10:00:00') },
+    { id: 'b', startedAt: at('09T10:20:00'), endedAt: at('09T12:00:00') },
+    { id: 'c', startedAt: at('09T13:00:00'), endedAt: at('09T15:00:00'), endReason: 'forced_break' },
+    { id: 'd', startedAt: at('10T09:00:00'), endedAt: null }
+  ];
+
+  it('groups shifts by day, newest first, with only qualifying gaps as breaks', () => {
+    const [today, yesterday] = buildWorkingTimeLog(shifts, DEFAULT_WORKING_TIME_RULES, 'UTC', now);
+
+    expect(yesterday.dateKey).toBe('2025-03-09');
+    expect(yesterday.workedMinutes).toBe(340);
+    expect(yesterday.breaks).toEqual([
+      { start: at('09T12:00:00'), end: at('09T13:00:00'), minutes: 60 }
+    ]);
+    // The 20 minute gap doesn't end the stretch
+    expect(yesterday.longestStretchMinutes).toBe(220);
+    expect(yesterday.forcedBreaks).toBe(1);
+    expect(yesterday.overLimit).toBe(false);
+
+    expect(today.dateKey).toBe('2025-03-10');
+    expect(today.breaks).toHaveLength(1);
+  });
+
+  it('runs an open shift until now without an end', () => {
+    const [today] = buildWorkingTimeLog(shifts, DEFAULT_WORKING_TIME_RULES, 'UTC', now);
+
+    expect(today.shifts).toEqual([
+      expect.objectContaining({ id: 'd', start: at('10T09:00:00'), end: null, minutes: 180 })
+    ]);
+    expect(today.workedMinutes).toBe(180);
+  });
+
+  it('flags a day with a stretch over the continuous limit', () => {
+    const long = [{ id: 'e', startedAt: at('08T06:00:00'), endedAt: at('08T11:00:00') }];
+    const [day] = buildWorkingTimeLog(long, DEFAULT_WORKING_TIME_RULES, 'UTC', now);
+
+    expect(day.longestStretchMinutes).toBe(300);
+    expect(day.overLimit).toBe(true);
+  });
+});
@@ -10,9 +10,29 @@ import {
   query, 
   where, 
   orderBy, 
-  onSnapshot 
+  onSnapshot,
+  runTransaction
 } from 'firebase/firestore';
 import { db } from '../../firebase.js';
+import earningsService from './earningsService.js';
+import shiftService from './shiftService.js';
+import ledgerService from './ledgerService.js';
+import driverService, { RESPONSE_EVENT } from './driverService.js';
+import fareService, { DEFAULT_RATE_CARDS, calculateFare, selectRateCard } from './fareService.js';
+import locationService from './locationService.js';
+import offlineActionQueue, { QUEUED_ACTION } from './offlineActionQueue.js';
+import {
+  TRIP_STATUS,
+  ACTIVE_TRIP_STATUSES,
+  canTransition,
+  getAllowedTransitions
+} from './tripStateMachine.js';
+import {
+  getLegForStatus,
+  createTrackingState,
+  addBreadcrumb,
+  serializeTracking
+} from './tripTracking.js';
 
 /**
  * Active Trips Collection Schema:
@@ -54,16 +74,30 @@ import { db } from '../../firebase.js';
  *     duration: number, // in minutes
  *     polyline: string // encoded polyline for route
  *   },
- *   status: string, // 'assigned', 'en_route_pickup', 'arrived_pickup', 'passenger_onboard', 'en_route_dropoff', 'completed', 'cancelled'
- *   fareInfo: {
+ *   status: string, // 'assigned', 'en_route_pickup', 'arrived_pickup', 'passenger_onboard', 'en_route_dropoff', 'completed', 'cancelled', 'no_show'
+ *   statusHistory: [{
+ *     from: string | null,
+ *     to: string,
+ *     timestamp: timestamp,
+ *     location: { latitude: number, longitude: number } | null,
+ *     actor: string // 'driver', 'passenger', 'system'
+ *   }],
+ *   fareInfo: { // estimate at acceptance, final fare on completion (see fareService)
  *     baseFare: number,
  *     distanceFare: number,
  *     timeFare: number,
  *     surgeFare: number,
+ *     surgeMultiplier: number,
+ *     tolls: number,
  *     discount: number,
  *     totalFare: number,
+ *     commissionRate: number,
+ *     commission: number,
  *     driverEarning: number
  *   },
+ *   rateCard: object, // rates locked in when the request was accepted
+ *   promoCode: string (optional),
+ *   promoDiscount: number, // promo amount requested, capped at the fare when priced
  *   rideType: string, // 'standard', 'premium', 'shared'
  *   paymentMethod: string, // 'cash', 'card', 'wallet'
  *   paymentStatus: string, // 'pending', 'paid', 'failed'
@@ -72,8 +106,17 @@ import { db } from '../../firebase.js';
  *   dropoffTime: timestamp (optional),
  *   completedTime: timestamp (optional),
  *   estimatedArrival: timestamp,
- *   actualDistance: number (optional),
- *   actualDuration: number (optional),
+ *   actualDistance: number (optional), // paid leg, in kilometers
+ *   actualDuration: number (optional), // paid leg, in minutes
+ *   pickupDistance: number (optional), // unpaid drive to the passenger, in kilometers
+ *   pickupDuration: number (optional), // in minutes
+ *   tracking: { // GPS breadcrumbs, see tripTracking.js
+ *     pickupLeg: { distance: number, pointCount: number, polyline: string },
+ *     paidLeg: { distance: number, pointCount: number, polyline: string },
+ *     lastPoint: { latitude, longitude, accuracy, timestamp },
+ *     rejectedCount: number, // fixes dropped as jitter or low accuracy
+ *     updatedAt: timestamp
+ *   },
  *   rating: {
  *     passengerRating: number (optional),
  *     driverRating: number (optional),
@@ -86,10 +129,84 @@ import { db } from '../../firebase.js';
  */
 
 const COLLECTION_NAME = 'active_trips';
+const BREADCRUMB_SAVE_EVERY = 6; // kept fixes
+const BREADCRUMB_SAVE_INTERVAL_MS = 60 * 1000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// Errors meaning the server's trip state rejects the change (not retryable)
+const tripStateError = (code, message) => {
+  const error = new Error(message);
+  error.code = `trip/${code}`;
+  return error;
+};
 
 class ActiveTripService {
   constructor() {
     this.collectionRef = collection(db, COLLECTION_NAME);
+    this.breadcrumbs = null;
+    this.breadcrumbUnsubscribe = null;
+    
+    // Replayed actions keep the time the driver actually tapped the button
+    offlineActionQueue.registerHandler(QUEUED_ACTION.TRIP_TRANSITION, (payload, action) =>
+      this.transitionTrip(
+        payload.tripId,
+        payload.status,
+        payload.additionalData,
+        payload.driverLocation,
+        payload.actor,
+        new Date(action.clientTimestamp)
+      )
+    );
+    offlineActionQueue.registerHandler(QUEUED_ACTION.TRIP_COMPLETE, (payload, action) =>
+      this.finalizeTrip(
+        payload.tripId,
+        payload.driverLocation,
+        payload.overrides,
+        new Date(action.clientTimestamp)
+      )
+    );
+  }
+
+  /**
+   * Build the active trip document for an accepted ride request
+   */
+  buildActiveTrip(rideRequestData, driverInfo, now = new Date(), rateCard = selectRateCard(DEFAULT_RATE_CARDS, rideRequestData.rideType)) {
+    return {
+      rideRequestId: rideRequestData.id,
+      driverId: rideRequestData.assignedDriverId,
+      passengerId: rideRequestData.passengerId,
+      passengerInfo: rideRequestData.passengerInfo,
+      driverInfo,
+      pickupLocation: rideRequestData.pickupLocation,
+      dropoffLocation: rideRequestData.dropoffLocation,
+      route: {
+        distance: rideRequestData.estimatedDistance,
+        duration: rideRequestData.estimatedDuration,
+        polyline: ''
+      },
+      status: TRIP_STATUS.ASSIGNED,
+      statusHistory: [
+        this.buildStatusHistoryEntry(null, TRIP_STATUS.ASSIGNED, now, null, 'driver')
+      ],
+      fareInfo: calculateFare(rateCard, {
+        distance: rideRequestData.estimatedDistance,
+        duration: rideRequestData.estimatedDuration,
+        surgeMultiplier: rideRequestData.surgeMultiplier,
+        discount: rideRequestData.discount
+      }),
+      rateCard,
+      promoCode: rideRequestData.promoCode || null,
+      promoDiscount: rideRequestData.discount || 0,
+      rideType: rideRequestData.rideType,
+      paymentMethod: rideRequestData.paymentMethod,
+      paymentStatus: 'pending',
+      startTime: now,
+      estimatedArrival: new Date(now.getTime() + (rideRequestData.estimatedDuration * 60 * 1000)),
+      rating: {},
+      createdAt: now,
+      updatedAt: now
+    };
   }
 
   /**
@@ -97,40 +214,8 @@ class ActiveTripService {
    */
   async createActiveTrip(rideRequestData, driverInfo) {
     try {
-      const now = new Date();
-      
-      const activeTrip = {
-        rideRequestId: rideRequestData.id,
-        driverId: rideRequestData.assignedDriverId,
-        passengerId: rideRequestData.passengerId,
-        passengerInfo: rideRequestData.passengerInfo,
-        driverInfo,
-        pickupLocation: rideRequestData.pickupLocation,
-        dropoffLocation: rideRequestData.dropoffLocation,
-        route: {
-          distance: rideRequestData.estimatedDistance,
-          duration: rideRequestData.estimatedDuration,
-          polyline: ''
-        },
-        status: 'assigned',
-        fareInfo: {
-          baseFare: 0,
-          distanceFare: 0,
-          timeFare: 0,
-          surgeFare: 0,
-          discount: rideRequestData.discount || 0,
-          totalFare: rideRequestData.estimatedFare,
-          driverEarning: 0
-        },
-        rideType: rideRequestData.rideType,
-        paymentMethod: rideRequestData.paymentMethod,
-        paymentStatus: 'pending',
-        startTime: now,
-        estimatedArrival: new Date(now.getTime() + (rideRequestData.estimatedDuration * 60 * 1000)),
-        rating: {},
-        createdAt: now,
-        updatedAt: now
-      };
+      const rateCard = await fareService.getRateCard(rideRequestData.rideType);
+      const activeTrip = this.buildActiveTrip(rideRequestData, driverInfo, new Date(), rateCard);
       
       const docRef = await addDoc(this.collectionRef, activeTrip);
       return { id: docRef.id, ...activeTrip };
@@ -140,6 +225,18 @@ class ActiveTripService {
     }
   }
 
+  /**
+   * Create the active trip as part of a caller's Firestore transaction,
+   * so the trip is only written if the surrounding transaction commits
+   */
+  createActiveTripInTransaction(transaction, rideRequestData, driverInfo, now = new Date(), rateCard) {
+    const docRef = doc(this.collectionRef);
+    const activeTrip = this.buildActiveTrip(rideRequestData, driverInfo, now, rateCard);
+    
+    transaction.set(docRef, activeTrip);
+    return { id: docRef.id, ...activeTrip };
+  }
+
   /**
    * Get active trip by ID
    */
@@ -167,7 +264,7 @@ class ActiveTripService {
       const q = query(
         this.collectionRef,
         where('driverId', '==', driverId),
-        where('status', 'in', ['assigned', 'en_route_pickup', 'arrived_pickup', 'passenger_onboard', 'en_route_dropoff'])
+        where('status', 'in', ACTIVE_TRIP_STATUSES)
       );
       
       const querySnapshot = await getDocs(q);
@@ -183,35 +280,148 @@ class ActiveTripService {
   }
 
   /**
-   * Update trip status
+   * Build a statusHistory audit entry
    */
-  async updateTripStatus(tripId, status, additionalData = {}) {
-    try {
-      const docRef = doc(db, COLLECTION_NAME, tripId);
-      const now = new Date();
-      
-      const updateData = {
-        status,
-        updatedAt: now,
-        ...additionalData
-      };
+  buildStatusHistoryEntry(fromStatus, toStatus, timestamp, driverLocation = null, actor = 'driver') {
+    return {
+      from: fromStatus,
+      to: toStatus,
+      timestamp,
+      location: driverLocation
+        ? { latitude: driverLocation.latitude, longitude: driverLocation.longitude }
+        : null,
+      actor
+    };
+  }
+
+  /**
+   * Get the statuses the trip can move to next, for rendering trip actions
+   */
+  getAllowedActions(trip) {
+    return trip ? getAllowedTransitions(trip.status) : [];
+  }
 
-      // Add timestamp for specific status changes
-      switch (status) {
-        case 'arrived_pickup':
-          updateData.arrivedPickupTime = now;
-          break;
-        case 'passenger_onboard':
-          updateData.pickupTime = now;
-          break;
-        case 'completed':
-          updateData.completedTime = now;
-          updateData.dropoffTime = now;
-          break;
+  /**
+   * Build the update for moving a trip to a new status
+   *
+   * Rejects transitions the trip state machine does not allow, stamps the
+   * status-specific timestamps and appends to the statusHistory audit trail.
+   */
+  buildTransitionUpdate(trip, status, additionalData = {}, driverLocation = null, actor = 'driver', now = new Date()) {
+    if (!canTransition(trip.status, status)) {
+      throw tripStateError('invalid-transition', `Cannot change trip status from '${trip.status}' to '${status}'`);
+    }
+    
+    const updateData = {
+      ...additionalData,
+      status,
+      statusHistory: [
+        ...(trip.statusHistory || []),
+        this.buildStatusHistoryEntry(trip.status, status, now, driverLocation, actor)
+      ],
+      updatedAt: now
+    };
+
+    // Add timestamp for specific status changes
+    switch (status) {
+      case TRIP_STATUS.ARRIVED_PICKUP:
+        updateData.arrivedPickupTime = now;
+        break;
+      case TRIP_STATUS.PASSENGER_ONBOARD:
+        updateData.pickupTime = now;
+        break;
+      case TRIP_STATUS.COMPLETED:
+        updateData.completedTime = now;
+        updateData.dropoffTime = now;
+        break;
+      case TRIP_STATUS.CANCELLED:
+        updateData.cancelledTime = now;
+        break;
+      case TRIP_STATUS.NO_SHOW:
+        updateData.noShowTime = now;
+        break;
+    }
+    
+    return updateData;
+  }
+
+  /**
+   * Move a trip to a new status inside a transaction
+   *
+   * Repeating the trip's current status is a no-op, so replayed actions are safe.
+   */
+  async transitionTrip(tripId, status, additionalData = {}, driverLocation = null, actor = 'driver', now = new Date()) {
+    const docRef = doc(db, COLLECTION_NAME, tripId);
+    
+    await runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      if (!docSnap.exists()) {
+        throw tripStateError('not-found', 'Active trip not found');
+      }
+      
+      const trip = docSnap.data();
+      if (trip.status === status) {
+        return;
       }
       
-      await updateDoc(docRef, updateData);
-      return await this.getActiveTrip(tripId);
+      const updateData = this.buildTransitionUpdate(trip, status, additionalData, driverLocation, actor, now);
+      transaction.update(docRef, updateData);
+      
+      // Counts against the driver's cancellation rate
+      if (status === TRIP_STATUS.CANCELLED && actor === 'driver') {
+        driverService.recordResponseInTransaction(transaction, trip.driverId, RESPONSE_EVENT.CANCELLED, now);
+      }
+    });
+    
+    // Route the next fixes to the right leg without waiting for the trip snapshot
+    if (this.breadcrumbs?.tripId === tripId) {
+      this.breadcrumbs.status = status;
+    }
+    
+    return await this.getActiveTrip(tripId);
+  }
+
+  /**
+   * Run a status change now, or queue it for replay when offline
+   * Returns the updated trip, or null if the change was queued
+   */
+  async queueTransition(tripId, status, additionalData = {}, driverLocation = null, actor = 'driver') {
+    const { result } = await offlineActionQueue.execute(QUEUED_ACTION.TRIP_TRANSITION, {
+      tripId,
+      status,
+      additionalData,
+      driverLocation,
+      actor
+    });
+    return result;
+  }
+
+  /**
+   * Show a trip with its queued (not yet synced) actions applied
+   */
+  applyPendingActions(trip) {
+    if (!trip) return trip;
+    
+    const pending = offlineActionQueue.getPendingActions(action => action.payload?.tripId === trip.id);
+    if (pending.length === 0) {
+      return trip;
+    }
+    
+    const lastAction = pending[pending.length - 1];
+    return {
+      ...trip,
+      status: lastAction.type === QUEUED_ACTION.TRIP_COMPLETE ? TRIP_STATUS.COMPLETED : lastAction.payload.status,
+      pendingSync: true
+    };
+  }
+
+  /**
+   * Update trip status
+   * Returns the updated trip, or null if queued while offline
+   */
+  async updateTripStatus(tripId, status, additionalData = {}, driverLocation = null) {
+    try {
+      return await this.queueTransition(tripId, status, additionalData, driverLocation);
     } catch (error) {
       console.error('Error updating trip status:', error);
       throw new Error(`Failed to update trip status: ${error.message}`);
@@ -260,53 +470,243 @@ class ActiveTripService {
   }
 
   /**
-   * Complete trip with final fare calculation
+   * Start recording GPS breadcrumbs for a trip from locationService updates
+   *
+   * Call again whenever the trip changes - its status decides whether fixes go
+   * to the pickup leg or the paid leg. A trail already saved on the trip is resumed.
    */
-  async completeTrip(tripId, finalFareInfo, actualDistance, actualDuration) {
-    try {
-      const docRef = doc(db, COLLECTION_NAME, tripId);
-      const now = new Date();
+  startBreadcrumbs(trip) {
+    if (this.breadcrumbs?.tripId !== trip.id) {
+      this.stopBreadcrumbs();
+      
+      this.breadcrumbs = {
+        tripId: trip.id,
+        status: trip.status,
+        state: createTrackingState(trip.tracking),
+        pendingCount: 0,
+        lastSavedAt: Date.now()
+      };
+      this.breadcrumbUnsubscribe = locationService.addLocationListener(
+        (location) => this.recordBreadcrumb(location)
+      );
+    }
+    
+    this.breadcrumbs.status = trip.status;
+  }
+
+  /**
+   * Add a location fix to the current trip's trail, saving it periodically
+   */
+  recordBreadcrumb(location) {
+    const tracker = this.breadcrumbs;
+    const leg = tracker ? getLegForStatus(tracker.status) : null;
+    if (!leg) return;
+    
+    if (addBreadcrumb(tracker.state, location, leg)) {
+      tracker.pendingCount += 1;
       
+      const saveDue = tracker.pendingCount >= BREADCRUMB_SAVE_EVERY ||
+        Date.now() - tracker.lastSavedAt >= BREADCRUMB_SAVE_INTERVAL_MS;
+      if (saveDue) {
+        this.saveBreadcrumbs(tracker).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Persist a trail's compressed polylines and leg distances on its trip
+   */
+  async saveBreadcrumbs(tracker = this.breadcrumbs) {
+    if (!tracker || tracker.pendingCount === 0) return;
+    
+    const pendingCount = tracker.pendingCount;
+    tracker.pendingCount = 0;
+    tracker.lastSavedAt = Date.now();
+    
+    try {
+      const docRef = doc(db, COLLECTION_NAME, tracker.tripId);
       await updateDoc(docRef, {
-        status: 'completed',
-        fareInfo: finalFareInfo,
-        actualDistance,
-        actualDuration,
-        completedTime: now,
-        dropoffTime: now,
-        paymentStatus: 'paid',
-        updatedAt: now
+        tracking: serializeTracking(tracker.state),
+        updatedAt: new Date()
       });
-      
-      return await this.getActiveTrip(tripId);
+    } catch (error) {
+      // Keep the fixes pending so the next save retries them
+      tracker.pendingCount += pendingCount;
+      console.error('Error saving trip breadcrumbs:', error);
+      throw new Error(`Failed to save trip breadcrumbs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop recording breadcrumbs, saving anything not yet persisted
+   */
+  async stopBreadcrumbs() {
+    const tracker = this.breadcrumbs;
+    
+    if (this.breadcrumbUnsubscribe) {
+      this.breadcrumbUnsubscribe();
+      this.breadcrumbUnsubscribe = null;
+    }
+    this.breadcrumbs = null;
+    
+    if (tracker) {
+      await this.saveBreadcrumbs(tracker).catch(() => {});
+    }
+  }
+
+  /**
+   * Get a trip's measured legs from its saved breadcrumbs
+   *
+   * Falls back to the route estimate when too few paid-leg fixes were recorded.
+   */
+  getMeasuredTrip(trip, now = new Date()) {
+    const tracking = trip.tracking || {};
+    const startTime = toDate(trip.startTime);
+    const pickupTime = trip.pickupTime ? toDate(trip.pickupTime) : startTime;
+    const hasPaidTrail = (tracking.paidLeg?.pointCount || 0) >= 2;
+    
+    return {
+      distance: hasPaidTrail ? tracking.paidLeg.distance : (trip.route?.distance || 0),
+      duration: Math.max(Math.round((now.getTime() - pickupTime.getTime()) / 60000), 0),
+      pickupDistance: tracking.pickupLeg?.distance || 0,
+      pickupDuration: Math.max(Math.round((pickupTime.getTime() - startTime.getTime()) / 60000), 0)
+    };
+  }
+
+  /**
+   * Price a trip from its actual distance and duration
+   */
+  calculateFinalFare(trip, rateCards, actualDistance, actualDuration, tolls = null) {
+    return calculateFare(trip.rateCard || selectRateCard(rateCards, trip.rideType), {
+      distance: actualDistance,
+      duration: actualDuration,
+      surgeMultiplier: trip.fareInfo?.surgeMultiplier,
+      tolls: tolls ?? trip.fareInfo?.tolls ?? 0,
+      discount: trip.promoDiscount ?? trip.fareInfo?.discount ?? 0
+    });
+  }
+
+  /**
+   * Complete trip with final fare calculation
+   *
+   * In one transaction: prices the trip from the distance and duration measured
+   * by its GPS breadcrumbs, marks it completed, records its earnings and daily
+   * summary, credits the driver's totals and sets the driver back online.
+   * overrides: { distance, duration, tolls } replace measured values when given.
+   * Queued for replay when offline; returns the completed trip, or null if queued.
+   */
+  async completeTrip(tripId, driverLocation = null, overrides = {}) {
+    try {
+      const { result } = await offlineActionQueue.execute(QUEUED_ACTION.TRIP_COMPLETE, {
+        tripId,
+        driverLocation,
+        overrides
+      });
+      return result;
     } catch (error) {
       console.error('Error completing trip:', error);
       throw new Error(`Failed to complete trip: ${error.message}`);
     }
   }
 
+  /**
+   * Run the completion transaction for completeTrip
+   *
+   * Safe to retry - a trip whose earnings are already recorded is not counted twice.
+   */
+  async finalizeTrip(tripId, driverLocation = null, overrides = {}, now = new Date()) {
+    const docRef = doc(db, COLLECTION_NAME, tripId);
+    const rateCards = await fareService.getRateCards();
+    
+    // Make sure the transaction sees the whole trail
+    if (this.breadcrumbs?.tripId === tripId) {
+      await this.saveBreadcrumbs().catch(() => {});
+    }
+    
+    let driverId = null;
+    await runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      if (!docSnap.exists()) {
+        throw tripStateError('not-found', 'Active trip not found');
+      }
+      
+      const trip = docSnap.data();
+      driverId = trip.driverId;
+      const alreadyCompleted = trip.status === TRIP_STATUS.COMPLETED;
+      
+      const measured = this.getMeasuredTrip(trip, now);
+      const actualDistance = overrides.distance ?? measured.distance;
+      const actualDuration = overrides.duration ?? measured.duration;
+      
+      const updateData = alreadyCompleted ? null : this.buildTransitionUpdate(trip, TRIP_STATUS.COMPLETED, {
+        fareInfo: this.calculateFinalFare(trip, rateCards, actualDistance, actualDuration, overrides.tolls),
+        actualDistance,
+        actualDuration,
+        pickupDistance: measured.pickupDistance,
+        pickupDuration: measured.pickupDuration,
+        paymentStatus: 'paid'
+      }, driverLocation, 'driver', now);
+      
+      const completedTrip = { id: tripId, ...trip, ...updateData };
+      const { earning, alreadyRecorded } = await earningsService.recordTripEarningInTransaction(
+        transaction,
+        completedTrip
+      );
+      
+      if (updateData) {
+        transaction.update(docRef, updateData);
+      }
+      
+      if (!alreadyRecorded) {
+        driverService.recordCompletedTripInTransaction(
+          transaction,
+          trip.driverId,
+          earning.driverEarnings.totalEarning,
+          now
+        );
+        ledgerService.recordTripInTransaction(transaction, earning, now);
+      }
+    });
+    
+    if (this.breadcrumbs?.tripId === tripId) {
+      await this.stopBreadcrumbs();
+    }
+    
+    // Completion frees the driver, so the shift goes back to available time
+    await shiftService.syncShift(driverId).catch(() => {});
+    
+    return await this.getActiveTrip(tripId);
+  }
+
   /**
    * Cancel active trip
+   * Returns the updated trip, or null if queued while offline
    */
-  async cancelTrip(tripId, reason = '', cancelledBy = 'driver') {
+  async cancelTrip(tripId, reason = '', cancelledBy = 'driver', driverLocation = null) {
     try {
-      const docRef = doc(db, COLLECTION_NAME, tripId);
-      
-      await updateDoc(docRef, {
-        status: 'cancelled',
+      return await this.queueTransition(tripId, TRIP_STATUS.CANCELLED, {
         cancellationReason: reason,
-        cancelledBy,
-        cancelledTime: new Date(),
-        updatedAt: new Date()
-      });
-      
-      return await this.getActiveTrip(tripId);
+        cancelledBy
+      }, driverLocation, cancelledBy);
     } catch (error) {
       console.error('Error cancelling trip:', error);
       throw new Error(`Failed to cancel trip: ${error.message}`);
     }
   }
 
+  /**
+   * Close a trip whose passenger never showed up at pickup
+   * Returns the updated trip, or null if queued while offline
+   */
+  async markNoShow(tripId, driverLocation = null) {
+    try {
+      return await this.queueTransition(tripId, TRIP_STATUS.NO_SHOW, {}, driverLocation);
+    } catch (error) {
+      console.error('Error marking trip as no-show:', error);
+      throw new Error(`Failed to mark trip as no-show: ${error.message}`);
+    }
+  }
+
   /**
    * Add rating and feedback
    */
@@ -368,7 +768,7 @@ class ActiveTripService {
       const q = query(
         this.collectionRef,
         where('driverId', '==', driverId),
-        where('status', 'in', ['assigned', 'en_route_pickup', 'arrived_pickup', 'passenger_onboard', 'en_route_dropoff'])
+        where('status', 'in', ACTIVE_TRIP_STATUSES)
       );
       
       return onSnapshot(q, (querySnapshot) => {
@@ -396,7 +796,7 @@ class ActiveTripService {
       const q = query(
         this.collectionRef,
         where('driverId', '==', driverId),
-        where('status', 'in', ['completed', 'cancelled']),
+        where('status', 'in', [TRIP_STATUS.COMPLETED, TRIP_STATUS.CANCELLED, TRIP_STATUS.NO_SHOW]),
         orderBy('completedTime', 'desc'),
         limit(limit)
       );
@@ -24,11 +24,30 @@ import {
 } from 'firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { auth, db } from '../../firebase';
+import shiftService, { SHIFT_END_REASON } from './shiftService';
+
+const SETTINGS_STORAGE_KEY = 'driverSettings';
+
+/**
+ * App settings, stored on the driver profile as `settings` and cached in
+ * AsyncStorage so they apply before the profile loads and while offline.
+ * Services that act on them subscribe with onSettingsChange.
+ */
+export const DEFAULT_SETTINGS = {
+  pushNotifications: true,
+  emailNotifications: true,
+  shareLocation: true,
+  themeMode: 'system', // 'light', 'dark' or 'system'
+  autoNightMode: false // dark theme at night whatever the mode
+};
 
 class AuthService {
   constructor() {
     this.currentUser = null;
     this.driverProfile = null;
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.settingsListeners = new Set();
+    this.loadStoredSettings();
   }
 
   /**
@@ -63,6 +82,7 @@ class AuthService {
         rating: 5.0,
         totalTrips: 0,
         totalEarnings: 0,
+        settings: { ...DEFAULT_SETTINGS },
         documents: {
           license: { verified: false, url: null },
           insurance: { verified: false, url: null },
@@ -80,6 +100,7 @@ class AuthService {
 
       this.currentUser = user;
       this.driverProfile = driverProfile;
+      await this.applySettings(driverProfile.settings);
 
       return {
         success: true,
@@ -113,6 +134,7 @@ class AuthService {
 
       this.currentUser = user;
       this.driverProfile = profile;
+      await this.applySettings(profile.settings);
 
       return {
         success: true,
@@ -133,6 +155,7 @@ class AuthService {
       // Update driver status to offline before signing out
       if (this.currentUser && this.driverProfile) {
         await this.updateDriverStatus(false);
+        await shiftService.endShift(this.currentUser.uid, SHIFT_END_REASON.SIGN_OUT).catch(() => {});
       }
 
       await signOut(auth);
@@ -140,6 +163,7 @@ class AuthService {
 
       this.currentUser = null;
       this.driverProfile = null;
+      await this.resetSettings();
 
       return { success: true };
     } catch (error) {
@@ -278,6 +302,7 @@ class AuthService {
       await this.clearUserSession();
       this.currentUser = null;
       this.driverProfile = null;
+      await this.resetSettings();
 
       return { success: true };
     } catch (error) {
@@ -356,6 +381,9 @@ class AuthService {
         this.currentUser = user;
         try {
           this.driverProfile = await this.getDriverProfile(user.uid);
+          if (this.driverProfile) {
+            await this.applySettings(this.driverProfile.settings);
+          }
         } catch (error) {
           console.error('Error fetching driver profile on auth change:', error);
         }
@@ -368,6 +396,92 @@ class AuthService {
     });
   }
 
+  /**
+   * Get the current app settings
+   */
+  getSettings() {
+    return this.settings;
+  }
+
+  /**
+   * Update app settings on the driver profile and the device cache
+   * Settings are only applied once the profile write succeeds
+   * @param {Object} changes - Settings to change
+   */
+  async updateSettings(changes) {
+    try {
+      if (!this.currentUser) {
+        throw new Error('No authenticated user');
+      }
+
+      const settings = { ...this.settings, ...changes };
+      await this.updateDriverProfile(this.currentUser.uid, { settings });
+      await this.applySettings(settings);
+
+      return settings;
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listen for settings changes; the callback runs immediately with the current settings
+   * @param {Function} callback 
+   */
+  onSettingsChange(callback) {
+    this.settingsListeners.add(callback);
+    callback(this.settings);
+    return () => this.settingsListeners.delete(callback);
+  }
+
+  /**
+   * Use these settings, cache them on the device and notify listeners
+   * @param {Object} settings - Saved settings (missing fields use the defaults)
+   */
+  async applySettings(settings) {
+    this.settings = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+    this.settingsListeners.forEach(listener => {
+      try {
+        listener(this.settings);
+      } catch (error) {
+        console.error('Error in settings listener:', error);
+      }
+    });
+
+    try {
+      await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Error caching settings:', error);
+    }
+  }
+
+  /**
+   * Apply the settings cached on the device, until the profile loads
+   */
+  async loadStoredSettings() {
+    try {
+      const stored = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
+      if (stored && !this.driverProfile) {
+        await this.applySettings(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.error('Error loading stored settings:', error);
+    }
+  }
+
+  /**
+   * Go back to the default settings on sign out
+   */
+  async resetSettings() {
+    await this.applySettings(DEFAULT_SETTINGS);
+    try {
+      await AsyncStorage.removeItem(SETTINGS_STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing stored settings:', error);
+    }
+  }
+
   /**
    * Store user session in AsyncStorage
    * @param {Object} user 
@@ -0,0 +1,117 @@
+import { doc, increment } from 'firebase/firestore';
+import { db } from '../../firebase.js';
+import driverService from './driverService.js';
+import activeTripService from './activeTripService.js';
+import { getRequestFilters, matchesRequestFilters } from './requestFilters.js';
+import { getDateKey, getDriverTimeZone } from './timeZoneUtils.js';
+
+/**
+ * Auto-Accept Service
+ * Decides whether an incoming ride request should be accepted without the
+ * driver tapping, and keeps the daily auto-accept count.
+ *
+ * A request is auto-accepted only when the driver has auto-accept enabled,
+ * the request passes their request filters, the daily cap isn't reached, and
+ * the driver is online with no active trip. The screen then runs an undo
+ * countdown and accepts through rideRequestService.acceptRideRequest, so a
+ * request another driver took in the meantime is never double-assigned.
+ *
+ * Settings live on the driver profile as `autoAccept`. The daily count is
+ * `autoAcceptCount` on the driver document, per day in the driver's time
+ * zone; it is checked and counted inside the accept transaction, so the cap
+ * holds across devices and reinstalls.
+ */
+
+const DRIVERS_COLLECTION = 'drivers';
+
+export const DEFAULT_AUTO_ACCEPT = {
+  enabled: false,
+  dailyCap: 10,
+  undoSeconds: 5
+};
+
+export const DAILY_CAP_OPTIONS = [5, 10, 20, 30];
+
+/**
+ * Resolve a driver's auto-accept settings, filling gaps with the defaults
+ * @param {Object} driverProfile - Driver profile (may be null)
+ * @returns {Object} { enabled, dailyCap, undoSeconds }
+ */
+export const getAutoAcceptSettings = (driverProfile) => ({
+  ...DEFAULT_AUTO_ACCEPT,
+  ...(driverProfile?.autoAccept || {})
+});
+
+/**
+ * Get how many rides a driver has auto-accepted today
+ * @param {Object} driver - Driver document (may be null)
+ * @param {Date} now - Current time
+ * @returns {number} Today's count, 0 if the stored count is for another day
+ */
+export const getAcceptedToday = (driver, now = new Date()) => {
+  const today = getDateKey(now, getDriverTimeZone(driver));
+  return driver?.autoAcceptCount?.date === today ? driver.autoAcceptCount.count || 0 : 0;
+};
+
+/**
+ * Check whether a driver has used up today's auto-accepts
+ * @param {Object} driver - Driver document (may be null)
+ * @param {Date} now - Current time
+ * @returns {boolean} True once the daily cap is reached
+ */
+export const isDailyCapReached = (driver, now = new Date()) => {
+  return getAcceptedToday(driver, now) >= getAutoAcceptSettings(driver).dailyCap;
+};
+
+class AutoAcceptService {
+  /**
+   * Count an auto-accept against today's cap inside the accept transaction
+   * `driver` is the driver document as read in the same transaction
+   */
+  recordAutoAcceptInTransaction(transaction, driverId, driver, now = new Date()) {
+    const driverRef = doc(db, DRIVERS_COLLECTION, driverId);
+    const date = getDateKey(now, getDriverTimeZone(driver));
+
+    if (driver?.autoAcceptCount?.date === date) {
+      transaction.update(driverRef, { 'autoAcceptCount.count': increment(1) });
+    } else {
+      transaction.update(driverRef, { autoAcceptCount: { date, count: 1 } });
+    }
+  }
+
+  /**
+   * Check whether a request should be auto-accepted
+   * Returns { eligible: boolean, reason?: string }
+   */
+  async checkEligibility(request, driverId, driverProfile, driverLocation = null) {
+    try {
+      const settings = getAutoAcceptSettings(driverProfile);
+      if (!settings.enabled) {
+        return { eligible: false, reason: 'disabled' };
+      }
+
+      if (!matchesRequestFilters(request, getRequestFilters(driverProfile), driverLocation)) {
+        return { eligible: false, reason: 'filtered' };
+      }
+
+      const [driver, activeTrip] = await Promise.all([
+        driverService.getDriver(driverId),
+        activeTripService.getActiveeTripByDriver(driverId)
+      ]);
+      if (isDailyCapReached(driver)) {
+        return { eligible: false, reason: 'daily_cap' };
+      }
+
+      if (driver.status !== 'online' || activeTrip) {
+        return { eligible: false, reason: 'busy' };
+      }
+
+      return { eligible: true };
+    } catch (error) {
+      console.error('Error checking auto-accept eligibility:', error);
+      return { eligible: false, reason: 'error' };
+    }
+  }
+}
+
+export default new AutoAcceptService();
@@ -0,0 +1,388 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from '../../firebase.js';
+import driverService, { RESPONSE_EVENT } from './driverService.js';
+import { getRequestFilters, matchesRequestFilters } from './requestFilters.js';
+import { calculateETA } from '../shared/components/Map/mapUtils.js';
+
+/**
+ * Ride Offers Collection Schema:
+ * Collection: ride_offers
+ * {
+ *   id: string (document ID - `${requestId}_${driverId}`),
+ *   requestId: string,
+ *   driverId: string,
+ *   attempt: number, // 1 for the first driver offered
+ *   etaMinutes: number,
+ *   distanceKm: number,
+ *   outcome: string, // 'pending', 'accepted', 'declined', 'timeout'
+ *   declineReason: string (optional, see DECLINE_REASON in rideRequestService.js),
+ *   offeredAt: timestamp,
+ *   expiresAt: timestamp,
+ *   respondedAt: timestamp (optional)
+ * }
+ *
+ * Ride request dispatch field (sequential mode):
+ * dispatch: {
+ *   mode: string, // 'sequential', or 'broadcast' once every candidate has passed
+ *   candidates: [{ driverId, etaMinutes, distanceKm, rating }], // best first
+ *   nextIndex: number, // next candidate to offer
+ *   currentOffer: { driverId, attempt, etaMinutes, distanceKm, offeredAt, expiresAt } | null,
+ *   startedAt: timestamp,
+ *   exhaustedAt: timestamp (optional)
+ * }
+ */
+
+/**
+ * Sequential dispatch:
+ * - A new request is offered to one driver at a time, best ETA first
+ *   (rating breaks ties), skipping drivers whose request filters reject it
+ * - The offered driver has OFFER_WINDOW_MS to accept before the offer passes on
+ * - Declines and timeouts move the offer to the next candidate that is still
+ *   online, in the same transaction that records the outcome
+ * - When every candidate has passed, the request falls back to broadcast so
+ *   any nearby driver can still take it
+ * - Offers, declines and timeouts are counted in each driver's response stats
+ *
+ * There is no server process, so timeouts are advanced by whichever client
+ * notices first: the offered driver's app when its countdown ends, or
+ * sweepExpiredOffers() from a scheduled job.
+ */
+
+const COLLECTION_NAME = 'ride_offers';
+const REQUESTS_COLLECTION = 'ride_requests';
+const DRIVERS_COLLECTION = 'drivers';
+
+export const DISPATCH_MODE = {
+  BROADCAST: 'broadcast',
+  SEQUENTIAL: 'sequential'
+};
+
+export const OFFER_OUTCOME = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TIMEOUT: 'timeout'
+};
+
+export const DEFAULT_DISPATCH_MODE = DISPATCH_MODE.SEQUENTIAL;
+export const OFFER_WINDOW_MS = 20 * 1000;
+export const DISPATCH_RADIUS_KM = 10;
+const MAX_CANDIDATES = 10;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+/**
+ * Rank drivers for a ride request
+ * @param {Object} request - Ride request
+ * @param {Array} drivers - Online drivers with location (and distanceKm)
+ * @returns {Array} Candidates, best first: { driverId, etaMinutes, distanceKm, rating }
+ */
+export const rankCandidates = (request, drivers) => {
+  return drivers
+    .filter(driver => driver.location &&
+      matchesRequestFilters(request, getRequestFilters(driver), driver.location))
+    .map(driver => ({
+      driverId: driver.id,
+      etaMinutes: calculateETA(driver.distanceKm),
+      distanceKm: Math.round(driver.distanceKm * 100) / 100,
+      rating: driver.rating || 0
+    }))
+    .sort((a, b) => a.etaMinutes - b.etaMinutes || b.rating - a.rating)
+    .slice(0, MAX_CANDIDATES);
+};
+
+class DispatchService {
+  constructor() {
+    this.collectionRef = collection(db, COLLECTION_NAME);
+  }
+
+  /**
+   * Get the ride_offers document for a driver's offer on a request
+   */
+  getOfferRef(requestId, driverId) {
+    return doc(db, COLLECTION_NAME, `${requestId}_${driverId}`);
+  }
+
+  /**
+   * Start sequential dispatch for a pending ride request
+   * Returns the first offer, or null if no driver could be offered it
+   */
+  async startDispatch(requestId) {
+    try {
+      const requestRef = doc(db, REQUESTS_COLLECTION, requestId);
+      const requestSnap = await getDoc(requestRef);
+      if (!requestSnap.exists()) {
+        throw new Error('Ride request not found');
+      }
+
+      const request = { id: requestSnap.id, ...requestSnap.data() };
+      const drivers = await driverService.getOnlineDriversNear(request.pickupLocation, DISPATCH_RADIUS_KM);
+      const candidates = rankCandidates(request, drivers);
+
+      return await runTransaction(db, async (transaction) => {
+        const docSnap = await transaction.get(requestRef);
+        const current = { id: docSnap.id, ...docSnap.data() };
+        if (current.status !== 'pending' || current.dispatch?.currentOffer) {
+          return null;
+        }
+
+        const now = new Date();
+        const dispatch = {
+          mode: DISPATCH_MODE.SEQUENTIAL,
+          candidates,
+          nextIndex: 0,
+          currentOffer: null,
+          startedAt: now
+        };
+
+        return await this.offerNextInTransaction(transaction, current, dispatch, now);
+      });
+    } catch (error) {
+      console.error('Error starting dispatch:', error);
+      throw new Error(`Failed to start dispatch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Offer a request to the next candidate that is still online
+   *
+   * Reads candidate driver docs first, then writes the request's dispatch
+   * state and the new ride_offers record. Falls back to broadcast when no
+   * candidate is left. Returns the new offer or null.
+   */
+  async offerNextInTransaction(transaction, request, dispatch, now = new Date()) {
+    const requestRef = doc(db, REQUESTS_COLLECTION, request.id);
+    let nextIndex = dispatch.nextIndex;
+    let candidate = null;
+
+    while (!candidate && nextIndex < dispatch.candidates.length) {
+      const option = dispatch.candidates[nextIndex];
+      nextIndex += 1;
+
+      const driverSnap = await transaction.get(doc(db, DRIVERS_COLLECTION, option.driverId));
+      if (driverSnap.exists() && driverSnap.data().status === 'online') {
+        candidate = option;
+      }
+    }
+
+    if (!candidate) {
+      transaction.update(requestRef, {
+        dispatch: {
+          ...dispatch,
+          mode: DISPATCH_MODE.BROADCAST,
+          nextIndex,
+          currentOffer: null,
+          exhaustedAt: now
+        },
+        updatedAt: now
+      });
+      return null;
+    }
+
+    const offer = {
+      driverId: candidate.driverId,
+      attempt: nextIndex,
+      etaMinutes: candidate.etaMinutes,
+      distanceKm: candidate.distanceKm,
+      offeredAt: now,
+      expiresAt: new Date(now.getTime() + OFFER_WINDOW_MS)
+    };
+
+    transaction.update(requestRef, {
+      dispatch: { ...dispatch, nextIndex, currentOffer: offer },
+      updatedAt: now
+    });
+    transaction.set(this.getOfferRef(request.id, candidate.driverId), {
+      requestId: request.id,
+      ...offer,
+      outcome: OFFER_OUTCOME.PENDING
+    });
+    driverService.recordResponseInTransaction(transaction, candidate.driverId, RESPONSE_EVENT.OFFERED, now);
+
+    return offer;
+  }
+
+  /**
+   * Record the outcome of the current offer inside a transaction
+   * Must be called after all of the transaction's reads
+   */
+  recordOfferOutcomeInTransaction(transaction, requestId, driverId, outcome, now = new Date(), details = {}) {
+    transaction.update(this.getOfferRef(requestId, driverId), {
+      ...details,
+      outcome,
+      respondedAt: now
+    });
+  }
+
+  /**
+   * Check whether a driver holds a live offer for a request
+   */
+  isOfferedTo(request, driverId, now = new Date()) {
+    const offer = request.dispatch?.currentOffer;
+    return Boolean(offer && offer.driverId === driverId && toDate(offer.expiresAt) > now);
+  }
+
+  /**
+   * Pass the current offer on to the next candidate
+   * Returns the next offer, null if none, or false if the offer had already moved on
+   */
+  async passOffer(requestId, outcome, isCurrent, details = {}) {
+    const requestRef = doc(db, REQUESTS_COLLECTION, requestId);
+
+    return await runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(requestRef);
+      if (!docSnap.exists()) {
+        return false;
+      }
+
+      const request = { id: docSnap.id, ...docSnap.data() };
+      const now = new Date();
+      const offer = request.dispatch?.currentOffer;
+      if (request.status !== 'pending' || !offer || !isCurrent(offer, now)) {
+        return false;
+      }
+
+      const nextOffer = await this.offerNextInTransaction(transaction, request, request.dispatch, now);
+      this.recordOfferOutcomeInTransaction(transaction, requestId, offer.driverId, outcome, now, details);
+      driverService.recordResponseInTransaction(
+        transaction,
+        offer.driverId,
+        outcome === OFFER_OUTCOME.DECLINED ? RESPONSE_EVENT.DECLINED : RESPONSE_EVENT.TIMED_OUT,
+        now
+      );
+      return nextOffer;
+    });
+  }
+
+  /**
+   * Decline the offer a driver currently holds
+   */
+  async declineOffer(requestId, driverId, reason = null) {
+    try {
+      return await this.passOffer(requestId, OFFER_OUTCOME.DECLINED,
+        (offer) => offer.driverId === driverId,
+        reason ? { declineReason: reason } : {});
+    } catch (error) {
+      console.error('Error declining offer:', error);
+      throw new Error(`Failed to decline offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Time out the current offer if its window has passed
+   * Safe to call from any client; does nothing before the offer expires
+   */
+  async expireOffer(requestId) {
+    try {
+      return await this.passOffer(requestId, OFFER_OUTCOME.TIMEOUT,
+        (offer, now) => toDate(offer.expiresAt) <= now);
+    } catch (error) {
+      console.error('Error expiring offer:', error);
+      throw new Error(`Failed to expire offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Time out every lapsed offer (cleanup function for a scheduled job)
+   */
+  async sweepExpiredOffers() {
+    try {
+      const q = query(
+        collection(db, REQUESTS_COLLECTION),
+        where('status', '==', 'pending'),
+        where('dispatch.currentOffer.expiresAt', '<=', new Date())
+      );
+
+      const querySnapshot = await getDocs(q);
+      await Promise.all(querySnapshot.docs.map(docSnap => this.expireOffer(docSnap.id)));
+      return querySnapshot.size;
+    } catch (error) {
+      console.error('Error sweeping expired offers:', error);
+      throw new Error(`Failed to sweep expired offers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listen to requests currently offered to a driver
+   */
+  subscribeToOffers(driverId, callback) {
+    try {
+      const q = query(
+        collection(db, REQUESTS_COLLECTION),
+        where('status', '==', 'pending'),
+        where('dispatch.currentOffer.driverId', '==', driverId)
+      );
+
+      return onSnapshot(q, (querySnapshot) => {
+        const now = new Date();
+        const offers = querySnapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .filter(request => this.isOfferedTo(request, driverId, now));
+        callback(offers);
+      }, (error) => {
+        console.error('Error in ride offers subscription:', error);
+        callback([], error);
+      });
+    } catch (error) {
+      console.error('Error setting up ride offers subscription:', error);
+      throw new Error(`Failed to subscribe to ride offers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the offer history of a ride request, in the order drivers were offered it
+   */
+  async getOfferHistory(requestId) {
+    try {
+      const q = query(
+        this.collectionRef,
+        where('requestId', '==', requestId),
+        orderBy('offeredAt')
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('Error getting offer history:', error);
+      throw new Error(`Failed to get offer history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a driver's offers since a date, newest first
+   */
+  async getDriverOffers(driverId, since) {
+    try {
+      const q = query(
+        this.collectionRef,
+        where('driverId', '==', driverId),
+        where('offeredAt', '>=', since),
+        orderBy('offeredAt', 'desc')
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('Error getting driver offers:', error);
+      throw new Error(`Failed to get driver offers: ${error.message}`);
+    }
+  }
+}
+
+export default new DispatchService();
@@ -9,9 +9,16 @@ import {
   query, 
   where, 
   orderBy, 
-  onSnapshot 
+  onSnapshot,
+  increment,
+  runTransaction
 } from 'firebase/firestore';
 import { db } from '../../firebase.js';
+import offlineActionQueue, { QUEUED_ACTION } from './offlineActionQueue.js';
+import { encodeGeohash, getGeohashQueryBounds } from './geohash.js';
+import { calculateDistance } from '../shared/components/Map/mapUtils.js';
+import { getDateKey } from './timeZoneUtils.js';
+import shiftService from './shiftService.js';
 
 /**
  * Driver Collection Schema:
@@ -32,14 +39,38 @@ import { db } from '../../firebase.js';
  *     vehicleType: string, // 'sedan', 'suv', 'compact', etc.
  *   },
  *   status: string, // 'online', 'offline', 'busy'
+ *   activeTripId: string, // last trip accepted, set with status 'busy' by acceptRideRequest()
  *   location: {
  *     latitude: number,
  *     longitude: number,
+ *     geohash: string, // used to find nearby drivers for dispatch
  *     timestamp: timestamp
  *   },
  *   rating: number,
  *   totalRides: number,
  *   totalEarnings: number,
+ *   balance: number, // + owed to the driver, - owed to the platform; see ledgerService.js
+ *   balanceUpdatedAt: timestamp,
+ *   pendingSettlementId: string | null, // open settlement, see ledgerService.js
+ *   timeZone: string, // IANA zone for earnings day boundaries (defaults to the device zone)
+ *   responseStats: {
+ *     totals: { offered, accepted, declined, timedOut, cancelled },
+ *     last7Days: { offered, accepted, declined, timedOut, cancelled,
+ *                  acceptanceRate, declineRate, timeoutRate, cancellationRate },
+ *     last30Days: { ...same as last7Days },
+ *     updatedAt: timestamp
+ *   }, // rebuilt from the response_stats subcollection by refreshResponseStats
+ *   requestFilters: {
+ *     maxPickupDistanceKm: number,
+ *     rideTypes: array, // empty = any
+ *     paymentMethods: array, // empty = any
+ *     minFare: number,
+ *     minPassengerRating: number,
+ *     destination: { enabled, label, latitude, longitude, maxDeviationDegrees }
+ *   }, // see requestFilters.js for defaults
+ *   autoAccept: { enabled, dailyCap, undoSeconds }, // see autoAcceptService.js for defaults
+ *   earningsGoals: { daily: { enabled, metric, target }, weekly: { ... } }, // see earningsGoalService.js
+ *   settings: { pushNotifications, emailNotifications, shareLocation, themeMode, autoNightMode }, // see authService.js
  *   isVerified: boolean,
  *   documents: {
  *     license: string (URL),
@@ -51,11 +82,83 @@ import { db } from '../../firebase.js';
  * }
  */
 
+/**
+ * Driver Response Stats Subcollection Schema:
+ * Collection: drivers/{driverId}/response_stats
+ * {
+ *   id: string (document ID - UTC day 'YYYY-MM-DD', or 'all' for lifetime totals),
+ *   date: string (day documents only),
+ *   offered: number,
+ *   accepted: number,
+ *   declined: number,
+ *   timedOut: number,
+ *   cancelled: number, // cancelled by the driver after accepting
+ *   updatedAt: timestamp
+ * }
+ *
+ * Days are UTC: the rolling 7 and 30 day windows don't depend on the driver's
+ * time zone, and recording never needs to read the driver's profile.
+ */
+
+/**
+ * Driver Broadcast Responses Subcollection Schema:
+ * Collection: drivers/{driverId}/broadcast_responses
+ * {
+ *   id: string (document ID - ride request ID),
+ *   requestId: string,
+ *   offeredAt: timestamp, // first time the request was listed for the driver
+ *   timedOutAt: timestamp | null, // the driver let it run out
+ *   updatedAt: timestamp
+ * }
+ *
+ * Broadcast requests reappear whenever the list is re-queried, so each one is
+ * only counted in response_stats the first time it's offered or times out.
+ */
+
 const COLLECTION_NAME = 'drivers';
+const RESPONSE_STATS_COLLECTION = 'response_stats';
+const BROADCAST_RESPONSES_COLLECTION = 'broadcast_responses';
+const RESPONSE_TOTALS_ID = 'all';
+
+export const RESPONSE_EVENT = {
+  OFFERED: 'offered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TIMED_OUT: 'timedOut',
+  CANCELLED: 'cancelled'
+};
+
+const RESPONSE_EVENTS = Object.values(RESPONSE_EVENT);
+
+const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : 0);
+
+/**
+ * Add response rates to a set of counts
+ * @param {Object} counts - { offered, accepted, declined, timedOut, cancelled }
+ * @returns {Object} Counts with rates (0-1); cancellationRate is per accepted ride
+ */
+export const summarizeResponses = (counts) => {
+  const summary = {};
+  RESPONSE_EVENTS.forEach(event => {
+    summary[event] = counts[event] || 0;
+  });
+
+  return {
+    ...summary,
+    acceptanceRate: toRate(summary.accepted, summary.offered),
+    declineRate: toRate(summary.declined, summary.offered),
+    timeoutRate: toRate(summary.timedOut, summary.offered),
+    cancellationRate: toRate(summary.cancelled, summary.accepted)
+  };
+};
 
 class DriverService {
   constructor() {
     this.collectionRef = collection(db, COLLECTION_NAME);
+    
+    offlineActionQueue.registerHandler(QUEUED_ACTION.DRIVER_STATUS, (payload, action) =>
+      this.setDriverStatus(payload.driverId, payload.status, new Date(action.clientTimestamp))
+    );
   }
 
   /**
@@ -123,16 +226,30 @@ class DriverService {
     }
   }
 
+  /**
+   * Write the driver's status
+   */
+  async setDriverStatus(driverId, status, now = new Date()) {
+    const docRef = doc(db, COLLECTION_NAME, driverId);
+    await updateDoc(docRef, {
+      status,
+      updatedAt: now
+    });
+    return status;
+  }
+
   /**
    * Update driver status (online/offline/busy)
+   * Queued for replay, in order with trip actions, when offline
    */
   async updateDriverStatus(driverId, status) {
     try {
-      const docRef = doc(db, COLLECTION_NAME, driverId);
-      await updateDoc(docRef, {
-        status,
-        updatedAt: new Date()
-      });
+      await offlineActionQueue.execute(QUEUED_ACTION.DRIVER_STATUS, { driverId, status });
+      
+      // Start counting the shift's time as busy or available from here
+      if (status !== 'offline') {
+        await shiftService.syncShift(driverId).catch(() => {});
+      }
       return status;
     } catch (error) {
       console.error('Error updating driver status:', error);
@@ -140,6 +257,118 @@ class DriverService {
     }
   }
 
+  /**
+   * Credit a completed trip to the driver as part of a caller's transaction:
+   * bumps ride and earnings totals and frees the driver for new requests
+   */
+  recordCompletedTripInTransaction(transaction, driverId, tripEarning, now = new Date()) {
+    const docRef = doc(db, COLLECTION_NAME, driverId);
+    
+    transaction.update(docRef, {
+      totalRides: increment(1),
+      totalTrips: increment(1), // Profiles created by authService read totalTrips
+      totalEarnings: increment(tripEarning),
+      status: 'online',
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Get the response_stats documents an event is counted in
+   */
+  getResponseStatsRefs(driverId, now = new Date()) {
+    const statsRef = collection(db, COLLECTION_NAME, driverId, RESPONSE_STATS_COLLECTION);
+    const date = getDateKey(now, 'UTC');
+    return {
+      date,
+      dayRef: doc(statsRef, date),
+      totalsRef: doc(statsRef, RESPONSE_TOTALS_ID)
+    };
+  }
+
+  /**
+   * Count a ride offer response as part of a caller's transaction or batch
+   * @param {Object} writer - Firestore transaction or write batch
+   * @param {string} event - RESPONSE_EVENT value
+   */
+  recordResponseInTransaction(writer, driverId, event, now = new Date()) {
+    const { date, dayRef, totalsRef } = this.getResponseStatsRefs(driverId, now);
+    
+    writer.set(dayRef, { date, [event]: increment(1), updatedAt: now }, { merge: true });
+    writer.set(totalsRef, { [event]: increment(1), updatedAt: now }, { merge: true });
+  }
+
+  /**
+   * Count a broadcast request being offered to or timing out on a driver
+   * Each request is counted once per event however often it's shown; a
+   * timeout only counts for a request that was counted as offered
+   * @param {string} event - RESPONSE_EVENT.OFFERED or RESPONSE_EVENT.TIMED_OUT
+   * @returns {Promise<boolean>} True if the event was counted
+   */
+  async recordBroadcastResponse(driverId, requestId, event, now = new Date()) {
+    try {
+      const responseRef = doc(db, COLLECTION_NAME, driverId, BROADCAST_RESPONSES_COLLECTION, requestId);
+      const field = event === RESPONSE_EVENT.OFFERED ? 'offeredAt' : 'timedOutAt';
+      
+      return await runTransaction(db, async (transaction) => {
+        const responseSnap = await transaction.get(responseRef);
+        const response = responseSnap.exists() ? responseSnap.data() : {};
+        if (response[field] || (event !== RESPONSE_EVENT.OFFERED && !response.offeredAt)) {
+          return false;
+        }
+        
+        transaction.set(responseRef, { requestId, [field]: now, updatedAt: now }, { merge: true });
+        this.recordResponseInTransaction(transaction, driverId, event, now);
+        return true;
+      });
+    } catch (error) {
+      console.error('Error recording broadcast response:', error);
+      throw new Error(`Failed to record broadcast response: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild the rolling 7 and 30 day response rates on the driver document
+   */
+  async refreshResponseStats(driverId, now = new Date()) {
+    try {
+      const statsRef = collection(db, COLLECTION_NAME, driverId, RESPONSE_STATS_COLLECTION);
+      const dayMs = 24 * 60 * 60 * 1000;
+      const since30 = getDateKey(new Date(now.getTime() - 29 * dayMs), 'UTC');
+      const since7 = getDateKey(new Date(now.getTime() - 6 * dayMs), 'UTC');
+      
+      const [totalsSnap, daysSnap] = await Promise.all([
+        getDoc(doc(statsRef, RESPONSE_TOTALS_ID)),
+        getDocs(query(statsRef, where('date', '>=', since30)))
+      ]);
+      
+      const last7Days = {};
+      const last30Days = {};
+      daysSnap.docs.forEach(docSnap => {
+        const day = docSnap.data();
+        RESPONSE_EVENTS.forEach(event => {
+          last30Days[event] = (last30Days[event] || 0) + (day[event] || 0);
+          if (day.date >= since7) {
+            last7Days[event] = (last7Days[event] || 0) + (day[event] || 0);
+          }
+        });
+      });
+      
+      const responseStats = {
+        totals: summarizeResponses(totalsSnap.exists() ? totalsSnap.data() : {}),
+        last7Days: summarizeResponses(last7Days),
+        last30Days: summarizeResponses(last30Days),
+        updatedAt: now
+      };
+      
+      await updateDoc(doc(db, COLLECTION_NAME, driverId), { responseStats });
+      return responseStats;
+    } catch (error) {
+      console.error('Error refreshing response stats:', error);
+      throw new Error(`Failed to refresh response stats: ${error.message}`);
+    }
+  }
+
   /**
    * Update driver location
    */
@@ -149,6 +378,7 @@ class DriverService {
       await updateDoc(docRef, {
         location: {
           ...location,
+          geohash: encodeGeohash(location.latitude, location.longitude),
           timestamp: new Date()
         },
         updatedAt: new Date()
@@ -181,6 +411,44 @@ class DriverService {
     }
   }
 
+  /**
+   * Get online drivers within a radius of a location, nearest first
+   */
+  async getOnlineDriversNear(location, radiusKm) {
+    try {
+      const snapshots = await Promise.all(
+        getGeohashQueryBounds(location, radiusKm).map(([start, end]) => getDocs(query(
+          this.collectionRef,
+          where('status', '==', 'online'),
+          where('location.geohash', '>=', start),
+          where('location.geohash', '<=', end),
+          orderBy('location.geohash')
+        )))
+      );
+
+      const drivers = [];
+      snapshots.forEach(querySnapshot => {
+        querySnapshot.docs.forEach(doc => {
+          const driver = { id: doc.id, ...doc.data() };
+          const distanceKm = calculateDistance(
+            location.latitude,
+            location.longitude,
+            driver.location.latitude,
+            driver.location.longitude
+          );
+          if (distanceKm <= radiusKm) {
+            drivers.push({ ...driver, distanceKm });
+          }
+        });
+      });
+
+      return drivers.sort((a, b) => a.distanceKm - b.distanceKm);
+    } catch (error) {
+      console.error('Error getting nearby drivers:', error);
+      throw new Error(`Failed to get nearby drivers: ${error.message}`);
+    }
+  }
+
   /**
    * Listen to driver status changes
    */
@@ -0,0 +1,237 @@
+import { roundCurrency } from './fareService.js';
+import { getZonedParts } from './timeZoneUtils.js';
+
+/**
+ * Earnings Analytics
+ * Where and when a driver earns most, from their `earnings` records and
+ * shift sessions: earnings per online hour by hour of the week and by
+ * weekday, earnings by pickup zone, and fares by ride type and per km.
+ *
+ * Hours and weekdays are wall-clock time in the driver's time zone. Zones are
+ * cells of a fixed latitude/longitude grid over trip pickups; earnings
+ * recorded before pickup coordinates were stored are left out of the zones.
+ */
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Grid cell size in degrees, roughly 1km north-south
+export const ZONE_SIZE_DEGREES = 0.01;
+
+// Slots with less online time than this are too thin to rank
+export const MIN_RANKED_MINUTES = 60;
+
+const HOURS_PER_WEEK = 7 * 24;
+const MINUTE_MS = 60000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+/**
+ * Get an instant's slot in the week
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Driver's time zone
+ * @returns {number} 0 (Sunday 00:00) to 167 (Saturday 23:00)
+ */
+export const getHourOfWeek = (date, timeZone) => {
+  const { weekday, hour } = getZonedParts(date, timeZone);
+  return weekday * 24 + hour;
+};
+
+/**
+ * Split a time range at each hour on the wall clock
+ * Steps by wall-clock minutes, so half-hour zone offsets split correctly
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {string} timeZone - Driver's time zone
+ * @returns {Array} [{ hourOfWeek, minutes }]
+ */
+export const splitByHour = (start, end, timeZone) => {
+  const parts = [];
+  let cursor = start;
+
+  while (cursor < end) {
+    const { weekday, hour, minute, second } = getZonedParts(cursor, timeZone);
+    const toNextHour = ((60 - minute) * 60 - second) * 1000 - cursor.getMilliseconds();
+    const next = new Date(Math.min(end.getTime(), cursor.getTime() + toNextHour));
+
+    parts.push({ hourOfWeek: weekday * 24 + hour, minutes: (next - cursor) / MINUTE_MS });
+    cursor = next;
+  }
+  return parts;
+};
+
+/**
+ * Work out earnings per online hour for each hour of the week
+ * @param {Array} earnings - Records from the earnings collection
+ * @param {Array} shifts - Shift sessions over the same period
+ * @param {string} timeZone - Driver's time zone
+ * @param {Date} now - Current time
+ * @returns {Array} 168 slots of { hourOfWeek, weekday, hour, trips, earnings, onlineMinutes, ratePerHour }
+ */
+export const buildHourOfWeekStats = (earnings, shifts, timeZone, now = new Date()) => {
+  const slots = Array.from({ length: HOURS_PER_WEEK }, (_, hourOfWeek) => ({
+    hourOfWeek,
+    weekday: Math.floor(hourOfWeek / 24),
+    hour: hourOfWeek % 24,
+    trips: 0,
+    earnings: 0,
+    onlineMinutes: 0,
+    ratePerHour: null
+  }));
+
+  earnings.forEach(earning => {
+    const slot = slots[getHourOfWeek(toDate(earning.completedAt), timeZone)];
+    slot.trips += 1;
+    slot.earnings += earning.driverEarnings?.totalEarning || 0;
+  });
+
+  shifts.forEach(shift => {
+    const start = toDate(shift.startedAt);
+    // Open shifts count up to their last credited time, like the daily summaries
+    const end = toDate(shift.endedAt || shift.creditedUntil || now);
+    splitByHour(start, end, timeZone).forEach(({ hourOfWeek, minutes }) => {
+      slots[hourOfWeek].onlineMinutes += minutes;
+    });
+  });
+
+  return slots.map(slot => ({
+    ...slot,
+    earnings: roundCurrency(slot.earnings),
+    onlineMinutes: Math.round(slot.onlineMinutes),
+    ratePerHour: slot.onlineMinutes > 0 ? roundCurrency(slot.earnings / (slot.onlineMinutes / 60)) : null
+  }));
+};
+
+/**
+ * Roll hour-of-week slots up into weekdays
+ * @param {Array} hourStats - From buildHourOfWeekStats
+ * @returns {Array} 7 days of { weekday, label, trips, earnings, onlineMinutes, ratePerHour }
+ */
+export const buildWeekdayStats = (hourStats) => {
+  return WEEKDAY_LABELS.map((label, weekday) => {
+    const day = hourStats
+      .filter(slot => slot.weekday === weekday)
+      .reduce((total, slot) => ({
+        trips: total.trips + slot.trips,
+        earnings: total.earnings + slot.earnings,
+        onlineMinutes: total.onlineMinutes + slot.onlineMinutes
+      }), { trips: 0, earnings: 0, onlineMinutes: 0 });
+
+    return {
+      weekday,
+      label,
+      ...day,
+      earnings: roundCurrency(day.earnings),
+      ratePerHour: day.onlineMinutes > 0 ? roundCurrency(day.earnings / (day.onlineMinutes / 60)) : null
+    };
+  });
+};
+
+/**
+ * Pick the best-paying hours of the week
+ * @param {Array} hourStats - From buildHourOfWeekStats
+ * @param {number} count - How many to return
+ * @param {number} minMinutes - Online time a slot needs to be ranked
+ * @returns {Array} Slots, highest ratePerHour first
+ */
+export const getBestHours = (hourStats, count = 5, minMinutes = MIN_RANKED_MINUTES) => {
+  return hourStats
+    .filter(slot => slot.onlineMinutes >= minMinutes && slot.ratePerHour !== null)
+    .sort((a, b) => b.ratePerHour - a.ratePerHour)
+    .slice(0, count);
+};
+
+/**
+ * Format an hour-of-week slot for display
+ * @param {Object} slot - { weekday, hour }
+ * @returns {string} e.g. "Fri 18:00-19:00"
+ */
+export const formatHourSlot = (slot) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${WEEKDAY_LABELS[slot.weekday]} ${pad(slot.hour)}:00-${pad((slot.hour + 1) % 24)}:00`;
+};
+
+/**
+ * Total earnings by pickup zone
+ * @param {Array} earnings - Records from the earnings collection
+ * @param {number} zoneSize - Grid cell size in degrees
+ * @returns {Array} [{ key, south, west, north, east, latitude, longitude, trips,
+ *   earnings, averageEarning, intensity (0-1, share of the top zone) }] highest earnings first
+ */
+export const buildZoneStats = (earnings, zoneSize = ZONE_SIZE_DEGREES) => {
+  const zones = {};
+
+  earnings.forEach(earning => {
+    const pickup = earning.tripDetails?.pickupCoordinates;
+    if (!pickup || typeof pickup.latitude !== 'number' || typeof pickup.longitude !== 'number') return;
+
+    const row = Math.floor(pickup.latitude / zoneSize);
+    const column = Math.floor(pickup.longitude / zoneSize);
+    const key = `${row}_${column}`;
+    if (!zones[key]) {
+      zones[key] = { key, row, column, trips: 0, earnings: 0 };
+    }
+    zones[key].trips += 1;
+    zones[key].earnings += earning.driverEarnings?.totalEarning || 0;
+  });
+
+  const cells = Object.values(zones);
+  const topEarnings = Math.max(0, ...cells.map(cell => cell.earnings));
+
+  return cells
+    .map(({ key, row, column, trips, earnings: total }) => ({
+      key,
+      south: row * zoneSize,
+      west: column * zoneSize,
+      north: (row + 1) * zoneSize,
+      east: (column + 1) * zoneSize,
+      latitude: (row + 0.5) * zoneSize,
+      longitude: (column + 0.5) * zoneSize,
+      trips,
+      earnings: roundCurrency(total),
+      averageEarning: roundCurrency(total / trips),
+      intensity: topEarnings > 0 ? total / topEarnings : 0
+    }))
+    .sort((a, b) => b.earnings - a.earnings);
+};
+
+/**
+ * Total up fares, earnings and distance for a set of earnings records
+ * @returns {Object} { trips, averageFare, averageEarning, distance, farePerKm, earningPerKm }
+ */
+const summarizeTrips = (earnings) => {
+  const totals = earnings.reduce((sum, earning) => ({
+    fare: sum.fare + (earning.fareBreakdown?.totalFare || 0),
+    earnings: sum.earnings + (earning.driverEarnings?.totalEarning || 0),
+    distance: sum.distance + (earning.tripDetails?.distance || 0)
+  }), { fare: 0, earnings: 0, distance: 0 });
+  const trips = earnings.length;
+
+  return {
+    trips,
+    averageFare: trips ? roundCurrency(totals.fare / trips) : 0,
+    averageEarning: trips ? roundCurrency(totals.earnings / trips) : 0,
+    distance: Math.round(totals.distance * 10) / 10,
+    farePerKm: totals.distance > 0 ? roundCurrency(totals.fare / totals.distance) : null,
+    earningPerKm: totals.distance > 0 ? roundCurrency(totals.earnings / totals.distance) : null
+  };
+};
+
+/**
+ * Compare ride types by average fare and per-km rates
+ * @param {Array} earnings - Records from the earnings collection
+ * @returns {Object} { overall, rideTypes: [{ rideType, ...totals }] } busiest ride type first
+ */
+export const buildRideTypeStats = (earnings) => {
+  const byType = {};
+  earnings.forEach(earning => {
+    const rideType = earning.tripDetails?.rideType || 'standard';
+    byType[rideType] = [...(byType[rideType] || []), earning];
+  });
+
+  return {
+    overall: summarizeTrips(earnings),
+    rideTypes: Object.entries(byType)
+      .map(([rideType, records]) => ({ rideType, ...summarizeTrips(records) }))
+      .sort((a, b) => b.trips - a.trips)
+  };
+};
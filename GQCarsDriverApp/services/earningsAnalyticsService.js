@@ -0,0 +1,55 @@
+import earningsService from './earningsService.js';
+import shiftService from './shiftService.js';
+import { startOfDay } from './timeZoneUtils.js';
+import {
+  buildHourOfWeekStats,
+  buildWeekdayStats,
+  getBestHours,
+  buildZoneStats,
+  buildRideTypeStats
+} from './earningsAnalytics.js';
+
+/**
+ * Earnings Analytics Service
+ * Loads a driver's recent earnings and shifts and works out their best hours,
+ * days and pickup zones. See earningsAnalytics.js for how each is computed.
+ */
+
+export const DEFAULT_ANALYTICS_DAYS = 90;
+
+class EarningsAnalyticsService {
+  /**
+   * Get a driver's earnings analytics over the last few weeks
+   * Returns { timeZone, since, days, hourOfWeek, weekdays, bestHours, zones, rideTypes, overall }
+   */
+  async getAnalytics(driverId, days = DEFAULT_ANALYTICS_DAYS, now = new Date()) {
+    try {
+      const timeZone = await earningsService.resolveTimeZone(driverId);
+      const since = startOfDay(now, timeZone, -(days - 1));
+      const [earnings, shifts] = await Promise.all([
+        earningsService.getEarnings(driverId, since, now, null),
+        shiftService.getShifts(driverId, since)
+      ]);
+
+      const hourOfWeek = buildHourOfWeekStats(earnings, shifts, timeZone, now);
+      const { overall, rideTypes } = buildRideTypeStats(earnings);
+
+      return {
+        timeZone,
+        since,
+        days,
+        hourOfWeek,
+        weekdays: buildWeekdayStats(hourOfWeek),
+        bestHours: getBestHours(hourOfWeek),
+        zones: buildZoneStats(earnings),
+        rideTypes,
+        overall
+      };
+    } catch (error) {
+      console.error('Error getting earnings analytics:', error);
+      throw new Error(`Failed to get earnings analytics: ${error.message}`);
+    }
+  }
+}
+
+export default new EarningsAnalyticsService();
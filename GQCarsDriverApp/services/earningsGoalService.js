@@ -0,0 +1,225 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import earningsService from './earningsService.js';
+import notificationService from './notificationService.js';
+import {
+  getDateKey,
+  getDriverTimeZone,
+  startOfDay,
+  startOfWeek,
+  formatTimeOfDay
+} from './timeZoneUtils.js';
+
+/**
+ * Earnings Goal Service
+ * Daily and weekly targets drivers set themselves, either an amount earned or
+ * a number of trips, with progress from the daily earnings summaries.
+ *
+ * Projections use the period's rate per online hour, so they say how much
+ * more time online the goal needs at the current pace, not when the driver
+ * will actually get there.
+ *
+ * Goals live on the driver profile as `earningsGoals`; which goals have been
+ * announced as reached is kept on the device, per day or week in the
+ * driver's time zone.
+ */
+
+const REACHED_STORAGE_KEY = 'earnings_goals_reached';
+
+// Below this much online time the hourly rate is too noisy to project from
+const MIN_PROJECTION_MINUTES = 15;
+
+export const GOAL_PERIOD = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+export const GOAL_METRIC = {
+  EARNINGS: 'earnings',
+  TRIPS: 'trips'
+};
+
+export const DEFAULT_EARNINGS_GOALS = {
+  [GOAL_PERIOD.DAILY]: { enabled: false, metric: GOAL_METRIC.EARNINGS, target: 200 },
+  [GOAL_PERIOD.WEEKLY]: { enabled: false, metric: GOAL_METRIC.EARNINGS, target: 1000 }
+};
+
+export const GOAL_TARGET_OPTIONS = {
+  [GOAL_PERIOD.DAILY]: {
+    [GOAL_METRIC.EARNINGS]: [100, 150, 200, 250, 300],
+    [GOAL_METRIC.TRIPS]: [10, 15, 20, 25, 30]
+  },
+  [GOAL_PERIOD.WEEKLY]: {
+    [GOAL_METRIC.EARNINGS]: [500, 750, 1000, 1250, 1500],
+    [GOAL_METRIC.TRIPS]: [50, 75, 100, 125, 150]
+  }
+};
+
+/**
+ * Resolve a driver's goals, filling gaps with the defaults
+ * @param {Object} driverProfile - Driver profile (may be null)
+ * @returns {Object} { daily: { enabled, metric, target }, weekly: { ... } }
+ */
+export const getEarningsGoals = (driverProfile) => {
+  const saved = driverProfile?.earningsGoals || {};
+  return Object.values(GOAL_PERIOD).reduce((goals, period) => ({
+    ...goals,
+    [period]: { ...DEFAULT_EARNINGS_GOALS[period], ...(saved[period] || {}) }
+  }), {});
+};
+
+/**
+ * Format a goal amount for display
+ * @param {string} metric - A GOAL_METRIC value
+ * @param {number} value - Amount earned or trip count
+ * @returns {string} '$200' or '20 trips'
+ */
+export const formatGoalValue = (metric, value) => {
+  if (metric === GOAL_METRIC.TRIPS) {
+    return `${value} trip${value === 1 ? '' : 's'}`;
+  }
+  return `$${value.toFixed(value % 1 ? 2 : 0)}`;
+};
+
+/**
+ * Work out how far a goal is along and how long it should take to finish
+ * @param {Object} goal - { metric, target }
+ * @param {Object} totals - { earnings, trips, onlineMinutes } for the goal's period
+ * @param {Date} now - Current time
+ * @returns {Object} { metric, target, current, remaining, progress (0-1), reached,
+ *   ratePerHour, minutesToGo, projectedAt } - projections are null when unknown
+ */
+export const getGoalProgress = (goal, totals, now = new Date()) => {
+  const current = goal.metric === GOAL_METRIC.TRIPS ? totals.trips || 0 : totals.earnings || 0;
+  const remaining = Math.max(0, goal.target - current);
+  const reached = goal.target > 0 && remaining === 0;
+  const onlineMinutes = totals.onlineMinutes || 0;
+  const ratePerHour = onlineMinutes >= MIN_PROJECTION_MINUTES ? current / (onlineMinutes / 60) : null;
+  const minutesToGo = !reached && ratePerHour > 0 ? Math.ceil(remaining / ratePerHour * 60) : null;
+
+  return {
+    metric: goal.metric,
+    target: goal.target,
+    current,
+    remaining,
+    progress: goal.target > 0 ? Math.min(1, current / goal.target) : 0,
+    reached,
+    ratePerHour,
+    minutesToGo,
+    projectedAt: minutesToGo !== null ? new Date(now.getTime() + minutesToGo * 60 * 1000) : null
+  };
+};
+
+/**
+ * Describe how a goal is pacing, for display under its progress bar
+ * @param {Object} goal - Entry from getProgress()
+ * @param {string} timeZone - Driver's time zone
+ * @returns {string} e.g. 'About 2h 40m more online at $30.00/h, around 14:40'
+ */
+export const describeGoalPace = (goal, timeZone) => {
+  if (goal.reached) {
+    return 'Goal reached!';
+  }
+  if (goal.minutesToGo === null) {
+    return 'Spend some time online to see your pace';
+  }
+
+  const rate = goal.metric === GOAL_METRIC.TRIPS
+    ? `${goal.ratePerHour.toFixed(1)} trips/h`
+    : `$${goal.ratePerHour.toFixed(2)}/h`;
+  const pace = `About ${Math.floor(goal.minutesToGo / 60)}h ${goal.minutesToGo % 60}m more online at ${rate}`;
+
+  // Only daily goals get a clock time, and only if it's still today
+  if (goal.period === GOAL_PERIOD.DAILY && getDateKey(goal.projectedAt, timeZone) === goal.periodKey) {
+    return `${pace}, around ${formatTimeOfDay(goal.projectedAt, timeZone)}`;
+  }
+  return pace;
+};
+
+class EarningsGoalService {
+  /**
+   * Get today's and this week's totals for goal progress
+   * Returns { daily, weekly } with { earnings, trips, onlineMinutes }
+   */
+  async getPeriodTotals(driverId, timeZone, now = new Date()) {
+    const [dailySummary, weekSummary] = await Promise.all([
+      earningsService.getDailySummary(driverId, now, timeZone),
+      earningsService.getWeeklySummary(driverId, startOfWeek(now, timeZone), timeZone)
+    ]);
+    const day = dailySummary?.summary || {};
+    const week = weekSummary?.weeklyTotal || {};
+
+    return {
+      [GOAL_PERIOD.DAILY]: {
+        earnings: day.totalEarnings || 0,
+        trips: day.totalTrips || 0,
+        onlineMinutes: day.onlineTime || 0
+      },
+      [GOAL_PERIOD.WEEKLY]: {
+        earnings: week.totalEarnings || 0,
+        trips: week.totalTrips || 0,
+        onlineMinutes: week.onlineTime || 0
+      }
+    };
+  }
+
+  /**
+   * Get progress on each of the driver's enabled goals
+   * Returns [{ period, periodKey, ...getGoalProgress() }]
+   */
+  async getProgress(driverId, driverProfile, now = new Date()) {
+    try {
+      const goals = getEarningsGoals(driverProfile);
+      const enabled = Object.values(GOAL_PERIOD).filter(period => goals[period].enabled);
+      if (enabled.length === 0) return [];
+
+      const timeZone = getDriverTimeZone(driverProfile);
+      const totals = await this.getPeriodTotals(driverId, timeZone, now);
+      const periodStarts = {
+        [GOAL_PERIOD.DAILY]: startOfDay(now, timeZone),
+        [GOAL_PERIOD.WEEKLY]: startOfWeek(now, timeZone)
+      };
+
+      return enabled.map(period => ({
+        period,
+        periodKey: getDateKey(periodStarts[period], timeZone),
+        ...getGoalProgress(goals[period], totals[period], now)
+      }));
+    } catch (error) {
+      console.error('Error getting goal progress:', error);
+      throw new Error(`Failed to get goal progress: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get progress and announce goals reached since the last check
+   * Each goal is announced once per day or week, even if the app restarts
+   */
+  async checkGoals(driverId, driverProfile, now = new Date()) {
+    const progress = await this.getProgress(driverId, driverProfile, now);
+
+    try {
+      const stored = await AsyncStorage.getItem(REACHED_STORAGE_KEY);
+      const announced = stored ? JSON.parse(stored) : [];
+      // Changing the target counts as a new goal
+      const keyOf = (goal) => `${goal.period}:${goal.periodKey}:${goal.metric}:${goal.target}`;
+      const newlyReached = progress.filter(goal => goal.reached && !announced.includes(keyOf(goal)));
+
+      if (newlyReached.length > 0) {
+        // Only this period's keys are worth keeping
+        const current = new Set(progress.map(keyOf));
+        const keep = announced.filter(key => current.has(key));
+        await AsyncStorage.setItem(REACHED_STORAGE_KEY, JSON.stringify([...keep, ...newlyReached.map(keyOf)]));
+
+        for (const goal of newlyReached) {
+          await notificationService.showGoalReached(goal.period, formatGoalValue(goal.metric, goal.target));
+        }
+      }
+    } catch (error) {
+      console.error('Error announcing reached goals:', error);
+    }
+
+    return progress;
+  }
+}
+
+export default new EarningsGoalService();
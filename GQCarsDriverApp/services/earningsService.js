@@ -3,28 +3,50 @@ import {
   doc, 
   getDoc, 
   getDocs, 
-  addDoc,
-  setDoc, 
-  updateDoc, 
   query, 
   where, 
   orderBy, 
   limit,
   startAfter,
-  Timestamp
+  Timestamp,
+  runTransaction,
+  increment
 } from 'firebase/firestore';
 import { db } from '../../firebase.js';
+import {
+  getDateKey,
+  getDriverTimeZone,
+  startOfDay,
+  startOfMonth,
+  lastDayOfMonth,
+  splitByDay
+} from './timeZoneUtils.js';
+import { roundCurrency } from './fareService.js';
+import ledgerService, { LEDGER_ENTRY_TYPE } from './ledgerService.js';
+import paymentProvider from './paymentProvider.js';
+import {
+  PAYOUT_TYPE,
+  PAYOUT_STATUS,
+  MINIMUM_INSTANT_CASHOUT,
+  calculateInstantFee,
+  getNextPayoutSchedule,
+  getDuePayoutCutoff,
+  buildPayoutPlan
+} from './payoutRules.js';
 
 /**
  * Earnings Collection Schema:
  * {
- *   id: string (document ID - auto-generated),
+ *   id: string (document ID - the trip ID, so each trip is recorded once),
  *   driverId: string,
  *   tripId: string,
- *   date: timestamp (date only, for daily aggregation),
+ *   date: timestamp (start of the day in the driver's time zone, for daily aggregation),
+ *   dateKey: string (YYYY-MM-DD in the driver's time zone),
+ *   timeZone: string (IANA time zone the day was computed in),
  *   tripDetails: {
  *     pickupLocation: string,
  *     dropoffLocation: string,
+ *     pickupCoordinates: { latitude, longitude } | null, // for pickup zone analytics
  *     distance: number,
  *     duration: number,
  *     rideType: string
@@ -35,7 +57,7 @@ import { db } from '../../firebase.js';
  *     timeFare: number,
  *     surgeFare: number,
  *     tolls: number,
- *     tips: number,
+ *     tips: number, // includes tips added after the trip
  *     discount: number,
  *     totalFare: number
  *   },
@@ -44,11 +66,13 @@ import { db } from '../../firebase.js';
  *     commission: number, // platform commission
  *     netEarning: number, // after commission
  *     bonus: number, // any bonus payments
- *     totalEarning: number // net + bonus
+ *     appTips: number, // tips added in the app after the trip
+ *     totalEarning: number // net + bonus + appTips
  *   },
  *   paymentMethod: string, // 'cash', 'card', 'wallet'
  *   paymentStatus: string, // 'paid', 'pending', 'processing'
  *   cashCollected: number, // for cash trips
+ *   payoutId: string | null, // payout this earning was paid out in
  *   completedAt: timestamp,
  *   createdAt: timestamp,
  *   updatedAt: timestamp
@@ -59,14 +83,17 @@ import { db } from '../../firebase.js';
  * Daily Earnings Summary Collection Schema:
  * Collection: earnings_daily_summary
  * {
- *   id: string (format: {driverId}_{YYYY-MM-DD}),
+ *   id: string (format: {driverId}_{YYYY-MM-DD}, day in the driver's time zone),
  *   driverId: string,
- *   date: timestamp (date only),
+ *   date: timestamp (start of the day in the driver's time zone),
+ *   dateKey: string (YYYY-MM-DD),
+ *   timeZone: string,
  *   summary: {
  *     totalTrips: number,
  *     totalDistance: number,
  *     totalDuration: number,
- *     onlineTime: number, // in minutes
+ *     onlineTime: number, // in minutes, from shift sessions (includes busyTime)
+ *     busyTime: number, // in minutes spent on trips
  *     grossEarnings: number,
  *     commission: number,
  *     netEarnings: number,
@@ -85,18 +112,160 @@ import { db } from '../../firebase.js';
  *     card: number,
  *     wallet: number
  *   },
+ *   version: number, // bumped by every write, so a rebuild can tell it raced one
  *   createdAt: timestamp,
  *   updatedAt: timestamp
  * }
  */
 
+/**
+ * Payouts Collection Schema:
+ * Collection: payouts
+ * {
+ *   id: string,
+ *   driverId: string,
+ *   type: string, // 'scheduled', 'instant'
+ *   status: string, // 'processing', 'paid', 'failed'
+ *   periodStart: string, // YYYY-MM-DD of the first included earning
+ *   periodEnd: string, // YYYY-MM-DD of the last included earning
+ *   earningIds: array, // earnings paid out
+ *   earningsTotal: number, // what the earnings added to the ledger balance
+ *   amount: number, // taken off the balance (the balance less unpaid earnings not yet due)
+ *   fee: number, // instant cashout fee
+ *   netAmount: number, // sent to the driver (amount - fee)
+ *   reference: string | null, // payment provider transfer ID
+ *   failureReason: string | null,
+ *   requestedAt: timestamp,
+ *   paidAt: timestamp | null,
+ *   createdAt: timestamp,
+ *   updatedAt: timestamp
+ * }
+ *
+ * A payout is recorded as processing, with its earnings claimed and the
+ * balance debited, before any money is sent, so an earning can never be paid
+ * twice. A failed transfer releases the earnings and credits the balance back.
+ * A payout still processing after the app closed mid-transfer is settled
+ * from the payment provider's records by reconcileStalePayouts.
+ * See payoutRules.js for the schedule and fees.
+ */
+
 const EARNINGS_COLLECTION = 'earnings';
+const DRIVERS_COLLECTION = 'drivers';
 const DAILY_SUMMARY_COLLECTION = 'earnings_daily_summary';
+const PAYOUTS_COLLECTION = 'payouts';
+const TRIPS_COLLECTION = 'active_trips';
+
+// How long a payout can stay processing before it's checked with the payment provider
+const STALE_PAYOUT_MS = 10 * 60 * 1000;
+
+// How long after a trip completes the passenger can still add a tip
+export const TIP_WINDOW_HOURS = 72;
+
+const SUMMARY_FIELDS = [
+  'totalTrips',
+  'totalDistance',
+  'totalDuration',
+  'onlineTime',
+  'busyTime',
+  'grossEarnings',
+  'commission',
+  'netEarnings',
+  'bonuses',
+  'tips',
+  'cashCollected',
+  'totalEarnings'
+];
+const TRIP_TYPES = ['standard', 'premium', 'shared'];
+const PAYMENT_METHODS = ['cash', 'card', 'wallet'];
+
+// How many times a rebuild re-reads the day when a write lands mid-rebuild
+const MAX_REBUILD_ATTEMPTS = 5;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// Turn a map of amounts into increment() transforms, zero-filling the given keys
+const toIncrements = (delta = {}, keys = []) => {
+  const result = {};
+  keys.forEach(key => { result[key] = increment(0); });
+  Object.entries(delta).forEach(([key, amount]) => {
+    result[key] = increment(amount || 0);
+  });
+  return result;
+};
+
+// Count one of a value, or nothing when the value is missing
+const countOf = (value) => (value ? { [value]: 1 } : {});
 
 class EarningsService {
   constructor() {
     this.earningsRef = collection(db, EARNINGS_COLLECTION);
     this.dailySummaryRef = collection(db, DAILY_SUMMARY_COLLECTION);
+    this.payoutsRef = collection(db, PAYOUTS_COLLECTION);
+  }
+
+  /**
+   * Resolve the time zone used for a driver's day boundaries
+   *
+   * Uses the given zone if set, otherwise the one stored on the driver profile,
+   * falling back to the device's zone.
+   */
+  async resolveTimeZone(driverId, timeZone = null) {
+    if (timeZone) {
+      return timeZone;
+    }
+    
+    const driverSnap = await getDoc(doc(db, DRIVERS_COLLECTION, driverId));
+    return getDriverTimeZone(driverSnap.exists() ? driverSnap.data() : null);
+  }
+
+  /**
+   * Build the earnings record for a completed trip
+   */
+  buildTripEarning(tripData, timeZone, now = new Date()) {
+    const completedTime = toDate(tripData.completedTime);
+    
+    return {
+      driverId: tripData.driverId,
+      tripId: tripData.id,
+      date: Timestamp.fromDate(startOfDay(completedTime, timeZone)),
+      dateKey: getDateKey(completedTime, timeZone),
+      timeZone,
+      tripDetails: {
+        pickupLocation: tripData.pickupLocation.placeName || tripData.pickupLocation.address,
+        dropoffLocation: tripData.dropoffLocation.placeName || tripData.dropoffLocation.address,
+        pickupCoordinates: typeof tripData.pickupLocation.latitude === 'number'
+          ? { latitude: tripData.pickupLocation.latitude, longitude: tripData.pickupLocation.longitude }
+          : null,
+        distance: tripData.actualDistance || tripData.route.distance,
+        duration: tripData.actualDuration || tripData.route.duration,
+        rideType: tripData.rideType
+      },
+      fareBreakdown: {
+        baseFare: tripData.fareInfo.baseFare,
+        distanceFare: tripData.fareInfo.distanceFare,
+        timeFare: tripData.fareInfo.timeFare,
+        surgeFare: tripData.fareInfo.surgeFare,
+        tolls: tripData.fareInfo.tolls || 0,
+        tips: tripData.fareInfo.tips || 0,
+        discount: tripData.fareInfo.discount,
+        totalFare: tripData.fareInfo.totalFare
+      },
+      driverEarnings: {
+        grossEarning: tripData.fareInfo.driverEarning,
+        commission: tripData.fareInfo.commission ?? (tripData.fareInfo.totalFare - tripData.fareInfo.driverEarning),
+        netEarning: tripData.fareInfo.driverEarning,
+        bonus: tripData.fareInfo.bonus || 0,
+        appTips: 0,
+        totalEarning: (tripData.fareInfo.driverEarning || 0) + (tripData.fareInfo.bonus || 0)
+      },
+      paymentMethod: tripData.paymentMethod,
+      paymentStatus: tripData.paymentStatus,
+      cashCollected: tripData.paymentMethod === 'cash' ? tripData.fareInfo.totalFare : 0,
+      payoutId: null,
+      completedAt: Timestamp.fromDate(completedTime),
+      createdAt: Timestamp.fromDate(now),
+      updatedAt: Timestamp.fromDate(now)
+    };
   }
 
   /**
@@ -104,155 +273,341 @@ class EarningsService {
    */
   async recordTripEarning(tripData) {
     try {
-      const now = new Date();
-      const tripDate = new Date(tripData.completedTime);
-      tripDate.setHours(0, 0, 0, 0); // Set to start of day
-      
-      const earning = {
-        driverId: tripData.driverId,
-        tripId: tripData.id,
-        date: Timestamp.fromDate(tripDate),
-        tripDetails: {
-          pickupLocation: tripData.pickupLocation.placeName || tripData.pickupLocation.address,
-          dropoffLocation: tripData.dropoffLocation.placeName || tripData.dropoffLocation.address,
-          distance: tripData.actualDistance || tripData.route.distance,
-          duration: tripData.actualDuration || tripData.route.duration,
-          rideType: tripData.rideType
-        },
-        fareBreakdown: {
-          baseFare: tripData.fareInfo.baseFare,
-          distanceFare: tripData.fareInfo.distanceFare,
-          timeFare: tripData.fareInfo.timeFare,
-          surgeFare: tripData.fareInfo.surgeFare,
-          tolls: tripData.fareInfo.tolls || 0,
-          tips: tripData.fareInfo.tips || 0,
-          discount: tripData.fareInfo.discount,
-          totalFare: tripData.fareInfo.totalFare
-        },
-        driverEarnings: {
-          grossEarning: tripData.fareInfo.driverEarning,
-          commission: tripData.fareInfo.totalFare - tripData.fareInfo.driverEarning,
-          netEarning: tripData.fareInfo.driverEarning,
-          bonus: tripData.fareInfo.bonus || 0,
-          totalEarning: (tripData.fareInfo.driverEarning || 0) + (tripData.fareInfo.bonus || 0)
-        },
-        paymentMethod: tripData.paymentMethod,
-        paymentStatus: tripData.paymentStatus,
-        cashCollected: tripData.paymentMethod === 'cash' ? tripData.fareInfo.totalFare : 0,
-        completedAt: Timestamp.fromDate(new Date(tripData.completedTime)),
-        createdAt: Timestamp.fromDate(now),
-        updatedAt: Timestamp.fromDate(now)
+      const { earning } = await runTransaction(db, (transaction) =>
+        this.recordTripEarningInTransaction(transaction, tripData)
+      );
+      return earning;
+    } catch (error) {
+      console.error('Error recording trip earning:', error);
+      throw new Error(`Failed to record trip earning: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a trip's earnings and daily summary as part of a caller's transaction
+   *
+   * The earnings document is keyed by trip ID, so a retried completion finds the
+   * existing record and writes nothing. All reads happen before any writes, so
+   * callers may add their own writes afterwards.
+   * Returns { earning, alreadyRecorded }
+   */
+  async recordTripEarningInTransaction(transaction, tripData) {
+    const earningRef = doc(db, EARNINGS_COLLECTION, tripData.id);
+    const driverSnap = await transaction.get(doc(db, DRIVERS_COLLECTION, tripData.driverId));
+    const timeZone = getDriverTimeZone(driverSnap.exists() ? driverSnap.data() : null);
+    const earning = this.buildTripEarning(tripData, timeZone);
+    const tripDate = toDate(earning.completedAt);
+    const summaryRef = doc(db, DAILY_SUMMARY_COLLECTION, this.getDailySummaryId(tripData.driverId, tripDate, timeZone));
+    
+    const existingEarning = await transaction.get(earningRef);
+    if (existingEarning.exists()) {
+      return {
+        earning: { id: existingEarning.id, ...existingEarning.data() },
+        alreadyRecorded: true
       };
+    }
+    
+    const existingSummary = await transaction.get(summaryRef);
+    
+    transaction.set(earningRef, earning);
+    transaction.set(
+      summaryRef,
+      this.buildSummaryWrite(tripData.driverId, tripDate, timeZone, this.getEarningSummaryDelta(earning), !existingSummary.exists()),
+      { merge: true }
+    );
+    
+    return {
+      earning: { id: earningRef.id, ...earning },
+      alreadyRecorded: false
+    };
+  }
+
+  /**
+   * Add a tip to a completed trip, typically from the passenger app
+   *
+   * Updates the trip's earnings record, its day's summary, the trip and the
+   * driver's totals, and credits the tip on the ledger, all in one
+   * transaction. The ledger entry is keyed by tipId, so a retried tip is only
+   * counted once. Returns { tip, alreadyRecorded }.
+   */
+  async addTip(tripId, amount, tipId = null, now = new Date()) {
+    try {
+      const tipAmount = roundCurrency(Number(amount) || 0);
+      if (tipAmount <= 0) {
+        throw new Error('Tip amount must be positive');
+      }
       
-      const docRef = await addDoc(this.earningsRef, earning);
-      const earningRecord = { id: docRef.id, ...earning };
-      
-      // Update daily summary
-      await this.updateDailySummary(tripData.driverId, tripDate, earning);
+      const earningRef = doc(db, EARNINGS_COLLECTION, tripId);
+      const tripRef = doc(db, TRIPS_COLLECTION, tripId);
+      const entryId = `tip_${tripId}_${tipId || now.getTime()}`;
       
-      return earningRecord;
+      return await runTransaction(db, async (transaction) => {
+        const earningSnap = await transaction.get(earningRef);
+        if (!earningSnap.exists()) {
+          throw new Error('Trip earnings not found');
+        }
+        
+        const earning = earningSnap.data();
+        const completedAt = toDate(earning.completedAt);
+        if (now.getTime() - completedAt.getTime() > TIP_WINDOW_HOURS * 60 * 60 * 1000) {
+          throw new Error(`Tips can only be added within ${TIP_WINDOW_HOURS} hours of the trip`);
+        }
+        
+        const entrySnap = await transaction.get(ledgerService.getEntryRef(entryId));
+        if (entrySnap.exists()) {
+          return { tip: { id: entrySnap.id, ...entrySnap.data() }, alreadyRecorded: true };
+        }
+        
+        const timeZone = await this.resolveTimeZone(earning.driverId, earning.timeZone);
+        const summaryRef = doc(db, DAILY_SUMMARY_COLLECTION, this.getDailySummaryId(earning.driverId, completedAt, timeZone));
+        const [existingSummary, tripSnap] = await Promise.all([
+          transaction.get(summaryRef),
+          transaction.get(tripRef)
+        ]);
+        
+        // All reads done - now write
+        const timestamp = Timestamp.fromDate(now);
+        transaction.update(earningRef, {
+          'fareBreakdown.tips': increment(tipAmount),
+          'driverEarnings.appTips': increment(tipAmount),
+          'driverEarnings.totalEarning': increment(tipAmount),
+          updatedAt: timestamp
+        });
+        transaction.set(
+          summaryRef,
+          this.buildSummaryWrite(
+            earning.driverId,
+            completedAt,
+            timeZone,
+            { summary: { tips: tipAmount, totalEarnings: tipAmount } },
+            !existingSummary.exists(),
+            now
+          ),
+          { merge: true }
+        );
+        if (tripSnap.exists()) {
+          transaction.update(tripRef, { 'fareInfo.tips': increment(tipAmount), updatedAt: now });
+        }
+        transaction.update(doc(db, DRIVERS_COLLECTION, earning.driverId), {
+          totalEarnings: increment(tipAmount)
+        });
+        const tip = ledgerService.recordEntryInTransaction(transaction, earning.driverId, {
+          type: LEDGER_ENTRY_TYPE.TIP,
+          amount: tipAmount,
+          description: 'Tip from passenger',
+          tripId,
+          reference: tipId
+        }, now, entryId);
+        
+        return { tip, alreadyRecorded: false };
+      });
     } catch (error) {
-      console.error('Error recording trip earning:', error);
-      throw new Error(`Failed to record trip earning: ${error.message}`);
+      console.error('Error adding tip:', error);
+      throw new Error(`Failed to add tip: ${error.message}`);
     }
   }
 
+  /**
+   * Get the daily summary document ID for a driver and day
+   */
+  getDailySummaryId(driverId, date, timeZone) {
+    return `${driverId}_${getDateKey(date, timeZone)}`;
+  }
+
+  /**
+   * Get the amounts one earning adds to its daily summary
+   */
+  getEarningSummaryDelta(earning) {
+    return {
+      summary: {
+        totalTrips: 1,
+        totalDistance: earning.tripDetails.distance || 0,
+        totalDuration: earning.tripDetails.duration || 0,
+        grossEarnings: earning.driverEarnings.grossEarning || 0,
+        commission: earning.driverEarnings.commission || 0,
+        netEarnings: earning.driverEarnings.netEarning || 0,
+        bonuses: earning.driverEarnings.bonus || 0,
+        tips: earning.fareBreakdown.tips || 0,
+        cashCollected: earning.cashCollected || 0,
+        totalEarnings: earning.driverEarnings.totalEarning || 0
+      },
+      tripTypes: countOf(earning.tripDetails.rideType),
+      paymentMethods: countOf(earning.paymentMethod)
+    };
+  }
+
+  /**
+   * Build a merge write that adds a delta to a daily summary
+   *
+   * Every counter is an increment() transform, so concurrent writers (trip
+   * completions, online time updates) never overwrite each other. Missing
+   * counters are created at zero so new summaries have the full schema.
+   * Each write also bumps `version` for rebuildDailySummary to check.
+   */
+  buildSummaryWrite(driverId, date, timeZone, delta, isNew = false, now = new Date()) {
+    const write = {
+      driverId,
+      date: Timestamp.fromDate(startOfDay(date, timeZone)),
+      dateKey: getDateKey(date, timeZone),
+      timeZone,
+      summary: toIncrements(delta.summary, SUMMARY_FIELDS),
+      tripTypes: toIncrements(delta.tripTypes, TRIP_TYPES),
+      paymentMethods: toIncrements(delta.paymentMethods, PAYMENT_METHODS),
+      version: increment(1),
+      updatedAt: Timestamp.fromDate(now)
+    };
+    
+    if (isNew) {
+      write.createdAt = Timestamp.fromDate(now);
+    }
+    return write;
+  }
+
+  /**
+   * Add a delta to a daily summary in its own transaction
+   */
+  async applySummaryDelta(driverId, date, delta, timeZone = null) {
+    const zone = await this.resolveTimeZone(driverId, timeZone);
+    const docRef = doc(db, DAILY_SUMMARY_COLLECTION, this.getDailySummaryId(driverId, date, zone));
+    
+    await runTransaction(db, async (transaction) => {
+      const existingSummary = await transaction.get(docRef);
+      transaction.set(
+        docRef,
+        this.buildSummaryWrite(driverId, date, zone, delta, !existingSummary.exists()),
+        { merge: true }
+      );
+    });
+  }
+
   /**
    * Update daily earnings summary
    */
-  async updateDailySummary(driverId, date, newEarning) {
+  async updateDailySummary(driverId, date, newEarning, timeZone = null) {
+    try {
+      const zone = await this.resolveTimeZone(driverId, timeZone);
+      await this.applySummaryDelta(driverId, date, this.getEarningSummaryDelta(newEarning), zone);
+      return await this.getDailySummary(driverId, date, zone);
+    } catch (error) {
+      console.error('Error updating daily summary:', error);
+      throw new Error(`Failed to update daily summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Total a list of earnings records into daily summary fields
+   */
+  summarizeEarnings(earnings) {
+    const totals = {
+      summary: Object.fromEntries(SUMMARY_FIELDS.map(field => [field, 0])),
+      tripTypes: Object.fromEntries(TRIP_TYPES.map(type => [type, 0])),
+      paymentMethods: Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0]))
+    };
+    
+    earnings.forEach(earning => {
+      const delta = this.getEarningSummaryDelta(earning);
+      Object.entries(delta.summary).forEach(([field, amount]) => {
+        totals.summary[field] += amount;
+      });
+      Object.entries(delta.tripTypes).forEach(([type, count]) => {
+        totals.tripTypes[type] = (totals.tripTypes[type] || 0) + count;
+      });
+      Object.entries(delta.paymentMethods).forEach(([method, count]) => {
+        totals.paymentMethods[method] = (totals.paymentMethods[method] || 0) + count;
+      });
+    });
+    
+    return totals;
+  }
+
+  /**
+   * Recompute a daily summary from the raw earnings records to repair drift
+   *
+   * Trip totals are replaced with the recomputed values; onlineTime and
+   * busyTime are kept because they are not derived from earnings.
+   *
+   * Earnings can't be queried inside a transaction, so the summary's version
+   * is read before the query and checked again in the transaction. A trip or
+   * tip recorded in between bumps it, and the day is read again.
+   */
+  async rebuildDailySummary(driverId, date, timeZone = null) {
     try {
-      const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
-      const summaryId = `${driverId}_${dateStr}`;
-      const docRef = doc(db, DAILY_SUMMARY_COLLECTION, summaryId);
+      const zone = await this.resolveTimeZone(driverId, timeZone);
+      const dayStart = startOfDay(date, zone);
+      const docRef = doc(db, DAILY_SUMMARY_COLLECTION, this.getDailySummaryId(driverId, dayStart, zone));
       
-      const existingSummary = await getDoc(docRef);
-      const now = new Date();
+      const q = query(
+        this.earningsRef,
+        where('driverId', '==', driverId),
+        where('date', '==', Timestamp.fromDate(dayStart))
+      );
       
-      let summary;
-      if (existingSummary.exists()) {
-        const data = existingSummary.data();
-        summary = {
-          ...data,
-          summary: {
-            totalTrips: data.summary.totalTrips + 1,
-            totalDistance: data.summary.totalDistance + newEarning.tripDetails.distance,
-            totalDuration: data.summary.totalDuration + newEarning.tripDetails.duration,
-            onlineTime: data.summary.onlineTime, // This should be updated separately
-            grossEarnings: data.summary.grossEarnings + newEarning.driverEarnings.grossEarning,
-            commission: data.summary.commission + newEarning.driverEarnings.commission,
-            netEarnings: data.summary.netEarnings + newEarning.driverEarnings.netEarning,
-            bonuses: data.summary.bonuses + newEarning.driverEarnings.bonus,
-            tips: data.summary.tips + (newEarning.fareBreakdown.tips || 0),
-            cashCollected: data.summary.cashCollected + newEarning.cashCollected,
-            totalEarnings: data.summary.totalEarnings + newEarning.driverEarnings.totalEarning
-          },
-          tripTypes: {
-            ...data.tripTypes,
-            [newEarning.tripDetails.rideType]: (data.tripTypes[newEarning.tripDetails.rideType] || 0) + 1
-          },
-          paymentMethods: {
-            ...data.paymentMethods,
-            [newEarning.paymentMethod]: (data.paymentMethods[newEarning.paymentMethod] || 0) + 1
-          },
-          updatedAt: Timestamp.fromDate(now)
-        };
-      } else {
-        summary = {
-          driverId,
-          date: Timestamp.fromDate(date),
-          summary: {
-            totalTrips: 1,
-            totalDistance: newEarning.tripDetails.distance,
-            totalDuration: newEarning.tripDetails.duration,
-            onlineTime: 0,
-            grossEarnings: newEarning.driverEarnings.grossEarning,
-            commission: newEarning.driverEarnings.commission,
-            netEarnings: newEarning.driverEarnings.netEarning,
-            bonuses: newEarning.driverEarnings.bonus,
-            tips: newEarning.fareBreakdown.tips || 0,
-            cashCollected: newEarning.cashCollected,
-            totalEarnings: newEarning.driverEarnings.totalEarning
-          },
-          tripTypes: {
-            standard: 0,
-            premium: 0,
-            shared: 0,
-            [newEarning.tripDetails.rideType]: 1
-          },
-          paymentMethods: {
-            cash: 0,
-            card: 0,
-            wallet: 0,
-            [newEarning.paymentMethod]: 1
-          },
-          createdAt: Timestamp.fromDate(now),
-          updatedAt: Timestamp.fromDate(now)
-        };
+      for (let attempt = 0; attempt < MAX_REBUILD_ATTEMPTS; attempt++) {
+        const before = await getDoc(docRef);
+        const version = before.exists() ? before.data().version || 0 : 0;
+        
+        const querySnapshot = await getDocs(q);
+        const totals = this.summarizeEarnings(querySnapshot.docs.map(doc => doc.data()));
+        const now = Timestamp.fromDate(new Date());
+        
+        const summary = await runTransaction(db, async (transaction) => {
+          const existingSummary = await transaction.get(docRef);
+          const existing = existingSummary.exists() ? existingSummary.data() : null;
+          
+          if ((existing?.version || 0) !== version) {
+            return null;
+          }
+          
+          const rebuilt = {
+            driverId,
+            date: Timestamp.fromDate(dayStart),
+            dateKey: getDateKey(dayStart, zone),
+            timeZone: zone,
+            summary: {
+              ...totals.summary,
+              onlineTime: existing?.summary?.onlineTime || 0,
+              busyTime: existing?.summary?.busyTime || 0
+            },
+            tripTypes: totals.tripTypes,
+            paymentMethods: totals.paymentMethods,
+            version: version + 1,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+          };
+          
+          transaction.set(docRef, rebuilt);
+          return rebuilt;
+        });
+        
+        if (summary) {
+          return { id: docRef.id, ...summary };
+        }
       }
       
-      await setDoc(docRef, summary);
-      return summary;
+      throw new Error('Summary kept changing during the rebuild, try again later');
     } catch (error) {
-      console.error('Error updating daily summary:', error);
-      throw new Error(`Failed to update daily summary: ${error.message}`);
+      console.error('Error rebuilding daily summary:', error);
+      throw new Error(`Failed to rebuild daily summary: ${error.message}`);
     }
   }
 
   /**
    * Get driver's earnings for a specific date range
+   * Pass limitCount = null to get every earning in the range
    */
   async getEarnings(driverId, startDate, endDate, limitCount = 50) {
     try {
-      const q = query(
-        this.earningsRef,
+      const constraints = [
         where('driverId', '==', driverId),
         where('date', '>=', Timestamp.fromDate(startDate)),
         where('date', '<=', Timestamp.fromDate(endDate)),
         orderBy('date', 'desc'),
-        orderBy('completedAt', 'desc'),
-        limit(limitCount)
-      );
+        orderBy('completedAt', 'desc')
+      ];
+      if (limitCount) {
+        constraints.push(limit(limitCount));
+      }
+      const q = query(this.earningsRef, ...constraints);
       
       const querySnapshot = await getDocs(q);
       return querySnapshot.docs.map(doc => ({
@@ -268,11 +623,10 @@ class EarningsService {
   /**
    * Get daily earnings summary
    */
-  async getDailySummary(driverId, date) {
+  async getDailySummary(driverId, date, timeZone = null) {
     try {
-      const dateStr = date.toISOString().split('T')[0];
-      const summaryId = `${driverId}_${dateStr}`;
-      const docRef = doc(db, DAILY_SUMMARY_COLLECTION, summaryId);
+      const zone = await this.resolveTimeZone(driverId, timeZone);
+      const docRef = doc(db, DAILY_SUMMARY_COLLECTION, this.getDailySummaryId(driverId, date, zone));
       const docSnap = await getDoc(docRef);
       
       if (docSnap.exists()) {
@@ -288,10 +642,11 @@ class EarningsService {
   /**
    * Get weekly earnings summary
    */
-  async getWeeklySummary(driverId, startOfWeek) {
+  async getWeeklySummary(driverId, weekStartDate, timeZone = null) {
     try {
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(startOfWeek.getDate() + 6);
+      const zone = await this.resolveTimeZone(driverId, timeZone);
+      const startOfWeek = startOfDay(weekStartDate, zone);
+      const endOfWeek = startOfDay(startOfWeek, zone, 6);
       
       const q = query(
         this.dailySummaryRef,
@@ -310,6 +665,7 @@ class EarningsService {
         totalDistance: total.totalDistance + day.summary.totalDistance,
         totalDuration: total.totalDuration + day.summary.totalDuration,
         onlineTime: total.onlineTime + day.summary.onlineTime,
+        busyTime: total.busyTime + (day.summary.busyTime || 0),
         grossEarnings: total.grossEarnings + day.summary.grossEarnings,
         netEarnings: total.netEarnings + day.summary.netEarnings,
         bonuses: total.bonuses + day.summary.bonuses,
@@ -320,6 +676,7 @@ class EarningsService {
         totalDistance: 0,
         totalDuration: 0,
         onlineTime: 0,
+        busyTime: 0,
         grossEarnings: 0,
         netEarnings: 0,
         bonuses: 0,
@@ -342,16 +699,17 @@ class EarningsService {
   /**
    * Get monthly earnings summary
    */
-  async getMonthlySummary(driverId, year, month) {
+  async getMonthlySummary(driverId, year, month, timeZone = null) {
     try {
-      const startOfMonth = new Date(year, month, 1);
-      const endOfMonth = new Date(year, month + 1, 0);
+      const zone = await this.resolveTimeZone(driverId, timeZone);
+      const monthStart = startOfMonth(year, month, zone);
+      const monthEnd = lastDayOfMonth(year, month, zone);
       
       const q = query(
         this.dailySummaryRef,
         where('driverId', '==', driverId),
-        where('date', '>=', Timestamp.fromDate(startOfMonth)),
-        where('date', '<=', Timestamp.fromDate(endOfMonth)),
+        where('date', '>=', Timestamp.fromDate(monthStart)),
+        where('date', '<=', Timestamp.fromDate(monthEnd)),
         orderBy('date', 'asc')
       );
       
@@ -364,6 +722,7 @@ class EarningsService {
         totalDistance: total.totalDistance + day.summary.totalDistance,
         totalDuration: total.totalDuration + day.summary.totalDuration,
         onlineTime: total.onlineTime + day.summary.onlineTime,
+        busyTime: total.busyTime + (day.summary.busyTime || 0),
         grossEarnings: total.grossEarnings + day.summary.grossEarnings,
         netEarnings: total.netEarnings + day.summary.netEarnings,
         bonuses: total.bonuses + day.summary.bonuses,
@@ -374,6 +733,7 @@ class EarningsService {
         totalDistance: 0,
         totalDuration: 0,
         onlineTime: 0,
+        busyTime: 0,
         grossEarnings: 0,
         netEarnings: 0,
         bonuses: 0,
@@ -384,8 +744,8 @@ class EarningsService {
       return {
         year,
         month,
-        monthStart: startOfMonth,
-        monthEnd: endOfMonth,
+        monthStart,
+        monthEnd,
         dailySummaries,
         monthlyTotal
       };
@@ -398,26 +758,46 @@ class EarningsService {
   /**
    * Update online time for daily summary
    */
-  async updateOnlineTime(driverId, date, additionalMinutes) {
+  async updateOnlineTime(driverId, date, additionalMinutes, timeZone = null) {
     try {
-      const dateStr = date.toISOString().split('T')[0];
-      const summaryId = `${driverId}_${dateStr}`;
-      const docRef = doc(db, DAILY_SUMMARY_COLLECTION, summaryId);
-      
-      const existingSummary = await getDoc(docRef);
-      if (existingSummary.exists()) {
-        const data = existingSummary.data();
-        await updateDoc(docRef, {
-          'summary.onlineTime': data.summary.onlineTime + additionalMinutes,
-          updatedAt: Timestamp.fromDate(new Date())
-        });
-      }
+      await this.applySummaryDelta(driverId, date, {
+        summary: { onlineTime: additionalMinutes }
+      }, timeZone);
     } catch (error) {
       console.error('Error updating online time:', error);
       throw new Error(`Failed to update online time: ${error.message}`);
     }
   }
 
+  /**
+   * Add shift time to the daily summaries as part of a caller's transaction
+   *
+   * The range is split at midnight in the driver's time zone, so a shift
+   * crossing midnight counts towards both days. Busy time counts in both
+   * onlineTime and busyTime. All reads happen before any writes.
+   * Returns the [{ date, minutes }] parts credited
+   */
+  async recordOnlineTimeInTransaction(transaction, driverId, start, end, isBusy, timeZone, now = new Date()) {
+    const parts = splitByDay(start, end, timeZone);
+    const summaryRefs = parts.map(part =>
+      doc(db, DAILY_SUMMARY_COLLECTION, this.getDailySummaryId(driverId, part.date, timeZone))
+    );
+    const existingSummaries = await Promise.all(summaryRefs.map(ref => transaction.get(ref)));
+    
+    parts.forEach((part, index) => {
+      const summary = isBusy
+        ? { onlineTime: part.minutes, busyTime: part.minutes }
+        : { onlineTime: part.minutes };
+      transaction.set(
+        summaryRefs[index],
+        this.buildSummaryWrite(driverId, part.date, timeZone, { summary }, !existingSummaries[index].exists(), now),
+        { merge: true }
+      );
+    });
+    
+    return parts;
+  }
+
   /**
    * Get top earning days for a driver
    */
@@ -440,6 +820,329 @@ class EarningsService {
       throw new Error(`Failed to get top earning days: ${error.message}`);
     }
   }
+
+  /**
+   * Get a driver's earnings not yet paid out, oldest first
+   */
+  async getUnpaidEarnings(driverId, before = new Date()) {
+    try {
+      const q = query(
+        this.earningsRef,
+        where('driverId', '==', driverId),
+        where('payoutId', '==', null),
+        where('completedAt', '<', Timestamp.fromDate(before)),
+        orderBy('completedAt', 'asc')
+      );
+      
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('Error getting unpaid earnings:', error);
+      throw new Error(`Failed to get unpaid earnings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Split a driver's unpaid earnings at a payout cutoff
+   * Returns { due, pending } - earnings completed before and since the cutoff
+   */
+  async getPayableEarnings(driverId, cutoff, now = new Date()) {
+    const earnings = await this.getUnpaidEarnings(driverId, now);
+    const isDue = earning => toDate(earning.completedAt) < cutoff;
+    
+    return {
+      due: earnings.filter(isDue),
+      pending: earnings.filter(earning => !isDue(earning))
+    };
+  }
+
+  /**
+   * Get a driver's payouts, newest first
+   */
+  async getPayouts(driverId, limitCount = 20) {
+    try {
+      const q = query(
+        this.payoutsRef,
+        where('driverId', '==', driverId),
+        orderBy('createdAt', 'desc'),
+        limit(limitCount)
+      );
+      
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('Error getting payouts:', error);
+      throw new Error(`Failed to get payouts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Preview the next scheduled payout
+   * Returns { scheduledFor, amount, earningIds, earningsTotal, periodStart, periodEnd }
+   */
+  async getNextPayout(driverId, now = new Date()) {
+    try {
+      const timeZone = await this.resolveTimeZone(driverId);
+      const { scheduledFor, cutoff } = getNextPayoutSchedule(now, timeZone);
+      const [{ due, pending }, balance] = await Promise.all([
+        this.getPayableEarnings(driverId, cutoff, now),
+        ledgerService.getBalance(driverId)
+      ]);
+      
+      return {
+        ...buildPayoutPlan(due, balance, timeZone, pending),
+        scheduledFor
+      };
+    } catch (error) {
+      console.error('Error getting next payout:', error);
+      throw new Error(`Failed to get next payout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Preview an instant cashout of everything unpaid so far
+   * Returns { amount, fee, netAmount, earningIds, ... }
+   */
+  async getInstantCashoutQuote(driverId, now = new Date()) {
+    try {
+      const timeZone = await this.resolveTimeZone(driverId);
+      const [earnings, balance] = await Promise.all([
+        this.getUnpaidEarnings(driverId, now),
+        ledgerService.getBalance(driverId)
+      ]);
+      const plan = buildPayoutPlan(earnings, balance, timeZone);
+      const fee = calculateInstantFee(plan.amount);
+      
+      return {
+        ...plan,
+        fee,
+        netAmount: roundCurrency(plan.amount - fee),
+        minimum: MINIMUM_INSTANT_CASHOUT
+      };
+    } catch (error) {
+      console.error('Error getting instant cashout quote:', error);
+      throw new Error(`Failed to get instant cashout quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cash out everything unpaid so far, for a fee
+   * Returns the payout, or null if another payout claimed the earnings first
+   */
+  async requestInstantCashout(driverId, now = new Date()) {
+    try {
+      const quote = await this.getInstantCashoutQuote(driverId, now);
+      if (quote.amount < MINIMUM_INSTANT_CASHOUT) {
+        throw new Error(`Instant cashout needs at least $${MINIMUM_INSTANT_CASHOUT.toFixed(2)} available`);
+      }
+      
+      return await this.createPayout(driverId, PAYOUT_TYPE.INSTANT, quote.earningIds, now);
+    } catch (error) {
+      console.error('Error requesting instant cashout:', error);
+      throw new Error(`Failed to request instant cashout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay out earnings whose scheduled payout day has passed
+   * Returns the payout, or null if nothing was due
+   */
+  async runScheduledPayout(driverId, now = new Date()) {
+    try {
+      const timeZone = await this.resolveTimeZone(driverId);
+      const { due, pending } = await this.getPayableEarnings(driverId, getDuePayoutCutoff(now, timeZone), now);
+      if (due.length === 0) return null;
+      
+      return await this.createPayout(driverId, PAYOUT_TYPE.SCHEDULED, due.map(earning => earning.id), now, pending);
+    } catch (error) {
+      console.error('Error running scheduled payout:', error);
+      throw new Error(`Failed to run scheduled payout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim earnings for a payout and send the money
+   *
+   * The payout, the earnings' payoutId and the ledger debit are written in one
+   * transaction before the transfer; earnings another payout claimed first are
+   * left out, and what pendingEarnings added to the balance is held back.
+   * Returns null if there's nothing to pay.
+   */
+  async createPayout(driverId, type, earningIds, now = new Date(), pendingEarnings = []) {
+    const payoutRef = doc(this.payoutsRef);
+    const driverRef = doc(db, DRIVERS_COLLECTION, driverId);
+    
+    const payout = await runTransaction(db, async (transaction) => {
+      const driverSnap = await transaction.get(driverRef);
+      if (!driverSnap.exists()) {
+        throw new Error('Driver not found');
+      }
+      const earningSnaps = await Promise.all(
+        earningIds.map(id => transaction.get(doc(db, EARNINGS_COLLECTION, id)))
+      );
+      
+      const driver = driverSnap.data();
+      const earnings = earningSnaps
+        .filter(earningSnap => earningSnap.exists() && !earningSnap.data().payoutId)
+        .map(earningSnap => ({ id: earningSnap.id, ...earningSnap.data() }));
+      const plan = buildPayoutPlan(earnings, driver.balance || 0, getDriverTimeZone(driver), pendingEarnings);
+      if (plan.amount <= 0) return null;
+      
+      const fee = type === PAYOUT_TYPE.INSTANT ? calculateInstantFee(plan.amount) : 0;
+      const timestamp = Timestamp.fromDate(now);
+      const data = {
+        driverId,
+        type,
+        status: PAYOUT_STATUS.PROCESSING,
+        periodStart: plan.periodStart,
+        periodEnd: plan.periodEnd,
+        earningIds: plan.earningIds,
+        earningsTotal: plan.earningsTotal,
+        amount: plan.amount,
+        fee,
+        netAmount: roundCurrency(plan.amount - fee),
+        reference: null,
+        failureReason: null,
+        requestedAt: timestamp,
+        paidAt: null,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+      
+      transaction.set(payoutRef, data);
+      plan.earningIds.forEach(id => {
+        transaction.update(doc(db, EARNINGS_COLLECTION, id), { payoutId: payoutRef.id, updatedAt: timestamp });
+      });
+      ledgerService.recordEntryInTransaction(transaction, driverId, {
+        type: LEDGER_ENTRY_TYPE.PAYOUT,
+        amount: -plan.amount,
+        description: fee ? `Instant cashout ($${fee.toFixed(2)} fee)` : 'Weekly payout',
+        reference: payoutRef.id
+      }, now);
+      
+      return { id: payoutRef.id, ...data };
+    });
+    
+    if (!payout) return null;
+    
+    try {
+      const transfer = await paymentProvider.createTransfer({
+        payoutId: payout.id,
+        driverId,
+        amount: payout.netAmount,
+        instant: type === PAYOUT_TYPE.INSTANT
+      });
+      return await this.completePayout(payout.id, transfer);
+    } catch (error) {
+      await this.failPayout(payout.id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a processing payout paid with the transfer that sent it
+   * Safe to call more than once; a payout that's no longer processing is left alone
+   */
+  async completePayout(payoutId, transfer) {
+    const payoutRef = doc(db, PAYOUTS_COLLECTION, payoutId);
+    
+    return await runTransaction(db, async (transaction) => {
+      const payoutSnap = await transaction.get(payoutRef);
+      if (!payoutSnap.exists()) {
+        throw new Error('Payout not found');
+      }
+      
+      const payout = { id: payoutId, ...payoutSnap.data() };
+      if (payout.status !== PAYOUT_STATUS.PROCESSING) {
+        return payout;
+      }
+      
+      const update = {
+        status: PAYOUT_STATUS.PAID,
+        reference: transfer.id,
+        paidAt: Timestamp.fromDate(transfer.arrivesAt),
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+      transaction.update(payoutRef, update);
+      return { ...payout, ...update };
+    });
+  }
+
+  /**
+   * Settle payouts left processing by an app that closed mid-transfer
+   *
+   * Checks each payout processing for longer than STALE_PAYOUT_MS with the
+   * payment provider, whose transfers are keyed by payout: one that was sent
+   * is marked paid, one that never was is failed, returning the money to the
+   * balance and its earnings to the next payout.
+   * Returns the payouts that were settled
+   */
+  async reconcileStalePayouts(driverId, now = new Date()) {
+    try {
+      const q = query(
+        this.payoutsRef,
+        where('driverId', '==', driverId),
+        where('status', '==', PAYOUT_STATUS.PROCESSING)
+      );
+      
+      const querySnapshot = await getDocs(q);
+      const stale = querySnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(payout => now - payout.createdAt.toDate() >= STALE_PAYOUT_MS);
+      
+      const settled = [];
+      for (const payout of stale) {
+        const transfer = await paymentProvider.findTransferForPayout(payout.id);
+        if (transfer) {
+          settled.push(await this.completePayout(payout.id, transfer));
+        } else {
+          await this.failPayout(payout.id, 'Payout was interrupted before the transfer was sent');
+          settled.push({ ...payout, status: PAYOUT_STATUS.FAILED });
+        }
+      }
+      return settled;
+    } catch (error) {
+      console.error('Error reconciling payouts:', error);
+      throw new Error(`Failed to reconcile payouts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a payout failed, releasing its earnings and crediting the balance back
+   */
+  async failPayout(payoutId, reason) {
+    const payoutRef = doc(db, PAYOUTS_COLLECTION, payoutId);
+    
+    await runTransaction(db, async (transaction) => {
+      const payoutSnap = await transaction.get(payoutRef);
+      if (!payoutSnap.exists() || payoutSnap.data().status !== PAYOUT_STATUS.PROCESSING) return;
+      
+      const payout = payoutSnap.data();
+      const now = new Date();
+      const timestamp = Timestamp.fromDate(now);
+      
+      transaction.update(payoutRef, {
+        status: PAYOUT_STATUS.FAILED,
+        failureReason: reason,
+        updatedAt: timestamp
+      });
+      payout.earningIds.forEach(id => {
+        transaction.update(doc(db, EARNINGS_COLLECTION, id), { payoutId: null, updatedAt: timestamp });
+      });
+      ledgerService.recordEntryInTransaction(transaction, payout.driverId, {
+        type: LEDGER_ENTRY_TYPE.ADJUSTMENT,
+        amount: payout.amount,
+        description: 'Payout failed - returned to balance',
+        reference: payoutId
+      }, now);
+    });
+  }
 }
 
 export default new EarningsService();
\ No newline at end of file
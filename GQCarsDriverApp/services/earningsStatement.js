@@ -0,0 +1,284 @@
+import { roundCurrency } from './fareService.js';
+import {
+  getDateKey,
+  getZonedParts,
+  startOfWeek,
+  startOfDay,
+  startOfMonth,
+  lastDayOfMonth,
+  zonedTimeToDate,
+  formatTimeOfDay
+} from './timeZoneUtils.js';
+
+/**
+ * Earnings Statements
+ * Per-trip rows and totals for a date range of the `earnings` collection,
+ * formatted as CSV for spreadsheets and as an HTML statement, printed to PDF
+ * for tax returns and accountants.
+ *
+ * Dates are calendar days (YYYY-MM-DD) in the driver's time zone, matching
+ * the days earnings are grouped by everywhere else.
+ */
+
+export const STATEMENT_PERIODS = [
+  { key: 'this_week', label: 'This Week' },
+  { key: 'last_week', label: 'Last Week' },
+  { key: 'this_month', label: 'This Month' },
+  { key: 'last_month', label: 'Last Month' },
+  { key: 'this_year', label: 'This Year' },
+  { key: 'last_year', label: 'Last Year' }
+];
+
+// CSV columns in order; money columns are written with 2 decimals
+const STATEMENT_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'time', label: 'Time' },
+  { key: 'tripId', label: 'Trip ID' },
+  { key: 'rideType', label: 'Ride Type' },
+  { key: 'paymentMethod', label: 'Payment Method' },
+  { key: 'pickup', label: 'Pickup' },
+  { key: 'dropoff', label: 'Dropoff' },
+  { key: 'distance', label: 'Distance (km)' },
+  { key: 'fare', label: 'Fare', money: true },
+  { key: 'commission', label: 'Commission', money: true },
+  { key: 'tips', label: 'Tips', money: true },
+  { key: 'tolls', label: 'Tolls', money: true },
+  { key: 'bonus', label: 'Bonus', money: true },
+  { key: 'cashCollected', label: 'Cash Collected', money: true },
+  { key: 'net', label: 'Net', money: true }
+];
+
+const MONEY_KEYS = STATEMENT_COLUMNS.filter(column => column.money).map(column => column.key);
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+/**
+ * Parse a YYYY-MM-DD day into its parts
+ * @returns {Object|null} { year, month (1-12), day } or null if invalid
+ */
+const parseDateKey = (dateKey) => {
+  const match = DATE_KEY_PATTERN.exec(dateKey || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+  return { year, month, day };
+};
+
+/**
+ * Get the first and last day of a preset statement period
+ * @param {string} period - A STATEMENT_PERIODS key
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Driver's time zone
+ * @returns {Object} { startKey, endKey } as YYYY-MM-DD
+ */
+export const getStatementPeriod = (period, now, timeZone) => {
+  const { year, month } = getZonedParts(now, timeZone);
+  const today = getDateKey(now, timeZone);
+  const weekStart = startOfWeek(now, timeZone);
+
+  switch (period) {
+    case 'last_week':
+      return {
+        startKey: getDateKey(startOfDay(weekStart, timeZone, -7), timeZone),
+        endKey: getDateKey(startOfDay(weekStart, timeZone, -1), timeZone)
+      };
+    case 'this_month':
+      return { startKey: getDateKey(startOfMonth(year, month - 1, timeZone), timeZone), endKey: today };
+    case 'last_month':
+      return {
+        startKey: getDateKey(startOfMonth(year, month - 2, timeZone), timeZone),
+        endKey: getDateKey(lastDayOfMonth(year, month - 2, timeZone), timeZone)
+      };
+    case 'this_year':
+      return { startKey: `${year}-01-01`, endKey: today };
+    case 'last_year':
+      return { startKey: `${year - 1}-01-01`, endKey: `${year - 1}-12-31` };
+    default:
+      return { startKey: getDateKey(weekStart, timeZone), endKey: today };
+  }
+};
+
+/**
+ * Turn a day range into the instants to query earnings between
+ * @param {string} startKey - First day, YYYY-MM-DD
+ * @param {string} endKey - Last day (inclusive), YYYY-MM-DD
+ * @param {string} timeZone - Driver's time zone
+ * @returns {Object} { start, end } Dates
+ * @throws {Error} If a day is invalid or the range is backwards
+ */
+export const getStatementRange = (startKey, endKey, timeZone) => {
+  const first = parseDateKey(startKey);
+  const last = parseDateKey(endKey);
+  if (!first || !last) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+  if (startKey > endKey) {
+    throw new Error('Start date must be on or before end date');
+  }
+
+  const start = zonedTimeToDate(first.year, first.month, first.day, 0, 0, 0, timeZone);
+  const nextDay = zonedTimeToDate(last.year, last.month, last.day + 1, 0, 0, 0, timeZone);
+  return { start, end: new Date(nextDay.getTime() - 1) };
+};
+
+/**
+ * Build one statement row per trip earning, oldest first
+ * @param {Array} earnings - Records from the earnings collection
+ * @param {string} timeZone - Driver's time zone
+ * @returns {Array} Rows keyed by the statement columns
+ */
+export const buildStatementRows = (earnings, timeZone) => {
+  return earnings
+    .map(earning => {
+      const completedAt = toDate(earning.completedAt);
+      const fare = earning.fareBreakdown || {};
+      const driver = earning.driverEarnings || {};
+
+      return {
+        completedAt,
+        date: earning.dateKey || getDateKey(completedAt, timeZone),
+        time: formatTimeOfDay(completedAt, timeZone),
+        tripId: earning.tripId || earning.id,
+        rideType: earning.tripDetails?.rideType || '',
+        paymentMethod: earning.paymentMethod || '',
+        pickup: earning.tripDetails?.pickupLocation || '',
+        dropoff: earning.tripDetails?.dropoffLocation || '',
+        distance: earning.tripDetails?.distance || 0,
+        fare: fare.totalFare || 0,
+        commission: driver.commission || 0,
+        tips: fare.tips || 0,
+        tolls: fare.tolls || 0,
+        bonus: driver.bonus || 0,
+        cashCollected: earning.cashCollected || 0,
+        net: driver.totalEarning ?? ((driver.netEarning || 0) + (driver.bonus || 0))
+      };
+    })
+    .sort((a, b) => a.completedAt - b.completedAt);
+};
+
+/**
+ * Total the money columns of a statement
+ * @param {Array} rows - Statement rows
+ * @returns {Object} { trips, fare, commission, tips, tolls, bonus, cashCollected, net }
+ */
+export const summarizeStatement = (rows) => {
+  const totals = { trips: rows.length };
+  MONEY_KEYS.forEach(key => {
+    totals[key] = roundCurrency(rows.reduce((sum, row) => sum + row[key], 0));
+  });
+  return totals;
+};
+
+/**
+ * Quote a CSV field if it contains a comma, quote or line break
+ * @returns {string} Safe CSV field
+ */
+const toCsvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format statement rows as CSV, one line per trip
+ * @param {Array} rows - Statement rows
+ * @returns {string} CSV with a header line
+ */
+export const buildStatementCsv = (rows) => {
+  const header = STATEMENT_COLUMNS.map(column => toCsvField(column.label)).join(',');
+  const lines = rows.map(row => STATEMENT_COLUMNS
+    .map(column => toCsvField(column.money ? row[column.key].toFixed(2) : row[column.key]))
+    .join(','));
+
+  return [header, ...lines].join('\n');
+};
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+/**
+ * Escape text for an HTML document
+ * @returns {string} Text with &, <, >, " and ' escaped
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const STATEMENT_STYLES = `
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #1a1a1a; font-size: 11px; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 13px; margin: 24px 0 8px; text-transform: uppercase; letter-spacing: 0.5px; }
+  .meta { color: #555; margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 5px 6px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+  th { background: #f2f2f2; font-weight: 600; }
+  td.money, th.money { text-align: right; white-space: nowrap; }
+  .summary { width: 50%; }
+  .summary tr.total td { font-weight: 700; border-top: 2px solid #1a1a1a; }
+  .empty { color: #555; }
+`;
+
+/**
+ * Format a statement as an HTML document for printing to PDF:
+ * header, totals, then a table with one row per trip
+ * @param {Object} statement - { driverName, timeZone, startKey, endKey, rows, totals, generatedAt }
+ * @returns {string} HTML document
+ */
+export const buildStatementHtml = (statement) => {
+  const { totals } = statement;
+  const summary = [
+    ['Trips', String(totals.trips)],
+    ['Fares', formatMoney(totals.fare)],
+    ['Commission', formatMoney(-totals.commission)],
+    ['Tips', formatMoney(totals.tips)],
+    ['Tolls', formatMoney(totals.tolls)],
+    ['Bonuses', formatMoney(totals.bonus)],
+    ['Cash collected', formatMoney(totals.cashCollected)]
+  ];
+  const tripColumns = STATEMENT_COLUMNS.filter(column => column.key !== 'tripId');
+
+  const summaryRows = summary
+    .map(([label, value]) => `<tr><td>${label}</td><td class="money">${escapeHtml(value)}</td></tr>`)
+    .join('');
+  const header = tripColumns
+    .map(column => `<th${column.money ? ' class="money"' : ''}>${escapeHtml(column.label)}</th>`)
+    .join('');
+  const tripRows = statement.rows
+    .map(row => `<tr>${tripColumns
+      .map(column => column.money
+        ? `<td class="money">${formatMoney(row[column.key])}</td>`
+        : `<td>${escapeHtml(row[column.key])}</td>`)
+      .join('')}</tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>GQCars Driver Earnings Statement</title>
+<style>${STATEMENT_STYLES}</style>
+</head>
+<body>
+<h1>GQCars Driver Earnings Statement</h1>
+<p class="meta">Driver: ${escapeHtml(statement.driverName || 'Driver')}</p>
+<p class="meta">Period: ${escapeHtml(statement.startKey)} to ${escapeHtml(statement.endKey)} (${escapeHtml(statement.timeZone)})</p>
+<p class="meta">Generated: ${getDateKey(statement.generatedAt, statement.timeZone)} ${formatTimeOfDay(statement.generatedAt, statement.timeZone)}</p>
+<h2>Summary</h2>
+<table class="summary">
+${summaryRows}
+<tr class="total"><td>Net earnings</td><td class="money">${formatMoney(totals.net)}</td></tr>
+</table>
+<h2>Trips</h2>
+${statement.rows.length === 0
+    ? '<p class="empty">No trips in this period</p>'
+    : `<table>\n<tr>${header}</tr>\n${tripRows}\n</table>`}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,189 @@
+import {
+  collection,
+  getDocs
+} from 'firebase/firestore';
+import { db } from '../../firebase.js';
+
+/**
+ * Rate Cards Collection Schema:
+ * Collection: rate_cards
+ * {
+ *   id: string (document ID - the ride type: 'standard', 'premium', 'shared'),
+ *   baseFare: number,
+ *   perKm: number,
+ *   perMinute: number,
+ *   minimumFare: number,
+ *   commissionRate: number, // platform share, 0.2 = 20%
+ *   updatedAt: timestamp
+ * }
+ *
+ * Any field missing from a Firestore rate card falls back to DEFAULT_RATE_CARDS.
+ */
+
+/**
+ * Fare rounding rules:
+ * - Every money amount is rounded half-up to 2 decimal places
+ * - Base, distance and time fares are rounded individually
+ * - Surge is charged on base + distance + time at (multiplier - 1), then rounded
+ * - If the fare is under the minimum fare, baseFare is topped up to reach it
+ * - Discount is capped at the fare, so the total never goes below the tolls
+ * - Tolls are passed through to the driver and carry no commission
+ * - Commission is rounded on its own and driverEarning = totalFare - commission,
+ *   so the breakdown always adds up exactly
+ */
+
+const COLLECTION_NAME = 'rate_cards';
+const RATE_CARD_CACHE_MS = 10 * 60 * 1000;
+
+export const DEFAULT_RATE_CARDS = {
+  standard: {
+    baseFare: 2.5,
+    perKm: 1.2,
+    perMinute: 0.2,
+    minimumFare: 5,
+    commissionRate: 0.2
+  },
+  premium: {
+    baseFare: 4,
+    perKm: 1.8,
+    perMinute: 0.3,
+    minimumFare: 8,
+    commissionRate: 0.2
+  },
+  shared: {
+    baseFare: 1.5,
+    perKm: 0.9,
+    perMinute: 0.15,
+    minimumFare: 3.5,
+    commissionRate: 0.2
+  }
+};
+
+/**
+ * Round a money amount half-up to 2 decimal places
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+export const roundCurrency = (amount) => {
+  // toFixed first so values like 1.005 (stored as 1.00499...) round up
+  return Math.round(Number(((amount || 0) * 100).toFixed(6))) / 100;
+};
+
+/**
+ * Pick the rate card for a ride type
+ * @param {Object} rateCards - Rate cards keyed by ride type
+ * @param {string} rideType - 'standard', 'premium' or 'shared'
+ * @returns {Object} Rate card, falling back to standard
+ */
+export const selectRateCard = (rateCards, rideType) => {
+  return rateCards[rideType] || rateCards.standard || DEFAULT_RATE_CARDS.standard;
+};
+
+/**
+ * Calculate a full fare breakdown
+ * @param {Object} rateCard - Rate card for the ride type
+ * @param {Object} trip - { distance (km), duration (minutes), surgeMultiplier, tolls, discount, commissionRate }
+ * @returns {Object} fareInfo as stored on active trips
+ */
+export const calculateFare = (rateCard, {
+  distance = 0,
+  duration = 0,
+  surgeMultiplier = 1,
+  tolls = 0,
+  discount = 0,
+  commissionRate = rateCard.commissionRate
+} = {}) => {
+  const multiplier = Math.max(surgeMultiplier || 1, 1);
+
+  const distanceFare = roundCurrency(Math.max(distance, 0) * rateCard.perKm);
+  const timeFare = roundCurrency(Math.max(duration, 0) * rateCard.perMinute);
+  let baseFare = roundCurrency(rateCard.baseFare);
+  const surgeFare = roundCurrency((baseFare + distanceFare + timeFare) * (multiplier - 1));
+
+  let fare = roundCurrency(baseFare + distanceFare + timeFare + surgeFare);
+  if (fare < rateCard.minimumFare) {
+    baseFare = roundCurrency(baseFare + rateCard.minimumFare - fare);
+    fare = roundCurrency(rateCard.minimumFare);
+  }
+
+  const appliedDiscount = roundCurrency(Math.min(Math.max(discount, 0), fare));
+  const fareAfterDiscount = roundCurrency(fare - appliedDiscount);
+  const appliedTolls = roundCurrency(Math.max(tolls, 0));
+  const totalFare = roundCurrency(fareAfterDiscount + appliedTolls);
+  const commission = roundCurrency(fareAfterDiscount * (commissionRate || 0));
+
+  return {
+    baseFare,
+    distanceFare,
+    timeFare,
+    surgeFare,
+    surgeMultiplier: multiplier,
+    tolls: appliedTolls,
+    discount: appliedDiscount,
+    totalFare,
+    commissionRate: commissionRate || 0,
+    commission,
+    driverEarning: roundCurrency(totalFare - commission)
+  };
+};
+
+class FareService {
+  constructor() {
+    this.collectionRef = collection(db, COLLECTION_NAME);
+    this.rateCards = null;
+    this.rateCardsLoadedAt = 0;
+  }
+
+  /**
+   * Get all rate cards, merged over the defaults and cached for a few minutes
+   */
+  async getRateCards(forceRefresh = false) {
+    const isFresh = this.rateCards && Date.now() - this.rateCardsLoadedAt < RATE_CARD_CACHE_MS;
+    if (isFresh && !forceRefresh) {
+      return this.rateCards;
+    }
+
+    try {
+      const querySnapshot = await getDocs(this.collectionRef);
+      const rateCards = { ...DEFAULT_RATE_CARDS };
+
+      querySnapshot.docs.forEach(doc => {
+        rateCards[doc.id] = {
+          ...(DEFAULT_RATE_CARDS[doc.id] || DEFAULT_RATE_CARDS.standard),
+          ...doc.data()
+        };
+      });
+
+      this.rateCards = rateCards;
+      this.rateCardsLoadedAt = Date.now();
+      return rateCards;
+    } catch (error) {
+      console.error('Error loading rate cards:', error);
+      // Keep pricing trips with the last known (or default) rates
+      return this.rateCards || DEFAULT_RATE_CARDS;
+    }
+  }
+
+  /**
+   * Get the rate card for a ride type
+   */
+  async getRateCard(rideType) {
+    const rateCards = await this.getRateCards();
+    return selectRateCard(rateCards, rideType);
+  }
+
+  /**
+   * Estimate the fare for a ride request from its estimated distance and duration
+   */
+  async estimateFare(rideRequest) {
+    const rateCard = await this.getRateCard(rideRequest.rideType);
+    return calculateFare(rateCard, {
+      distance: rideRequest.estimatedDistance,
+      duration: rideRequest.estimatedDuration,
+      surgeMultiplier: rideRequest.surgeMultiplier,
+      discount: rideRequest.discount
+    });
+  }
+}
+
+export default new FareService();
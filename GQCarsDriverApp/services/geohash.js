@@ -0,0 +1,106 @@
+/**
+ * Geohash Utilities
+ * Encodes locations as geohash strings so Firestore can find ride requests
+ * near a driver with range queries on a single indexed field.
+ *
+ * A geohash cell contains every longer hash that starts with it, so the
+ * range [hash, hash + '~'] matches every point inside that cell.
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+export const GEOHASH_PRECISION = 10; // ~1 m cells, stored on documents
+const MAX_QUERY_PRECISION = 9;
+
+/**
+ * Encode a location as a geohash
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} precision - Number of characters
+ * @returns {string} Geohash
+ */
+export const encodeGeohash = (latitude, longitude, precision = GEOHASH_PRECISION) => {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLongitude = true;
+
+  while (hash.length < precision) {
+    const range = isLongitude ? lonRange : latRange;
+    const value = isLongitude ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    isLongitude = !isLongitude;
+    bitCount += 1;
+    if (bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Get the size of a geohash cell
+ * @param {number} precision - Number of characters
+ * @returns {Object} { latDegrees, lonDegrees }
+ */
+const getCellSize = (precision) => {
+  const totalBits = precision * 5;
+  return {
+    latDegrees: 180 / Math.pow(2, Math.floor(totalBits / 2)),
+    lonDegrees: 360 / Math.pow(2, Math.ceil(totalBits / 2))
+  };
+};
+
+/**
+ * Get the geohash ranges covering a circle
+ *
+ * Uses the longest precision whose cells are at least radiusKm in each
+ * direction, then hashes the centre and eight points radiusKm away. With cells
+ * that large, those nine cells cover the whole bounding box of the circle.
+ * @param {Object} center - { latitude, longitude }
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {Array} [[start, end], ...] ranges for where('geohash', '>=', start) / '<=', end
+ */
+export const getGeohashQueryBounds = (center, radiusKm) => {
+  const latDelta = Math.min(radiusKm / KM_PER_DEGREE_LATITUDE, 90);
+  const widestLatitude = Math.min(Math.abs(center.latitude) + latDelta, 89.9);
+  const lonDelta = Math.min(
+    radiusKm / (KM_PER_DEGREE_LATITUDE * Math.cos(widestLatitude * Math.PI / 180)),
+    180
+  );
+
+  let precision = MAX_QUERY_PRECISION;
+  while (precision > 1) {
+    const { latDegrees, lonDegrees } = getCellSize(precision);
+    if (latDegrees >= latDelta && lonDegrees >= lonDelta) break;
+    precision -= 1;
+  }
+
+  const hashes = new Set();
+  [-1, 0, 1].forEach(latStep => {
+    [-1, 0, 1].forEach(lonStep => {
+      const latitude = Math.max(-90, Math.min(90, center.latitude + latStep * latDelta));
+      let longitude = center.longitude + lonStep * lonDelta;
+      if (longitude > 180) longitude -= 360;
+      if (longitude < -180) longitude += 360;
+      hashes.add(encodeGeohash(latitude, longitude, precision));
+    });
+  });
+
+  return [...hashes].sort().map(hash => [hash, `${hash}~`]);
+};
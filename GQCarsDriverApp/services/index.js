@@ -4,9 +4,21 @@ export { default as driverService } from './driverService.js';
 export { default as rideRequestService } from './rideRequestService.js';
 export { default as activeTripService } from './activeTripService.js';
 export { default as earningsService } from './earningsService.js';
+export { default as statementService } from './statementService.js';
+export { default as earningsGoalService } from './earningsGoalService.js';
+export { default as earningsAnalyticsService } from './earningsAnalyticsService.js';
+export { default as ledgerService } from './ledgerService.js';
+export { default as paymentProvider } from './paymentProvider.js';
+export { default as payoutScheduler } from './payoutScheduler.js';
+export { default as shiftService } from './shiftService.js';
+export { default as workingTimeService } from './workingTimeService.js';
+export { default as fareService } from './fareService.js';
+export { default as dispatchService } from './dispatchService.js';
+export { default as autoAcceptService } from './autoAcceptService.js';
 export { default as notificationService } from './notificationService.js';
 export { default as locationService } from './locationService.js';
 export { default as locationSimulator } from './locationSimulator.js';
+export { default as offlineActionQueue } from './offlineActionQueue.js';
 
 // Re-export Firebase configuration for convenience
 export { db, auth, app, analytics } from '../../firebase.js';
\ No newline at end of file
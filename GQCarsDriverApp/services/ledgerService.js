@@ -0,0 +1,535 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  runTransaction,
+  Timestamp,
+  increment
+} from 'firebase/firestore';
+import { db } from '../../firebase.js';
+import { roundCurrency } from './fareService.js';
+import paymentProvider from './paymentProvider.js';
+
+/**
+ * Balance Ledger Collection Schema:
+ * Collection: balance_ledger
+ * {
+ *   id: string, // 'trip_{tripId}' for trips, 'tip_{tripId}_{tipId}' for tips,
+ *               // 'settlement_{settlementId}' for settlements
+ *   driverId: string,
+ *   type: string, // 'trip_earning', 'cash_commission', 'tip', 'adjustment', 'payout', 'settlement'
+ *   amount: number, // + the platform owes the driver more, - the driver owes the platform
+ *   description: string,
+ *   tripId: string | null,
+ *   method: string | null, // settlements: 'card', 'bank_transfer'
+ *   reference: string | null, // settlements: the settlement ID
+ *   createdAt: timestamp
+ * }
+ *
+ * The driver's running balance is kept on their profile as `balance` and
+ * moved with increment() in the same write as each entry, so the two never
+ * disagree. A positive balance is owed to the driver; a negative balance is
+ * commission the driver collected in cash and owes the platform.
+ *
+ * Card and wallet trips credit the driver's earnings, since the platform took
+ * the fare. Cash trips debit the commission, since the driver kept the fare
+ * (any bonus is still credited). Tips added in the app after a trip are
+ * credited in full whatever the trip was paid with.
+ */
+
+/**
+ * Settlements Collection Schema:
+ * Collection: settlements
+ * {
+ *   id: string,
+ *   driverId: string,
+ *   method: string, // 'card', 'bank_transfer'
+ *   status: string, // 'pending', 'paid', 'failed'
+ *   amount: number, // what the driver owed when they settled up
+ *   reference: string | null, // payment provider charge or bank transfer request ID
+ *   paymentReference: string | null, // bank transfers: what the driver quotes on the transfer
+ *   bankDetails: { accountName, accountNumber, routingNumber } | null, // bank transfers
+ *   failureReason: string | null,
+ *   paidAt: timestamp | null,
+ *   createdAt: timestamp,
+ *   updatedAt: timestamp
+ * }
+ *
+ * A settlement only credits the balance once the money is in: a card
+ * settlement after the charge succeeds, a bank transfer settlement stays
+ * pending until the payment provider reports the transfer received.
+ * While one is pending the driver's profile holds its ID as
+ * `pendingSettlementId`, so a driver has at most one open at a time.
+ */
+
+const COLLECTION_NAME = 'balance_ledger';
+const DRIVERS_COLLECTION = 'drivers';
+const SETTLEMENTS_COLLECTION = 'settlements';
+
+// How long a settlement can wait to reach the payment provider before it's
+// treated as abandoned
+const STALE_SETTLEMENT_MS = 10 * 60 * 1000;
+
+export const LEDGER_ENTRY_TYPE = {
+  TRIP_EARNING: 'trip_earning',
+  CASH_COMMISSION: 'cash_commission',
+  TIP: 'tip',
+  ADJUSTMENT: 'adjustment',
+  PAYOUT: 'payout',
+  SETTLEMENT: 'settlement'
+};
+
+export const SETTLEMENT_METHOD = {
+  CARD: 'card',
+  BANK_TRANSFER: 'bank_transfer'
+};
+
+export const SETTLEMENT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed'
+};
+
+/**
+ * Build the ledger entry for a trip's earnings record
+ *
+ * The amount is everything the trip has added to the balance, including tips
+ * added in the app since, which are entered separately as they arrive.
+ * @param {Object} earning - Record from the earnings collection
+ * @returns {Object} { type, amount, description, tripId }
+ */
+export const getTripLedgerEntry = (earning) => {
+  const driverEarnings = earning.driverEarnings || {};
+
+  if (earning.paymentMethod === 'cash') {
+    const commission = driverEarnings.commission || 0;
+    const bonus = driverEarnings.bonus || 0;
+    return {
+      type: LEDGER_ENTRY_TYPE.CASH_COMMISSION,
+      amount: roundCurrency(bonus + (driverEarnings.appTips || 0) - commission),
+      description: bonus
+        ? `Commission on cash trip, less $${bonus.toFixed(2)} bonus`
+        : 'Commission on cash trip',
+      tripId: earning.tripId
+    };
+  }
+
+  return {
+    type: LEDGER_ENTRY_TYPE.TRIP_EARNING,
+    amount: roundCurrency(driverEarnings.totalEarning || 0),
+    description: `${earning.paymentMethod === 'wallet' ? 'Wallet' : 'Card'} trip earnings`,
+    tripId: earning.tripId
+  };
+};
+
+/**
+ * Add the balance after each entry, working back from the current balance
+ * @param {Array} entries - Ledger entries, newest first
+ * @param {number} currentBalance - Driver's balance now
+ * @returns {Array} Entries with balanceAfter
+ */
+export const withRunningBalance = (entries, currentBalance) => {
+  let balance = currentBalance;
+  return entries.map(entry => {
+    const withBalance = { ...entry, balanceAfter: roundCurrency(balance) };
+    balance -= entry.amount;
+    return withBalance;
+  });
+};
+
+class LedgerService {
+  constructor() {
+    this.ledgerRef = collection(db, COLLECTION_NAME);
+    this.settlementsRef = collection(db, SETTLEMENTS_COLLECTION);
+  }
+
+  /**
+   * Build a ledger entry document
+   */
+  buildEntry(driverId, entry, now = new Date()) {
+    return {
+      driverId,
+      type: entry.type,
+      amount: roundCurrency(entry.amount),
+      description: entry.description || '',
+      tripId: entry.tripId || null,
+      method: entry.method || null,
+      reference: entry.reference || null,
+      createdAt: Timestamp.fromDate(now)
+    };
+  }
+
+  /**
+   * Get the document reference for a ledger entry ID
+   */
+  getEntryRef(entryId) {
+    return doc(this.ledgerRef, entryId);
+  }
+
+  /**
+   * Add an entry and move the driver's balance as part of a caller's
+   * transaction or batch (writes only)
+   * @param {Object} writer - Firestore transaction or write batch
+   */
+  recordEntryInTransaction(writer, driverId, entry, now = new Date(), entryId = null) {
+    const entryRef = entryId ? doc(this.ledgerRef, entryId) : doc(this.ledgerRef);
+    const data = this.buildEntry(driverId, entry, now);
+
+    writer.set(entryRef, data);
+    writer.update(doc(db, DRIVERS_COLLECTION, driverId), {
+      balance: increment(data.amount),
+      balanceUpdatedAt: Timestamp.fromDate(now)
+    });
+
+    return { id: entryRef.id, ...data };
+  }
+
+  /**
+   * Record a completed trip on the ledger as part of a caller's transaction
+   * Keyed by trip, so the trip can only ever be entered once
+   */
+  recordTripInTransaction(transaction, earning, now = new Date()) {
+    return this.recordEntryInTransaction(
+      transaction,
+      earning.driverId,
+      getTripLedgerEntry(earning),
+      now,
+      `trip_${earning.tripId}`
+    );
+  }
+
+  /**
+   * Get a driver's current balance
+   */
+  async getBalance(driverId) {
+    try {
+      const driverSnap = await getDoc(doc(db, DRIVERS_COLLECTION, driverId));
+      return driverSnap.exists() ? roundCurrency(driverSnap.data().balance || 0) : 0;
+    } catch (error) {
+      console.error('Error getting balance:', error);
+      throw new Error(`Failed to get balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a driver's most recent ledger entries with the balance after each
+   */
+  async getLedger(driverId, limitCount = 50) {
+    try {
+      const q = query(
+        this.ledgerRef,
+        where('driverId', '==', driverId),
+        orderBy('createdAt', 'desc'),
+        limit(limitCount)
+      );
+
+      const [querySnapshot, balance] = await Promise.all([
+        getDocs(q),
+        this.getBalance(driverId)
+      ]);
+      const entries = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+      return {
+        balance,
+        entries: withRunningBalance(entries, balance)
+      };
+    } catch (error) {
+      console.error('Error getting ledger:', error);
+      throw new Error(`Failed to get ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listen for a driver's new ledger entries of one type
+   * Calls back once per entry created after `since`
+   */
+  subscribeToNewEntries(driverId, type, callback, since = new Date()) {
+    try {
+      const q = query(
+        this.ledgerRef,
+        where('driverId', '==', driverId),
+        where('type', '==', type),
+        where('createdAt', '>', Timestamp.fromDate(since))
+      );
+
+      return onSnapshot(q, (querySnapshot) => {
+        querySnapshot.docChanges()
+          .filter(change => change.type === 'added')
+          .forEach(change => callback({ id: change.doc.id, ...change.doc.data() }));
+      }, (error) => {
+        console.error('Error in ledger subscription:', error);
+        callback(null, error);
+      });
+    } catch (error) {
+      console.error('Error setting up ledger subscription:', error);
+      throw new Error(`Failed to subscribe to ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a manual correction to a driver's balance
+   */
+  async recordAdjustment(driverId, amount, description) {
+    try {
+      return await runTransaction(db, async (transaction) =>
+        this.recordEntryInTransaction(transaction, driverId, {
+          type: LEDGER_ENTRY_TYPE.ADJUSTMENT,
+          amount,
+          description
+        })
+      );
+    } catch (error) {
+      console.error('Error recording adjustment:', error);
+      throw new Error(`Failed to record adjustment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a driver's settlement that is still waiting for payment, if any
+   * The driver's `pendingSettlementId` points at it while it's open
+   */
+  async getPendingSettlement(driverId) {
+    try {
+      const driverSnap = await getDoc(doc(db, DRIVERS_COLLECTION, driverId));
+      const settlementId = driverSnap.exists() ? driverSnap.data().pendingSettlementId : null;
+      if (!settlementId) return null;
+
+      const settlementSnap = await getDoc(doc(this.settlementsRef, settlementId));
+      if (!settlementSnap.exists() || settlementSnap.data().status !== SETTLEMENT_STATUS.PENDING) {
+        return null;
+      }
+      return { id: settlementSnap.id, ...settlementSnap.data() };
+    } catch (error) {
+      console.error('Error getting pending settlement:', error);
+      throw new Error(`Failed to get pending settlement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay off what the driver owes the platform
+   *
+   * Opens a pending settlement and marks it on the driver in one transaction,
+   * so only one can be open at a time, then charges the card on file or asks
+   * the payment provider to expect a bank transfer. The balance is only
+   * credited by confirmSettlement once the money is in, and only with the
+   * amount actually paid.
+   * Returns the settlement: 'paid' for a card, 'pending' with bank details for a transfer
+   */
+  async settleUp(driverId, method = SETTLEMENT_METHOD.CARD, now = new Date()) {
+    try {
+      const driverRef = doc(db, DRIVERS_COLLECTION, driverId);
+      const settlementRef = doc(this.settlementsRef);
+
+      const settlement = await runTransaction(db, async (transaction) => {
+        const driverSnap = await transaction.get(driverRef);
+        if (!driverSnap.exists()) {
+          throw new Error('Driver not found');
+        }
+
+        const driver = driverSnap.data();
+        if (driver.pendingSettlementId) {
+          const pendingSnap = await transaction.get(doc(this.settlementsRef, driver.pendingSettlementId));
+          const pending = pendingSnap.exists() ? pendingSnap.data() : null;
+          if (pending?.status === SETTLEMENT_STATUS.PENDING) {
+            throw new Error(pending.method === SETTLEMENT_METHOD.BANK_TRANSFER
+              ? `A $${pending.amount.toFixed(2)} bank transfer is already waiting to arrive`
+              : `A $${pending.amount.toFixed(2)} card payment is already being processed`);
+          }
+        }
+
+        const owed = -roundCurrency(driver.balance || 0);
+        if (owed <= 0) {
+          throw new Error('Nothing to settle');
+        }
+
+        const timestamp = Timestamp.fromDate(now);
+        const data = {
+          driverId,
+          method,
+          status: SETTLEMENT_STATUS.PENDING,
+          amount: owed,
+          reference: null,
+          paymentReference: null,
+          bankDetails: null,
+          failureReason: null,
+          paidAt: null,
+          createdAt: timestamp,
+          updatedAt: timestamp
+        };
+        transaction.set(settlementRef, data);
+        transaction.update(driverRef, { pendingSettlementId: settlementRef.id });
+
+        return { id: settlementRef.id, ...data };
+      });
+
+      try {
+        if (method === SETTLEMENT_METHOD.BANK_TRANSFER) {
+          const request = await paymentProvider.createBankTransferRequest({
+            settlementId: settlement.id,
+            driverId,
+            amount: settlement.amount
+          });
+          return await this.attachBankTransferRequest(settlement, request);
+        }
+
+        const charge = await paymentProvider.createCharge({
+          settlementId: settlement.id,
+          driverId,
+          amount: settlement.amount
+        });
+        return await this.confirmSettlement(settlement.id, charge.id);
+      } catch (error) {
+        await this.failSettlement(settlement.id, error.message);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error settling balance:', error);
+      throw new Error(`Failed to settle balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the bank details and reference the driver needs for their transfer
+   */
+  async attachBankTransferRequest(settlement, request) {
+    const update = {
+      reference: request.id,
+      paymentReference: request.reference,
+      bankDetails: request.bankDetails,
+      updatedAt: Timestamp.fromDate(new Date())
+    };
+    await updateDoc(doc(this.settlementsRef, settlement.id), update);
+    return { ...settlement, ...update };
+  }
+
+  /**
+   * Clear the driver's pending settlement marker as part of a caller's
+   * transaction, if it still points at this settlement (writes only)
+   */
+  clearPendingSettlementInTransaction(transaction, driverSnap, settlementId) {
+    if (driverSnap.exists() && driverSnap.data().pendingSettlementId === settlementId) {
+      transaction.update(driverSnap.ref, { pendingSettlementId: null });
+    }
+  }
+
+  /**
+   * Credit a pending settlement to the balance once its payment is confirmed
+   * Safe to call more than once; a settlement is only ever credited once
+   */
+  async confirmSettlement(settlementId, reference, now = new Date()) {
+    const settlementRef = doc(this.settlementsRef, settlementId);
+
+    return await runTransaction(db, async (transaction) => {
+      const settlementSnap = await transaction.get(settlementRef);
+      if (!settlementSnap.exists()) {
+        throw new Error('Settlement not found');
+      }
+
+      const settlement = { id: settlementId, ...settlementSnap.data() };
+      if (settlement.status !== SETTLEMENT_STATUS.PENDING) {
+        return settlement;
+      }
+
+      const driverSnap = await transaction.get(doc(db, DRIVERS_COLLECTION, settlement.driverId));
+
+      const update = {
+        status: SETTLEMENT_STATUS.PAID,
+        reference,
+        paidAt: Timestamp.fromDate(now),
+        updatedAt: Timestamp.fromDate(now)
+      };
+      transaction.update(settlementRef, update);
+      this.clearPendingSettlementInTransaction(transaction, driverSnap, settlementId);
+      this.recordEntryInTransaction(transaction, settlement.driverId, {
+        type: LEDGER_ENTRY_TYPE.SETTLEMENT,
+        amount: settlement.amount,
+        description: settlement.method === SETTLEMENT_METHOD.BANK_TRANSFER
+          ? 'Settled by bank transfer'
+          : 'Settled by card',
+        method: settlement.method,
+        reference: settlementId
+      }, now, `settlement_${settlementId}`);
+
+      return { ...settlement, ...update };
+    });
+  }
+
+  /**
+   * Mark a pending settlement failed; the balance was never credited
+   */
+  async failSettlement(settlementId, reason) {
+    const settlementRef = doc(this.settlementsRef, settlementId);
+
+    await runTransaction(db, async (transaction) => {
+      const settlementSnap = await transaction.get(settlementRef);
+      if (!settlementSnap.exists() || settlementSnap.data().status !== SETTLEMENT_STATUS.PENDING) return;
+
+      const driverSnap = await transaction.get(doc(db, DRIVERS_COLLECTION, settlementSnap.data().driverId));
+
+      transaction.update(settlementRef, {
+        status: SETTLEMENT_STATUS.FAILED,
+        failureReason: reason,
+        updatedAt: Timestamp.fromDate(new Date())
+      });
+      this.clearPendingSettlementInTransaction(transaction, driverSnap, settlementId);
+    });
+  }
+
+  /**
+   * Check a driver's pending settlement with the payment provider
+   *
+   * Credits it if the money has arrived. A settlement the app was closed on
+   * before it reached the provider is picked up from what the provider has
+   * on record: a charge that went through is credited, a bank transfer request
+   * gets its details saved. One the provider never saw is failed once it's
+   * STALE_SETTLEMENT_MS old, so the driver can settle up again.
+   * Returns the settlement still waiting for payment, or null
+   */
+  async refreshPendingSettlement(driverId, now = new Date()) {
+    try {
+      let pending = await this.getPendingSettlement(driverId);
+      if (!pending) return null;
+
+      if (pending.method === SETTLEMENT_METHOD.BANK_TRANSFER) {
+        const request = pending.reference
+          ? await paymentProvider.getBankTransferRequest(pending.reference)
+          : await paymentProvider.findBankTransferForSettlement(pending.id);
+        if (request?.status === 'received') {
+          await this.confirmSettlement(pending.id, request.id);
+          return null;
+        }
+        if (request && !pending.reference) {
+          pending = await this.attachBankTransferRequest(pending, request);
+        }
+        if (pending.reference) return pending;
+      } else {
+        const charge = await paymentProvider.findChargeForSettlement(pending.id);
+        if (charge?.status === 'succeeded') {
+          await this.confirmSettlement(pending.id, charge.id);
+          return null;
+        }
+      }
+
+      if (now - pending.createdAt.toDate() >= STALE_SETTLEMENT_MS) {
+        await this.failSettlement(pending.id, 'Settlement was interrupted before payment');
+        return null;
+      }
+      return pending;
+    } catch (error) {
+      console.error('Error refreshing pending settlement:', error);
+      throw new Error(`Failed to refresh pending settlement: ${error.message}`);
+    }
+  }
+}
+
+export default new LedgerService();
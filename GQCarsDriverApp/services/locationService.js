@@ -5,6 +5,8 @@ import * as Battery from 'expo-battery';
 import NetInfo from '@react-native-community/netinfo';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { driverService } from './index.js';
+import offlineActionQueue from './offlineActionQueue.js';
+import authService from './authService.js';
 
 // Background task name for location tracking
 const BACKGROUND_LOCATION_TASK = 'background-location-task';
@@ -83,8 +85,18 @@ class LocationService {
     
     // Location sharing
     this.sharingEnabled = false;
+    this.sharingAllowed = true;
     this.shareWithPassengers = [];
     
+    // Drivers can turn passenger location sharing off in their settings
+    authService.onSettingsChange((settings) => {
+      this.sharingAllowed = settings.shareLocation;
+      this.sharingEnabled = this.sharingAllowed && this.shareWithPassengers.length > 0;
+    });
+    
+    // Subscribers to every location fix (e.g. trip breadcrumbs)
+    this.locationListeners = new Set();
+    
     this.initialize();
   }
 
@@ -160,6 +172,9 @@ class LocationService {
       const wasOnline = this.isOnline;
       this.isOnline = state.isConnected && state.isInternetReachable;
       
+      // Reachability is null while unknown; only treat a confirmed loss as offline
+      offlineActionQueue.setOnline(Boolean(state.isConnected) && state.isInternetReachable !== false);
+      
       if (!wasOnline && this.isOnline) {
         console.log('Network reconnected - syncing cached locations');
         this.syncCachedLocations();
@@ -439,6 +454,7 @@ class LocationService {
       
       // Update analytics
       this.updateAnalytics(locationData);
+      this.notifyLocationListeners(locationData);
       
       // Check geofences
       this.checkGeofences(locationData);
@@ -485,6 +501,7 @@ class LocationService {
       
       this.currentLocation = locationData;
       this.updateAnalytics(locationData);
+      this.notifyLocationListeners(locationData);
       
       // Cache location for later sync
       this.cacheLocation(locationData);
@@ -664,10 +681,16 @@ class LocationService {
 
   /**
    * Enable location sharing with passengers
+   * Sharing stays paused while the driver's shareLocation setting is off
    */
   async enableLocationSharing(passengerIds = []) {
-    this.sharingEnabled = true;
     this.shareWithPassengers = passengerIds;
+    this.sharingEnabled = this.sharingAllowed;
+    
+    if (!this.sharingAllowed) {
+      console.log('Location sharing is turned off in settings');
+      return;
+    }
     console.log(`Location sharing enabled for ${passengerIds.length} passengers`);
   }
 
@@ -790,6 +813,28 @@ class LocationService {
     }
   }
 
+  /**
+   * Subscribe to every location fix, foreground and background
+   * Returns an unsubscribe function
+   */
+  addLocationListener(callback) {
+    this.locationListeners.add(callback);
+    return () => this.locationListeners.delete(callback);
+  }
+
+  /**
+   * Pass a location fix to all listeners
+   */
+  notifyLocationListeners(locationData) {
+    this.locationListeners.forEach(callback => {
+      try {
+        callback(locationData);
+      } catch (error) {
+        console.error('Error in location listener:', error);
+      }
+    });
+  }
+
   /**
    * Check if location tracking is active
    */
@@ -1,6 +1,7 @@
 import * as Notifications from 'expo-notifications';
 import * as Haptics from 'expo-haptics';
 import { Platform, Alert } from 'react-native';
+import authService from './authService.js';
 
 /**
  * Notification Service for handling ride request alerts
@@ -20,6 +21,12 @@ class NotificationService {
   constructor() {
     this.isInitialized = false;
     this.notificationPermissionGranted = false;
+    this.pushEnabled = true;
+    
+    // Drivers can turn push notifications off in their settings
+    authService.onSettingsChange((settings) => {
+      this.pushEnabled = settings.pushNotifications;
+    });
   }
 
   /**
@@ -115,6 +122,18 @@ class NotificationService {
     }
   }
 
+  /**
+   * Schedule a notification unless the driver has turned push notifications off
+   */
+  async scheduleNotification(content) {
+    if (!this.pushEnabled) return;
+    
+    await Notifications.scheduleNotificationAsync({
+      content,
+      trigger: null, // Show immediately
+    });
+  }
+
   /**
    * Show local notification for ride request
    */
@@ -127,20 +146,17 @@ class NotificationService {
 
       const { passengerInfo, pickupLocation, estimatedFare, estimatedTime } = rideRequest;
 
-      await Notifications.scheduleNotificationAsync({
-        content: {
-          title: '🚗 New Ride Request',
-          body: `${passengerInfo.name} needs a ride from ${pickupLocation.address}`,
-          data: { 
-            rideRequestId: rideRequest.id,
-            type: 'ride_request' 
-          },
-          sound: true,
-          priority: Notifications.AndroidNotificationPriority.HIGH,
-          sticky: false,
-          autoDismiss: true,
+      await this.scheduleNotification({
+        title: '🚗 New Ride Request',
+        body: `${passengerInfo.name} needs a ride from ${pickupLocation.address}`,
+        data: { 
+          rideRequestId: rideRequest.id,
+          type: 'ride_request' 
         },
-        trigger: null, // Show immediately
+        sound: true,
+        priority: Notifications.AndroidNotificationPriority.HIGH,
+        sticky: false,
+        autoDismiss: true,
       });
     } catch (error) {
       console.error('Error showing ride request notification:', error);
@@ -186,20 +202,119 @@ class NotificationService {
     try {
       await this.triggerHapticFeedback('medium');
       
-      await Notifications.scheduleNotificationAsync({
-        content: {
-          title: '⏰ Ride Request Expiring',
-          body: `${timeLeft} seconds left to respond to ride request`,
-          data: { type: 'timeout_warning' },
-          sound: true,
-        },
-        trigger: null,
+      await this.scheduleNotification({
+        title: '⏰ Ride Request Expiring',
+        body: `${timeLeft} seconds left to respond to ride request`,
+        data: { type: 'timeout_warning' },
+        sound: true,
       });
     } catch (error) {
       console.error('Error showing timeout warning:', error);
     }
   }
 
+  /**
+   * Announce that a ride is about to be auto-accepted
+   * Plays the notification sound so the driver hears it without looking
+   */
+  async announceAutoAccept(rideRequest, undoSeconds) {
+    try {
+      await this.playNotificationSound();
+      await this.triggerHapticFeedback('heavy');
+      
+      await this.scheduleNotification({
+        title: '🚗 Auto-Accepting Ride',
+        body: `Accepting ${rideRequest.passengerInfo?.name || 'ride'} from ${rideRequest.pickupLocation?.address || 'nearby'} in ${undoSeconds} seconds. Open the app to cancel.`,
+        data: {
+          rideRequestId: rideRequest.id,
+          type: 'auto_accept'
+        },
+        sound: true,
+        priority: Notifications.AndroidNotificationPriority.HIGH,
+      });
+    } catch (error) {
+      console.error('Error announcing auto-accept:', error);
+    }
+  }
+
+  /**
+   * Warn that a working time limit is coming up
+   */
+  async showWorkingTimeWarning(minutesLeft, limit) {
+    try {
+      await this.triggerHapticFeedback('medium');
+
+      await this.scheduleNotification({
+        title: limit === 'daily' ? '⏰ Daily Hours Almost Up' : '☕ Break Due Soon',
+        body: limit === 'daily'
+          ? `${minutesLeft} minutes left before your daily driving limit`
+          : `${minutesLeft} minutes left before you need to take a break`,
+        data: { type: 'working_time_warning', limit },
+        sound: true,
+      });
+    } catch (error) {
+      console.error('Error showing working time warning:', error);
+    }
+  }
+
+  /**
+   * Tell the driver they've been taken offline for a required break
+   */
+  async showBreakRequired(until) {
+    try {
+      await this.triggerHapticFeedback('heavy');
+
+      const time = until
+        ? until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : 'later';
+      await this.scheduleNotification({
+        title: '🛑 Time for a Break',
+        body: `You've reached your driving limit. You can go back online at ${time}.`,
+        data: { type: 'break_required' },
+        sound: true,
+        priority: Notifications.AndroidNotificationPriority.HIGH,
+      });
+    } catch (error) {
+      console.error('Error showing break required notification:', error);
+    }
+  }
+
+  /**
+   * Tell the driver a passenger tipped after a trip
+   */
+  async showTipReceived(amount, tripId) {
+    try {
+      await this.triggerHapticFeedback('light');
+      
+      await this.scheduleNotification({
+        title: '💰 You Got a Tip!',
+        body: `A passenger tipped you $${amount.toFixed(2)} for trip #${tripId.slice(-6).toUpperCase()}`,
+        data: { type: 'tip_received', tripId, amount },
+        sound: true,
+      });
+    } catch (error) {
+      console.error('Error showing tip notification:', error);
+    }
+  }
+
+  /**
+   * Congratulate the driver on reaching an earnings goal
+   */
+  async showGoalReached(period, target) {
+    try {
+      await this.triggerHapticFeedback('medium');
+      
+      await this.scheduleNotification({
+        title: '🎯 Goal Reached!',
+        body: `You hit your ${period === 'weekly' ? 'weekly' : 'daily'} goal of ${target}. Nice driving!`,
+        data: { type: 'goal_reached', period },
+        sound: true,
+      });
+    } catch (error) {
+      console.error('Error showing goal reached notification:', error);
+    }
+  }
+
   /**
    * Show ride accepted confirmation
    */
@@ -207,14 +322,11 @@ class NotificationService {
     try {
       await this.triggerHapticFeedback('light');
       
-      await Notifications.scheduleNotificationAsync({
-        content: {
-          title: '✅ Ride Accepted',
-          body: 'You have successfully accepted the ride request',
-          data: { type: 'ride_accepted' },
-          sound: false,
-        },
-        trigger: null,
+      await this.scheduleNotification({
+        title: '✅ Ride Accepted',
+        body: 'You have successfully accepted the ride request',
+        data: { type: 'ride_accepted' },
+        sound: false,
       });
     } catch (error) {
       console.error('Error showing ride accepted notification:', error);
@@ -0,0 +1,303 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Offline Action Queue
+ * Persistent, ordered outbox for writes the driver makes while offline
+ * (trip status changes, trip completion, driver status).
+ *
+ * Services register a handler per action type. While offline - or while older
+ * actions are still waiting - new actions are stored in AsyncStorage with the
+ * client time they happened, then replayed in order when locationService's
+ * NetInfo monitoring reports the connection is back.
+ *
+ * During replay the server state wins: an action the server rejects (e.g. the
+ * passenger cancelled the trip in the meantime) is dropped and reported as a
+ * conflict instead of blocking the actions behind it. Any other failure is
+ * retried with a growing delay and dropped as a conflict after MAX_ATTEMPTS.
+ */
+
+const QUEUE_STORAGE_KEY = 'pending_trip_actions';
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+
+export const QUEUED_ACTION = {
+  TRIP_TRANSITION: 'trip_transition',
+  TRIP_COMPLETE: 'trip_complete',
+  DRIVER_STATUS: 'driver_status'
+};
+
+/**
+ * Check whether an error means the write never reached the server
+ * @param {Error} error - Error thrown by a handler
+ * @returns {boolean} True for offline/network failures
+ */
+export const isNetworkError = (error) => {
+  if (error?.code === 'unavailable' || error?.code === 'deadline-exceeded') {
+    return true;
+  }
+  return /offline|network|unavailable|timed? ?out/i.test(error?.message || '');
+};
+
+/**
+ * Check whether an error is the server rejecting the action for its current state
+ * @param {Error} error - Error thrown by a handler
+ * @returns {boolean} True for state conflicts
+ */
+export const isConflictError = (error) => {
+  return typeof error?.code === 'string' && error.code.startsWith('trip/');
+};
+
+class OfflineActionQueue {
+  constructor() {
+    this.actions = [];
+    this.conflicts = [];
+    this.handlers = new Map();
+    this.listeners = new Set();
+    this.isOnline = true;
+    this.replaying = false;
+    this.retryTimer = null;
+    this.loaded = this.loadActions();
+  }
+
+  /**
+   * Load queued actions saved by a previous session
+   */
+  async loadActions() {
+    try {
+      const stored = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+      if (stored) {
+        this.actions = [...JSON.parse(stored), ...this.actions];
+        this.notifyListeners();
+      }
+    } catch (error) {
+      console.error('Error loading queued actions:', error);
+    }
+  }
+
+  /**
+   * Save queued actions to storage
+   */
+  async saveActions() {
+    try {
+      await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(this.actions));
+    } catch (error) {
+      console.error('Error saving queued actions:', error);
+    }
+  }
+
+  /**
+   * Register the function that performs an action type against the server
+   * Handlers receive (payload, action) and must be safe to run more than once
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Run an action now, or queue it when offline or behind other queued actions
+   * Returns { queued: boolean, result }
+   */
+  async execute(type, payload) {
+    await this.loaded;
+
+    if (!this.isOnline || this.actions.length > 0) {
+      await this.enqueue(type, payload);
+      if (this.isOnline) {
+        this.replay();
+      }
+      return { queued: true, result: null };
+    }
+
+    const action = this.buildAction(type, payload);
+    try {
+      const result = await this.runAction(action);
+      return { queued: false, result };
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      await this.enqueueAction(action);
+      return { queued: true, result: null };
+    }
+  }
+
+  /**
+   * Build a queued action stamped with the client time
+   */
+  buildAction(type, payload) {
+    return {
+      id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      payload,
+      clientTimestamp: new Date().toISOString(),
+      attempts: 0
+    };
+  }
+
+  /**
+   * Add an action to the end of the queue
+   */
+  async enqueue(type, payload) {
+    return await this.enqueueAction(this.buildAction(type, payload));
+  }
+
+  /**
+   * Add an already built action to the end of the queue
+   */
+  async enqueueAction(action) {
+    this.actions.push(action);
+    await this.saveActions();
+    this.notifyListeners();
+    return action;
+  }
+
+  /**
+   * Perform one action with its registered handler
+   */
+  async runAction(action) {
+    const handler = this.handlers.get(action.type);
+    if (!handler) {
+      throw new Error(`No handler registered for queued action '${action.type}'`);
+    }
+    return await handler(action.payload, action);
+  }
+
+  /**
+   * Replay queued actions in order
+   *
+   * Stops at the first network failure so later actions never overtake earlier ones.
+   * Stops at other failures too, but schedules another replay after a backoff.
+   */
+  async replay() {
+    await this.loaded;
+    if (this.replaying || !this.isOnline || this.actions.length === 0) return;
+
+    this.replaying = true;
+    let retryDelay = null;
+
+    try {
+      while (this.actions.length > 0 && this.isOnline) {
+        const action = this.actions[0];
+
+        try {
+          await this.runAction(action);
+        } catch (error) {
+          if (isNetworkError(error)) {
+            break;
+          }
+
+          action.attempts += 1;
+          if (!isConflictError(error) && action.attempts < MAX_ATTEMPTS) {
+            await this.saveActions();
+            retryDelay = RETRY_BASE_DELAY_MS * 2 ** (action.attempts - 1);
+            break;
+          }
+
+          console.warn(`Dropping queued ${action.type} action:`, error.message);
+          this.conflicts.push({
+            action,
+            reason: error.message,
+            resolvedAt: new Date().toISOString()
+          });
+        }
+
+        this.actions.shift();
+        await this.saveActions();
+        this.notifyListeners();
+      }
+    } finally {
+      this.replaying = false;
+      this.notifyListeners();
+    }
+
+    if (retryDelay !== null) {
+      this.scheduleReplay(retryDelay);
+    }
+  }
+
+  /**
+   * Replay again after a delay, replacing any replay already scheduled
+   */
+  scheduleReplay(delay) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, delay);
+  }
+
+  /**
+   * Update connectivity; replays the queue when the connection comes back
+   */
+  setOnline(isOnline) {
+    const wasOnline = this.isOnline;
+    this.isOnline = isOnline;
+
+    if (!wasOnline && isOnline) {
+      this.replay();
+    }
+  }
+
+  /**
+   * Get queued actions, optionally filtered
+   */
+  getPendingActions(predicate = null) {
+    return predicate ? this.actions.filter(predicate) : [...this.actions];
+  }
+
+  /**
+   * Get actions dropped during replay because the server state had moved on
+   */
+  getConflicts() {
+    return [...this.conflicts];
+  }
+
+  /**
+   * Forget reported conflicts once the UI has shown them
+   */
+  clearConflicts() {
+    this.conflicts = [];
+    this.notifyListeners();
+  }
+
+  /**
+   * Get queue status for the UI
+   */
+  getStatus() {
+    return {
+      pendingCount: this.actions.length,
+      isOnline: this.isOnline,
+      isSyncing: this.replaying,
+      conflicts: this.getConflicts()
+    };
+  }
+
+  /**
+   * Subscribe to queue changes
+   * Returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getStatus());
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Push the current queue status to subscribers
+   */
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('Error in offline queue listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const offlineActionQueue = new OfflineActionQueue();
+
+export default offlineActionQueue;
@@ -0,0 +1,209 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Payment Provider (development stub)
+ * Stands in for the payments API payouts are sent through and settlements are
+ * collected through. Transfers and card charges succeed after a short delay;
+ * incoming bank transfers are reported as received a minute after they're
+ * requested.
+ *
+ * Like a real provider, every request is keyed by the payout or settlement it
+ * belongs to, so repeating it returns the first result instead of moving money
+ * twice, and what was sent can be looked up again after the app restarts.
+ * Records are kept in AsyncStorage on the device.
+ * Only use for development/testing purposes
+ */
+
+const STORAGE_KEY = 'payment_provider_stub';
+const STUB_DELAY_MS = 500;
+const STUB_BANK_TRANSFER_MS = 60 * 1000;
+
+// Where drivers send bank transfers to settle up
+const STUB_BANK_DETAILS = {
+  accountName: 'GQCars Ltd',
+  accountNumber: '00012345',
+  routingNumber: '000000000'
+};
+
+const toTransfer = (record) => (record ? { ...record, arrivesAt: new Date(record.arrivesAt) } : null);
+
+const toBankTransferRequest = (record) => (record ? { ...record, receivedAt: new Date(record.receivedAt) } : null);
+
+class PaymentProvider {
+  constructor() {
+    this.records = null;
+  }
+
+  /**
+   * Load the stub's records saved by a previous session
+   */
+  async loadRecords() {
+    if (!this.records) {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      this.records = {
+        transfers: {},
+        charges: {},
+        bankTransfers: {},
+        ...(stored ? JSON.parse(stored) : {})
+      };
+    }
+    return this.records;
+  }
+
+  /**
+   * Save one record and return it
+   */
+  async saveRecord(kind, record) {
+    const records = await this.loadRecords();
+    records[kind][record.id] = record;
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+    return record;
+  }
+
+  /**
+   * Find the record made for a payout or settlement
+   */
+  async findRecord(kind, key, value) {
+    const records = await this.loadRecords();
+    return Object.values(records[kind]).find(record => record[key] === value) || null;
+  }
+
+  /**
+   * Send money to the driver's bank account
+   * Repeating a transfer for the same payout returns the first one
+   * @param {Object} transfer - { payoutId, driverId, amount, instant }
+   * @returns {Promise<Object>} { id, status: 'paid', amount, arrivesAt }
+   */
+  async createTransfer({ payoutId, driverId, amount, instant = false }) {
+    if (!(amount > 0)) {
+      throw new Error('Transfer amount must be positive');
+    }
+
+    const existing = await this.findRecord('transfers', 'payoutId', payoutId);
+    if (existing) {
+      return toTransfer(existing);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, STUB_DELAY_MS));
+
+    const now = new Date();
+    // Instant transfers land right away, standard ones the next day
+    const arrivesAt = instant ? now : new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    const transfer = await this.saveRecord('transfers', {
+      id: `stub_tr_${now.getTime()}`,
+      payoutId,
+      driverId,
+      amount,
+      status: 'paid',
+      arrivesAt: arrivesAt.toISOString()
+    });
+    return toTransfer(transfer);
+  }
+
+  /**
+   * Look up a transfer
+   */
+  async getTransfer(transferId) {
+    const records = await this.loadRecords();
+    return toTransfer(records.transfers[transferId]);
+  }
+
+  /**
+   * Look up the transfer sent for a payout, if any
+   */
+  async findTransferForPayout(payoutId) {
+    return toTransfer(await this.findRecord('transfers', 'payoutId', payoutId));
+  }
+
+  /**
+   * Charge the driver's card on file
+   * Repeating a charge for the same settlement returns the first one
+   * @param {Object} charge - { settlementId, driverId, amount }
+   * @returns {Promise<Object>} { id, status: 'succeeded', amount }
+   */
+  async createCharge({ settlementId, driverId, amount }) {
+    if (!(amount > 0)) {
+      throw new Error('Charge amount must be positive');
+    }
+
+    const existing = await this.findRecord('charges', 'settlementId', settlementId);
+    if (existing) {
+      return existing;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, STUB_DELAY_MS));
+
+    return await this.saveRecord('charges', {
+      id: `stub_ch_${Date.now()}`,
+      settlementId,
+      driverId,
+      amount,
+      status: 'succeeded'
+    });
+  }
+
+  /**
+   * Look up the charge made for a settlement, if any
+   */
+  async findChargeForSettlement(settlementId) {
+    return await this.findRecord('charges', 'settlementId', settlementId);
+  }
+
+  /**
+   * Expect a bank transfer from the driver
+   * Repeating a request for the same settlement returns the first one
+   * @param {Object} request - { settlementId, driverId, amount }
+   * @returns {Promise<Object>} { id, status: 'pending', amount, reference, bankDetails }
+   *   where reference is what the driver quotes on the transfer
+   */
+  async createBankTransferRequest({ settlementId, driverId, amount }) {
+    if (!(amount > 0)) {
+      throw new Error('Transfer amount must be positive');
+    }
+
+    const existing = await this.findBankTransferForSettlement(settlementId);
+    if (existing) {
+      return existing;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, STUB_DELAY_MS));
+
+    const now = Date.now();
+    const request = await this.saveRecord('bankTransfers', {
+      id: `stub_bt_${now}`,
+      settlementId,
+      driverId,
+      amount,
+      status: 'pending',
+      reference: `GQ${now.toString(36).toUpperCase().slice(-6)}`,
+      bankDetails: STUB_BANK_DETAILS,
+      receivedAt: new Date(now + STUB_BANK_TRANSFER_MS).toISOString()
+    });
+    return toBankTransferRequest(request);
+  }
+
+  /**
+   * Look up an expected bank transfer
+   * @returns {Promise<Object|null>} The request, status 'received' once the money is in
+   */
+  async getBankTransferRequest(requestId) {
+    const records = await this.loadRecords();
+    const request = toBankTransferRequest(records.bankTransfers[requestId]);
+    if (!request) return null;
+
+    if (request.status === 'pending' && request.receivedAt <= new Date()) {
+      request.status = 'received';
+    }
+    return request;
+  }
+
+  /**
+   * Look up the bank transfer expected for a settlement, if any
+   */
+  async findBankTransferForSettlement(settlementId) {
+    const request = await this.findRecord('bankTransfers', 'settlementId', settlementId);
+    return request ? await this.getBankTransferRequest(request.id) : null;
+  }
+}
+
+export default new PaymentProvider();
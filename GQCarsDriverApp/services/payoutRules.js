@@ -0,0 +1,107 @@
+import { roundCurrency } from './fareService.js';
+import { getTripLedgerEntry } from './ledgerService.js';
+import { getDateKey, startOfDay, startOfWeek } from './timeZoneUtils.js';
+
+/**
+ * Payout Rules
+ * Scheduled payouts run weekly on PAYOUT_WEEKDAY and cover every unpaid
+ * earning completed before that week started. Instant cashouts cover every
+ * unpaid earning so far, for a fee.
+ *
+ * A payout pays the driver's ledger balance, less whatever unpaid trips not
+ * yet due added to it. Tips and adjustments on trips already paid out go with
+ * the next payout, and nothing the driver owes back is ever paid out.
+ */
+
+export const PAYOUT_TYPE = {
+  SCHEDULED: 'scheduled',
+  INSTANT: 'instant'
+};
+
+export const PAYOUT_STATUS = {
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  FAILED: 'failed'
+};
+
+export const PAYOUT_WEEKDAY = 1; // Monday, counted from the week start (Sunday)
+
+export const INSTANT_CASHOUT_FEE = {
+  rate: 0.015,
+  minimum: 0.5
+};
+
+export const MINIMUM_INSTANT_CASHOUT = 5;
+
+/**
+ * Work out the fee for an instant cashout
+ * @param {number} amount - Amount being cashed out
+ * @param {Object} fee - { rate, minimum }
+ * @returns {number} Fee, never more than the amount
+ */
+export const calculateInstantFee = (amount, fee = INSTANT_CASHOUT_FEE) => {
+  return roundCurrency(Math.min(amount, Math.max(amount * fee.rate, fee.minimum)));
+};
+
+/**
+ * Get when the next scheduled payout runs and which earnings it covers
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Driver's time zone
+ * @returns {Object} { scheduledFor, cutoff } - earnings completed before cutoff are included
+ */
+export const getNextPayoutSchedule = (now, timeZone) => {
+  const weekStart = startOfWeek(now, timeZone);
+  const payday = startOfDay(weekStart, timeZone, PAYOUT_WEEKDAY);
+
+  if (now < payday) {
+    return { scheduledFor: payday, cutoff: weekStart };
+  }
+  return {
+    scheduledFor: startOfDay(weekStart, timeZone, 7 + PAYOUT_WEEKDAY),
+    cutoff: startOfDay(weekStart, timeZone, 7)
+  };
+};
+
+/**
+ * Get the cutoff for scheduled payouts that are already due
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Driver's time zone
+ * @returns {Date} Earnings completed before this should have been paid out
+ */
+export const getDuePayoutCutoff = (now, timeZone) => {
+  // The payout before the next one covered everything up to a week earlier
+  const { cutoff } = getNextPayoutSchedule(now, timeZone);
+  return startOfDay(cutoff, timeZone, -7);
+};
+
+/**
+ * Total what some earnings added to the driver's ledger balance
+ * @param {Array} earnings - Records from the earnings collection
+ * @returns {number} Sum of their ledger amounts
+ */
+const sumLedgerAmounts = (earnings) => {
+  return roundCurrency(earnings.reduce((sum, earning) => sum + getTripLedgerEntry(earning).amount, 0));
+};
+
+/**
+ * Work out what a payout of some unpaid earnings comes to
+ * @param {Array} earnings - Unpaid earnings the payout covers, oldest first
+ * @param {number} balance - Driver's ledger balance
+ * @param {string} timeZone - Driver's time zone
+ * @param {Array} pendingEarnings - Unpaid earnings not due yet, held back from the balance
+ * @returns {Object} { earningIds, earningsTotal, amount, periodStart, periodEnd }
+ */
+export const buildPayoutPlan = (earnings, balance, timeZone, pendingEarnings = []) => {
+  const earningsTotal = sumLedgerAmounts(earnings);
+  // Cash trips not due yet lower the balance already, so only hold back credits
+  const heldBack = Math.max(0, sumLedgerAmounts(pendingEarnings));
+  const completedTimes = earnings.map(earning => (earning.completedAt?.toDate ? earning.completedAt.toDate() : new Date(earning.completedAt)));
+
+  return {
+    earningIds: earnings.map(earning => earning.id),
+    earningsTotal,
+    amount: roundCurrency(Math.max(0, balance - heldBack)),
+    periodStart: completedTimes.length ? getDateKey(completedTimes[0], timeZone) : null,
+    periodEnd: completedTimes.length ? getDateKey(completedTimes[completedTimes.length - 1], timeZone) : null
+  };
+};
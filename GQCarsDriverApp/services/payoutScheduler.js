@@ -0,0 +1,80 @@
+import { AppState } from 'react-native';
+import earningsService from './earningsService.js';
+
+/**
+ * Payout Scheduler (development stand-in)
+ * Sends a signed-in driver's weekly payout once it's due, whichever screen
+ * they're on: checks on sign-in, every hour while the app is open, and each
+ * time the app comes back to the foreground. Each check first settles payouts
+ * a closed app left processing.
+ *
+ * A driver who never opens the app is still never paid by this. In production
+ * a scheduled backend function should run reconcileStalePayouts() and
+ * runScheduledPayout() for every driver each Monday, and this should be
+ * removed.
+ */
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+class PayoutScheduler {
+  constructor() {
+    this.driverId = null;
+    this.timer = null;
+    this.appStateSubscription = null;
+    this.running = null;
+  }
+
+  /**
+   * Start checking for due payouts for a driver
+   */
+  start(driverId) {
+    if (this.driverId === driverId) return;
+    this.stop();
+
+    this.driverId = driverId;
+    this.timer = setInterval(() => this.run(), CHECK_INTERVAL_MS);
+    this.appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        this.run();
+      }
+    });
+    this.run();
+  }
+
+  /**
+   * Stop checking, e.g. on sign-out
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.appStateSubscription?.remove();
+    this.driverId = null;
+    this.timer = null;
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Settle stale payouts and send any payout that's due
+   * A check already in progress is shared rather than run twice
+   */
+  run() {
+    const driverId = this.driverId;
+    if (!driverId) return Promise.resolve(null);
+
+    if (!this.running) {
+      this.running = (async () => {
+        try {
+          await earningsService.reconcileStalePayouts(driverId);
+          return await earningsService.runScheduledPayout(driverId);
+        } catch (error) {
+          console.error('Error running payout check:', error);
+          return null;
+        } finally {
+          this.running = null;
+        }
+      })();
+    }
+    return this.running;
+  }
+}
+
+export default new PayoutScheduler();
@@ -0,0 +1,144 @@
+import { calculateDistance, degToRad } from '../shared/components/Map/mapUtils.js';
+
+/**
+ * Ride Request Filters
+ * Driver preferences for which ride requests they want to be alerted about,
+ * stored on the driver profile as `requestFilters`.
+ *
+ * An empty rideTypes or paymentMethods list means "any". The destination
+ * filter keeps only trips whose dropoff is closer to the target (e.g. home)
+ * than the pickup and whose direction of travel is within
+ * maxDeviationDegrees of the direction of the target.
+ */
+
+export const RIDE_TYPE_OPTIONS = ['standard', 'premium', 'shared'];
+export const PAYMENT_METHOD_OPTIONS = ['cash', 'card', 'wallet'];
+
+export const DEFAULT_REQUEST_FILTERS = {
+  maxPickupDistanceKm: 10,
+  rideTypes: [],
+  paymentMethods: [],
+  minFare: 0,
+  minPassengerRating: 0,
+  destination: {
+    enabled: false,
+    label: 'Home',
+    latitude: null,
+    longitude: null,
+    maxDeviationDegrees: 45
+  }
+};
+
+/**
+ * Resolve the request filters for a driver, filling gaps with the defaults
+ * @param {Object} driverProfile - Driver profile (may be null)
+ * @returns {Object} Complete request filters
+ */
+export const getRequestFilters = (driverProfile) => {
+  const saved = driverProfile?.requestFilters || {};
+  return {
+    ...DEFAULT_REQUEST_FILTERS,
+    ...saved,
+    destination: {
+      ...DEFAULT_REQUEST_FILTERS.destination,
+      ...(saved.destination || {})
+    }
+  };
+};
+
+/**
+ * Calculate the initial compass bearing from one point to another
+ * @returns {number} Bearing in degrees (0-360, 0 = north)
+ */
+export const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const dLon = degToRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(degToRad(lat2));
+  const x = Math.cos(degToRad(lat1)) * Math.sin(degToRad(lat2)) -
+    Math.sin(degToRad(lat1)) * Math.cos(degToRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Get the smallest angle between two bearings
+ * @param {number} a - Bearing in degrees
+ * @param {number} b - Bearing in degrees
+ * @returns {number} Difference in degrees (0-180)
+ */
+export const getBearingDifference = (a, b) => {
+  const difference = Math.abs(a - b) % 360;
+  return difference > 180 ? 360 - difference : difference;
+};
+
+/**
+ * Check whether a trip heads towards a destination
+ * @param {Object} request - Ride request with pickupLocation and dropoffLocation
+ * @param {Object} destination - { latitude, longitude, maxDeviationDegrees }
+ * @returns {boolean} True if the trip brings the driver closer, in roughly the right direction
+ */
+export const isHeadingTowards = (request, destination) => {
+  const pickup = request.pickupLocation;
+  const dropoff = request.dropoffLocation;
+  if (!pickup || !dropoff) return false;
+
+  const pickupToTarget = calculateDistance(
+    pickup.latitude,
+    pickup.longitude,
+    destination.latitude,
+    destination.longitude
+  );
+  const dropoffToTarget = calculateDistance(
+    dropoff.latitude,
+    dropoff.longitude,
+    destination.latitude,
+    destination.longitude
+  );
+  if (dropoffToTarget >= pickupToTarget) return false;
+
+  const tripBearing = calculateBearing(pickup.latitude, pickup.longitude, dropoff.latitude, dropoff.longitude);
+  const targetBearing = calculateBearing(pickup.latitude, pickup.longitude, destination.latitude, destination.longitude);
+  return getBearingDifference(tripBearing, targetBearing) <= destination.maxDeviationDegrees;
+};
+
+/**
+ * Check whether a ride request passes a driver's filters
+ * @param {Object} request - Ride request
+ * @param {Object} filters - Request filters (see DEFAULT_REQUEST_FILTERS)
+ * @param {Object} driverLocation - { latitude, longitude } (optional)
+ * @returns {boolean} True if the driver should be alerted
+ */
+export const matchesRequestFilters = (request, filters = DEFAULT_REQUEST_FILTERS, driverLocation = null) => {
+  if (driverLocation && request.pickupLocation && filters.maxPickupDistanceKm) {
+    const pickupDistance = calculateDistance(
+      driverLocation.latitude,
+      driverLocation.longitude,
+      request.pickupLocation.latitude,
+      request.pickupLocation.longitude
+    );
+    if (pickupDistance > filters.maxPickupDistanceKm) return false;
+  }
+
+  if (filters.rideTypes?.length && !filters.rideTypes.includes(request.rideType || 'standard')) {
+    return false;
+  }
+
+  if (filters.paymentMethods?.length && !filters.paymentMethods.includes(request.paymentMethod)) {
+    return false;
+  }
+
+  if (filters.minFare && (request.estimatedFare || 0) < filters.minFare) {
+    return false;
+  }
+
+  // Passengers without a rating yet are not filtered out
+  const passengerRating = request.passengerInfo?.rating;
+  if (filters.minPassengerRating && passengerRating && passengerRating < filters.minPassengerRating) {
+    return false;
+  }
+
+  const destination = filters.destination;
+  if (destination?.enabled && destination.latitude != null && destination.longitude != null) {
+    if (!isHeadingTowards(request, destination)) return false;
+  }
+
+  return true;
+};
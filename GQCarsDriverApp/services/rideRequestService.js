@@ -11,9 +11,27 @@ import {
   where, 
   orderBy, 
   limit,
-  onSnapshot 
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  increment
 } from 'firebase/firestore';
 import { db } from '../../firebase.js';
+import activeTripService from './activeTripService.js';
+import driverService, { RESPONSE_EVENT } from './driverService.js';
+import fareService, { selectRateCard } from './fareService.js';
+import locationService from './locationService.js';
+import { DEFAULT_REQUEST_FILTERS, matchesRequestFilters } from './requestFilters.js';
+import { encodeGeohash, getGeohashQueryBounds } from './geohash.js';
+import dispatchService, {
+  DEFAULT_DISPATCH_MODE,
+  DISPATCH_MODE,
+  OFFER_OUTCOME
+} from './dispatchService.js';
+import { calculateDistance } from '../shared/components/Map/mapUtils.js';
+import { getDateKey } from './timeZoneUtils.js';
+import autoAcceptService, { isDailyCapReached } from './autoAcceptService.js';
+import { ACTIVE_TRIP_STATUSES } from './tripStateMachine.js';
 
 /**
  * Ride Requests Collection Schema:
@@ -37,12 +55,16 @@ import { db } from '../../firebase.js';
  *     address: string,
  *     placeName: string
  *   },
+ *   geohash: string, // geohash of pickupLocation, used for nearby queries
  *   rideType: string, // 'standard', 'premium', 'shared'
  *   estimatedDistance: number, // in kilometers
  *   estimatedDuration: number, // in minutes
  *   estimatedFare: number,
+ *   surgeMultiplier: number (optional, defaults to 1),
  *   status: string, // 'pending', 'accepted', 'cancelled', 'expired'
  *   assignedDriverId: string (optional),
+ *   activeTripId: string (optional, set on acceptance),
+ *   dispatch: object (optional, sequential offer state - see dispatchService.js),
  *   requestTime: timestamp,
  *   acceptedTime: timestamp (optional),
  *   expiresAt: timestamp,
@@ -55,23 +77,96 @@ import { db } from '../../firebase.js';
  * }
  */
 
+/**
+ * Declined Requests Subcollection Schema:
+ * Collection: drivers/{driverId}/declined_requests
+ * {
+ *   id: string (document ID - ride request ID),
+ *   requestId: string,
+ *   reason: string, // DECLINE_REASON value
+ *   rideType: string,
+ *   estimatedFare: number,
+ *   pickupDistanceKm: number (optional),
+ *   requestExpiresAt: timestamp, // the request stays hidden from the driver until then
+ *   declinedAt: timestamp
+ * }
+ *
+ * Decline Stats Collection Schema (for ops analysis):
+ * Collection: decline_stats
+ * {
+ *   id: string (document ID - UTC day 'YYYY-MM-DD'),
+ *   date: string,
+ *   total: number,
+ *   reasons: { [reason]: number },
+ *   rideTypes: { [rideType]: number },
+ *   updatedAt: timestamp
+ * }
+ */
+
 const COLLECTION_NAME = 'ride_requests';
+const DRIVERS_COLLECTION = 'drivers';
+const ACTIVE_TRIPS_COLLECTION = 'active_trips';
+const DECLINED_COLLECTION = 'declined_requests';
+const DECLINE_STATS_COLLECTION = 'decline_stats';
+
+export const DECLINE_REASON = {
+  TOO_FAR: 'too_far',
+  WRONG_DIRECTION: 'wrong_direction',
+  LOW_FARE: 'low_fare',
+  PASSENGER_RATING: 'passenger_rating',
+  UNSPECIFIED: 'unspecified'
+};
+const MAX_PENDING_REQUESTS = 20;
+
+// How far the driver can move before a subscription re-queries its area
+export const RESCOPE_DISTANCE_KM = 1;
+
+/**
+ * Outcomes of acceptRideRequest
+ */
+export const ACCEPT_RESULT = {
+  ACCEPTED: 'accepted',
+  ALREADY_TAKEN: 'already_taken',
+  EXPIRED: 'expired',
+  NOT_FOUND: 'not_found',
+  NOT_OFFERED: 'not_offered',
+  DAILY_CAP: 'daily_cap',
+  DRIVER_BUSY: 'driver_busy'
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// A plain number is still accepted as the old radiusKm argument
+const resolveFilters = (filters) => (
+  typeof filters === 'number'
+    ? { ...DEFAULT_REQUEST_FILTERS, maxPickupDistanceKm: filters }
+    : { ...DEFAULT_REQUEST_FILTERS, ...(filters || {}) }
+);
+
+const byRequestTime = (a, b) => toDate(a.requestTime) - toDate(b.requestTime);
 
 class RideRequestService {
   constructor() {
     this.collectionRef = collection(db, COLLECTION_NAME);
+    this.declinedRequestIds = new Set();
   }
 
   /**
    * Create a new ride request
+   * In sequential mode the request is offered to one driver at a time
+   * instead of appearing in every nearby driver's feed.
    */
-  async createRideRequest(requestData) {
+  async createRideRequest(requestData, dispatchMode = DEFAULT_DISPATCH_MODE) {
     try {
       const now = new Date();
       const expiresAt = new Date(now.getTime() + (5 * 60 * 1000)); // 5 minutes expiry
       
       const rideRequest = {
         ...requestData,
+        geohash: encodeGeohash(
+          requestData.pickupLocation.latitude,
+          requestData.pickupLocation.longitude
+        ),
         status: 'pending',
         requestTime: now,
         expiresAt,
@@ -79,7 +174,23 @@ class RideRequestService {
         updatedAt: now
       };
       
+      if (dispatchMode === DISPATCH_MODE.SEQUENTIAL) {
+        rideRequest.dispatch = { mode: DISPATCH_MODE.SEQUENTIAL, currentOffer: null };
+      }
+      
       const docRef = await addDoc(this.collectionRef, rideRequest);
+      
+      if (dispatchMode === DISPATCH_MODE.SEQUENTIAL) {
+        try {
+          await dispatchService.startDispatch(docRef.id);
+        } catch (dispatchError) {
+          // Never leave a request hidden from every driver
+          console.error('Falling back to broadcast dispatch:', dispatchError);
+          await updateDoc(docRef, { 'dispatch.mode': DISPATCH_MODE.BROADCAST, updatedAt: new Date() });
+          rideRequest.dispatch.mode = DISPATCH_MODE.BROADCAST;
+        }
+      }
+      
       return { id: docRef.id, ...rideRequest };
     } catch (error) {
       console.error('Error creating ride request:', error);
@@ -108,64 +219,302 @@ class RideRequestService {
 
   /**
    * Get pending ride requests for drivers
+   * Filters are the driver's requestFilters (see requestFilters.js). With a
+   * driver location only the geohash cells around the driver are read.
    */
-  async getPendingRideRequests(driverLocation = null, radiusKm = 10) {
+  async getPendingRideRequests(driverLocation = null, filters = DEFAULT_REQUEST_FILTERS) {
     try {
       const now = new Date();
-      const q = query(
-        this.collectionRef,
-        where('status', '==', 'pending'),
-        where('expiresAt', '>', now),
-        orderBy('expiresAt'),
-        orderBy('requestTime'),
-        limit(20)
-      );
-      
-      const querySnapshot = await getDocs(q);
-      let requests = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const resolvedFilters = resolveFilters(filters);
+      let requests;
 
-      // If driver location is provided, filter by distance
       if (driverLocation) {
-        requests = requests.filter(request => {
-          const distance = this.calculateDistance(
-            driverLocation.latitude,
-            driverLocation.longitude,
-            request.pickupLocation.latitude,
-            request.pickupLocation.longitude
-          );
-          return distance <= radiusKm;
-        });
+        const snapshots = await Promise.all(
+          this.buildNearbyQueries(driverLocation, resolvedFilters.maxPickupDistanceKm)
+            .map(q => getDocs(q))
+        );
+        requests = this.mergeSnapshots(snapshots)
+          .filter(request => !request.expiresAt || toDate(request.expiresAt) > now);
+      } else {
+        const q = query(
+          this.collectionRef,
+          where('status', '==', 'pending'),
+          where('expiresAt', '>', now),
+          orderBy('expiresAt'),
+          orderBy('requestTime'),
+          limit(MAX_PENDING_REQUESTS)
+        );
+        requests = this.mergeSnapshots([await getDocs(q)]);
       }
 
-      return requests;
+      return this.filterRideRequests(requests, driverLocation, resolvedFilters)
+        .sort(byRequestTime)
+        .slice(0, MAX_PENDING_REQUESTS);
     } catch (error) {
       console.error('Error getting pending ride requests:', error);
       throw new Error(`Failed to get pending ride requests: ${error.message}`);
     }
   }
 
+  /**
+   * Build one pending-request query per geohash range around a location
+   *
+   * Firestore allows range filters on one field only, so expiry is checked
+   * on the client.
+   */
+  buildNearbyQueries(location, radiusKm) {
+    return getGeohashQueryBounds(location, radiusKm).map(([start, end]) => query(
+      this.collectionRef,
+      where('status', '==', 'pending'),
+      where('geohash', '>=', start),
+      where('geohash', '<=', end),
+      orderBy('geohash')
+    ));
+  }
+
+  /**
+   * Combine query snapshots into one list of requests without duplicates
+   */
+  mergeSnapshots(snapshots) {
+    const requests = new Map();
+    snapshots.forEach(querySnapshot => {
+      querySnapshot.docs.forEach(doc => {
+        requests.set(doc.id, { id: doc.id, ...doc.data() });
+      });
+    });
+    return [...requests.values()];
+  }
+
   /**
    * Accept a ride request
+   *
+   * Runs as a transaction so only one driver can win a request: it succeeds only
+   * while the request is still pending, unexpired and unassigned, and the driver
+   * is online with no trip in progress. It creates the active trip and marks the
+   * driver busy in the same commit, so a driver can never hold two trips.
+   * Pass { autoAccept: true } to check and count the driver's daily auto-accept
+   * cap in the same transaction.
+   * Returns { status: ACCEPT_RESULT.*, request?, trip? }
    */
-  async acceptRideRequest(requestId, driverId) {
+  async acceptRideRequest(requestId, driverId, driverInfo = {}, { autoAccept = false } = {}) {
     try {
       const docRef = doc(db, COLLECTION_NAME, requestId);
+      const rateCards = await fareService.getRateCards();
+      
+      return await runTransaction(db, async (transaction) => {
+        const docSnap = await transaction.get(docRef);
+        const now = new Date();
+        
+        if (!docSnap.exists()) {
+          return { status: ACCEPT_RESULT.NOT_FOUND };
+        }
+        
+        const request = { id: docSnap.id, ...docSnap.data() };
+        
+        // A pending request past its expiry may not have been swept yet
+        const isExpired = request.status === 'expired' ||
+          (request.status === 'pending' && request.expiresAt && toDate(request.expiresAt) <= now);
+        if (isExpired) {
+          return { status: ACCEPT_RESULT.EXPIRED };
+        }
+        
+        if (request.status !== 'pending' || request.assignedDriverId) {
+          return { status: ACCEPT_RESULT.ALREADY_TAKEN };
+        }
+        
+        const isSequential = request.dispatch?.mode === DISPATCH_MODE.SEQUENTIAL;
+        if (isSequential && !dispatchService.isOfferedTo(request, driverId, now)) {
+          return { status: ACCEPT_RESULT.NOT_OFFERED };
+        }
+        
+        const driverRef = doc(db, DRIVERS_COLLECTION, driverId);
+        const driverSnap = await transaction.get(driverRef);
+        const driver = driverSnap.exists() ? driverSnap.data() : null;
+        if (driver?.status !== 'online') {
+          return { status: ACCEPT_RESULT.DRIVER_BUSY };
+        }
+        
+        // The last accepted trip, which may have ended since
+        if (driver.activeTripId) {
+          const tripSnap = await transaction.get(doc(db, ACTIVE_TRIPS_COLLECTION, driver.activeTripId));
+          if (tripSnap.exists() && ACTIVE_TRIP_STATUSES.includes(tripSnap.data().status)) {
+            return { status: ACCEPT_RESULT.DRIVER_BUSY };
+          }
+        }
+        
+        if (autoAccept && isDailyCapReached(driver, now)) {
+          return { status: ACCEPT_RESULT.DAILY_CAP };
+        }
+        
+        const acceptedRequest = {
+          ...request,
+          status: 'accepted',
+          assignedDriverId: driverId,
+          acceptedTime: now,
+          updatedAt: now
+        };
+        
+        const trip = activeTripService.createActiveTripInTransaction(
+          transaction,
+          acceptedRequest,
+          driverInfo,
+          now,
+          selectRateCard(rateCards, request.rideType)
+        );
+        
+        transaction.update(docRef, {
+          status: 'accepted',
+          assignedDriverId: driverId,
+          activeTripId: trip.id,
+          acceptedTime: now,
+          updatedAt: now
+        });
+        
+        transaction.update(driverRef, {
+          status: 'busy',
+          activeTripId: trip.id,
+          updatedAt: now
+        });
+        driverService.recordResponseInTransaction(transaction, driverId, RESPONSE_EVENT.ACCEPTED, now);
+        
+        if (autoAccept) {
+          autoAcceptService.recordAutoAcceptInTransaction(transaction, driverId, driver, now);
+        }
+        
+        if (isSequential) {
+          dispatchService.recordOfferOutcomeInTransaction(
+            transaction,
+            requestId,
+            driverId,
+            OFFER_OUTCOME.ACCEPTED,
+            now
+          );
+        }
+        
+        return {
+          status: ACCEPT_RESULT.ACCEPTED,
+          request: { ...acceptedRequest, activeTripId: trip.id },
+          trip
+        };
+      });
+    } catch (error) {
+      console.error('Error accepting ride request:', error);
+      throw new Error(`Failed to accept ride request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decline a ride request for one driver
+   *
+   * Records the decline (and optional DECLINE_REASON) in the driver's
+   * declined_requests and the daily decline_stats, and hides the request from
+   * this driver's feed until it expires. A sequential offer is passed on to
+   * the next driver.
+   */
+  async declineRideRequest(request, driverId, reason = DECLINE_REASON.UNSPECIFIED, driverLocation = null) {
+    try {
       const now = new Date();
+      const declineReason = reason || DECLINE_REASON.UNSPECIFIED;
+      this.declinedRequestIds.add(request.id);
       
-      await updateDoc(docRef, {
-        status: 'accepted',
-        assignedDriverId: driverId,
-        acceptedTime: now,
+      const isOffer = request.dispatch?.mode === DISPATCH_MODE.SEQUENTIAL &&
+        request.dispatch?.currentOffer?.driverId === driverId;
+      if (isOffer) {
+        // Counts the decline in the driver's response stats itself
+        await dispatchService.declineOffer(request.id, driverId, declineReason);
+      }
+      
+      const batch = writeBatch(db);
+      const declinedRef = doc(db, DRIVERS_COLLECTION, driverId, DECLINED_COLLECTION, request.id);
+      const date = getDateKey(now, 'UTC');
+      const rideType = request.rideType || 'standard';
+      
+      batch.set(declinedRef, {
+        requestId: request.id,
+        reason: declineReason,
+        rideType,
+        estimatedFare: request.estimatedFare || 0,
+        pickupDistanceKm: driverLocation && request.pickupLocation ? Math.round(calculateDistance(
+          driverLocation.latitude,
+          driverLocation.longitude,
+          request.pickupLocation.latitude,
+          request.pickupLocation.longitude
+        ) * 100) / 100 : null,
+        requestExpiresAt: request.expiresAt ? toDate(request.expiresAt) : now,
+        declinedAt: now
+      });
+      
+      batch.set(doc(db, DECLINE_STATS_COLLECTION, date), {
+        date,
+        total: increment(1),
+        reasons: { [declineReason]: increment(1) },
+        rideTypes: { [rideType]: increment(1) },
         updatedAt: now
+      }, { merge: true });
+      
+      if (!isOffer) {
+        driverService.recordResponseInTransaction(batch, driverId, RESPONSE_EVENT.DECLINED, now);
+      }
+      
+      await batch.commit();
+      return { requestId: request.id, reason: declineReason };
+    } catch (error) {
+      console.error('Error declining ride request:', error);
+      throw new Error(`Failed to decline ride request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the requests a driver has declined that have not expired yet
+   * so they stay out of the driver's feed after a restart
+   */
+  async loadDeclinedRequests(driverId) {
+    try {
+      const q = query(
+        collection(db, DRIVERS_COLLECTION, driverId, DECLINED_COLLECTION),
+        where('requestExpiresAt', '>', new Date())
+      );
+      
+      const querySnapshot = await getDocs(q);
+      this.declinedRequestIds = new Set(querySnapshot.docs.map(docSnap => docSnap.id));
+      return [...this.declinedRequestIds];
+    } catch (error) {
+      console.error('Error loading declined requests:', error);
+      throw new Error(`Failed to load declined requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sum decline reasons across drivers between two dates (inclusive, UTC days)
+   */
+  async getDeclineReasonSummary(startDate, endDate) {
+    try {
+      const q = query(
+        collection(db, DECLINE_STATS_COLLECTION),
+        where('date', '>=', getDateKey(startDate, 'UTC')),
+        where('date', '<=', getDateKey(endDate, 'UTC')),
+        orderBy('date')
+      );
+      
+      const querySnapshot = await getDocs(q);
+      const summary = { total: 0, reasons: {}, rideTypes: {}, days: [] };
+      
+      querySnapshot.docs.forEach(docSnap => {
+        const day = docSnap.data();
+        summary.total += day.total || 0;
+        Object.entries(day.reasons || {}).forEach(([reason, count]) => {
+          summary.reasons[reason] = (summary.reasons[reason] || 0) + count;
+        });
+        Object.entries(day.rideTypes || {}).forEach(([rideType, count]) => {
+          summary.rideTypes[rideType] = (summary.rideTypes[rideType] || 0) + count;
+        });
+        summary.days.push(day);
       });
       
-      return await this.getRideRequest(requestId);
+      return summary;
     } catch (error) {
-      console.error('Error accepting ride request:', error);
-      throw new Error(`Failed to accept ride request: ${error.message}`);
+      console.error('Error getting decline reason summary:', error);
+      throw new Error(`Failed to get decline reason summary: ${error.message}`);
     }
   }
 
@@ -190,49 +539,109 @@ class RideRequestService {
   }
 
   /**
-   * Listen to ride requests for a specific driver area
+   * Listen to ride requests matching the driver's location and request filters
+   *
+   * With a driver location, listens only to the geohash cells around the driver
+   * and re-scopes those listeners whenever locationService reports the driver
+   * has moved more than RESCOPE_DISTANCE_KM. Returns an unsubscribe function.
    */
-  subscribeToRideRequests(callback, driverLocation = null) {
+  subscribeToRideRequests(callback, driverLocation = null, filters = DEFAULT_REQUEST_FILTERS) {
     try {
-      const now = new Date();
-      const q = query(
-        this.collectionRef,
-        where('status', '==', 'pending'),
-        where('expiresAt', '>', now),
-        orderBy('expiresAt'),
-        orderBy('requestTime')
-      );
-      
-      return onSnapshot(q, (querySnapshot) => {
-        let requests = querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
+      if (!driverLocation) {
+        return this.subscribeToAllRideRequests(callback, filters);
+      }
+
+      const resolvedFilters = resolveFilters(filters);
+      let scopeLocation = driverLocation;
+      let snapshots = [];
+      let unsubscribers = [];
+
+      const emit = () => {
+        const now = new Date();
+        const requests = this.mergeSnapshots(snapshots.filter(Boolean))
+          .filter(request => !request.expiresAt || toDate(request.expiresAt) > now);
+        callback(this.filterRideRequests(requests, scopeLocation, resolvedFilters).sort(byRequestTime));
+      };
+
+      const stopListening = () => {
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        unsubscribers = [];
+      };
+
+      const scopeTo = (location) => {
+        stopListening();
+        scopeLocation = location;
+        const queries = this.buildNearbyQueries(location, resolvedFilters.maxPickupDistanceKm);
+        snapshots = queries.map(() => null);
+
+        unsubscribers = queries.map((q, index) => onSnapshot(q, (querySnapshot) => {
+          snapshots[index] = querySnapshot;
+          emit();
+        }, (error) => {
+          console.error('Error in ride requests subscription:', error);
+          callback([], error);
         }));
+      };
 
-        // Filter by location if provided
-        if (driverLocation) {
-          requests = requests.filter(request => {
-            const distance = this.calculateDistance(
-              driverLocation.latitude,
-              driverLocation.longitude,
-              request.pickupLocation.latitude,
-              request.pickupLocation.longitude
-            );
-            return distance <= 10; // 10km radius
-          });
-        }
+      scopeTo(driverLocation);
 
-        callback(requests);
-      }, (error) => {
-        console.error('Error in ride requests subscription:', error);
-        callback([], error);
+      const removeLocationListener = locationService.addLocationListener((location) => {
+        const moved = calculateDistance(
+          scopeLocation.latitude,
+          scopeLocation.longitude,
+          location.latitude,
+          location.longitude
+        );
+        if (moved > RESCOPE_DISTANCE_KM) {
+          scopeTo(location);
+        }
       });
+
+      return () => {
+        removeLocationListener();
+        stopListening();
+      };
     } catch (error) {
       console.error('Error setting up ride requests subscription:', error);
       throw new Error(`Failed to subscribe to ride requests: ${error.message}`);
     }
   }
 
+  /**
+   * Listen to every pending ride request, for when the driver location is unknown
+   */
+  subscribeToAllRideRequests(callback, filters = DEFAULT_REQUEST_FILTERS) {
+    const now = new Date();
+    const q = query(
+      this.collectionRef,
+      where('status', '==', 'pending'),
+      where('expiresAt', '>', now),
+      orderBy('expiresAt'),
+      orderBy('requestTime')
+    );
+
+    return onSnapshot(q, (querySnapshot) => {
+      callback(this.filterRideRequests(this.mergeSnapshots([querySnapshot]), null, filters));
+    }, (error) => {
+      console.error('Error in ride requests subscription:', error);
+      callback([], error);
+    });
+  }
+
+  /**
+   * Keep only the broadcast requests that pass a driver's request filters
+   * Requests in sequential dispatch reach drivers through dispatchService offers,
+   * and requests the driver declined stay hidden
+   */
+  filterRideRequests(requests, driverLocation = null, filters = DEFAULT_REQUEST_FILTERS) {
+    const resolvedFilters = resolveFilters(filters);
+    return requests.filter(request =>
+      request.dispatch?.mode !== DISPATCH_MODE.SEQUENTIAL &&
+      !this.declinedRequestIds.has(request.id) &&
+      matchesRequestFilters(request, resolvedFilters, driverLocation)
+    );
+  }
+
   /**
    * Listen to a specific ride request
    */
@@ -0,0 +1,342 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  Timestamp,
+  increment
+} from 'firebase/firestore';
+import { db } from '../../firebase.js';
+import earningsService from './earningsService.js';
+import { getDriverTimeZone } from './timeZoneUtils.js';
+
+/**
+ * Shift Sessions Collection Schema:
+ * Collection: shift_sessions
+ * {
+ *   id: string,
+ *   driverId: string,
+ *   status: string, // 'open', 'closed'
+ *   state: string, // 'online' (waiting for requests) or 'busy' (on a trip)
+ *   startedAt: timestamp,
+ *   endedAt: timestamp | null,
+ *   endReason: string | null, // 'offline', 'sign_out', 'app_closed', 'forced_break'
+ *   creditedUntil: timestamp, // minutes are counted up to here
+ *   availableMinutes: number, // online and waiting
+ *   busyMinutes: number, // on a trip
+ *   totalMinutes: number, // availableMinutes + busyMinutes
+ *   timeZone: string,
+ *   createdAt: timestamp,
+ *   updatedAt: timestamp
+ * }
+ *
+ * Minutes are credited to the session and to the daily earnings summaries
+ * (onlineTime / busyTime) on every heartbeat and status change, so a shift
+ * ended by the app being killed loses at most one heartbeat. The open session
+ * is closed at its last credited time the next time the app starts.
+ */
+
+const SHIFT_COLLECTION = 'shift_sessions';
+const DRIVERS_COLLECTION = 'drivers';
+const HEARTBEAT_INTERVAL_MS = 60000;
+
+export const SHIFT_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+export const SHIFT_STATE = {
+  ONLINE: 'online',
+  BUSY: 'busy'
+};
+
+export const SHIFT_END_REASON = {
+  OFFLINE: 'offline',
+  SIGN_OUT: 'sign_out',
+  APP_CLOSED: 'app_closed',
+  FORCED_BREAK: 'forced_break' // working time limit reached
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+class ShiftService {
+  constructor() {
+    this.shiftsRef = collection(db, SHIFT_COLLECTION);
+    this.activeShift = null; // { id, driverId } of the shift this app is tracking
+    this.heartbeat = null;
+  }
+
+  /**
+   * Get a driver's open shift, if any
+   */
+  async getOpenShift(driverId) {
+    try {
+      const q = query(
+        this.shiftsRef,
+        where('driverId', '==', driverId),
+        where('status', '==', SHIFT_STATUS.OPEN),
+        limit(1)
+      );
+      const querySnapshot = await getDocs(q);
+      if (querySnapshot.empty) return null;
+
+      const docSnap = querySnapshot.docs[0];
+      return { id: docSnap.id, ...docSnap.data() };
+    } catch (error) {
+      console.error('Error getting open shift:', error);
+      throw new Error(`Failed to get open shift: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a driver's shifts started since a date, oldest first
+   */
+  async getShifts(driverId, since) {
+    try {
+      const q = query(
+        this.shiftsRef,
+        where('driverId', '==', driverId),
+        where('startedAt', '>=', Timestamp.fromDate(since)),
+        orderBy('startedAt', 'asc')
+      );
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('Error getting shifts:', error);
+      throw new Error(`Failed to get shifts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a driver's shifts started since a date, plus their open shift however
+   * long ago it started, oldest first
+   * An unclosed shift is still being worked, so it counts towards working time
+   */
+  async getShiftsWorkedSince(driverId, since) {
+    try {
+      const [shifts, openShift] = await Promise.all([
+        this.getShifts(driverId, since),
+        this.getOpenShift(driverId)
+      ]);
+
+      if (!openShift || shifts.some(shift => shift.id === openShift.id)) {
+        return shifts;
+      }
+      return [openShift, ...shifts];
+    } catch (error) {
+      console.error('Error getting worked shifts:', error);
+      throw new Error(`Failed to get worked shifts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a shift when the driver goes online
+   */
+  async startShift(driverId, now = new Date()) {
+    try {
+      if (this.activeShift?.driverId === driverId) {
+        return this.activeShift;
+      }
+
+      // A shift left open by a killed app ends where it was last counted
+      await this.closeStaleShift(driverId);
+
+      const shiftRef = doc(this.shiftsRef);
+      const timestamp = Timestamp.fromDate(now);
+      await setDoc(shiftRef, {
+        driverId,
+        status: SHIFT_STATUS.OPEN,
+        state: SHIFT_STATE.ONLINE,
+        startedAt: timestamp,
+        endedAt: null,
+        endReason: null,
+        creditedUntil: timestamp,
+        availableMinutes: 0,
+        busyMinutes: 0,
+        totalMinutes: 0,
+        timeZone: await earningsService.resolveTimeZone(driverId),
+        createdAt: timestamp,
+        updatedAt: timestamp
+      });
+
+      this.activeShift = { id: shiftRef.id, driverId };
+      this.startHeartbeat();
+      return this.activeShift;
+    } catch (error) {
+      console.error('Error starting shift:', error);
+      throw new Error(`Failed to start shift: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick tracking back up when the app starts
+   *
+   * Closes a shift a previous run of the app left open, then opens a new one
+   * if the driver is still online.
+   */
+  async resumeShift(driverId, isOnline) {
+    try {
+      if (this.activeShift?.driverId === driverId) {
+        this.startHeartbeat();
+        return this.activeShift;
+      }
+
+      await this.closeStaleShift(driverId);
+      return isOnline ? await this.startShift(driverId) : null;
+    } catch (error) {
+      console.error('Error resuming shift:', error);
+      throw new Error(`Failed to resume shift: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close the shift when the driver goes offline or signs out
+   */
+  async endShift(driverId, reason = SHIFT_END_REASON.OFFLINE) {
+    try {
+      if (this.activeShift?.driverId === driverId) {
+        const shiftId = this.activeShift.id;
+        this.stopHeartbeat();
+        this.activeShift = null;
+        return await this.creditShift(shiftId, { endReason: reason });
+      }
+
+      return await this.closeStaleShift(driverId, reason);
+    } catch (error) {
+      console.error('Error ending shift:', error);
+      throw new Error(`Failed to end shift: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count time up to now and pick up the driver's current online/busy status
+   *
+   * Called after every driver status change; a no-op if this app isn't
+   * tracking a shift for the driver.
+   */
+  async syncShift(driverId) {
+    if (this.activeShift?.driverId !== driverId) return null;
+
+    try {
+      return await this.creditShift(this.activeShift.id);
+    } catch (error) {
+      console.error('Error syncing shift:', error);
+      throw new Error(`Failed to sync shift: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close an open shift this app isn't tracking, at its last credited time
+   */
+  async closeStaleShift(driverId, reason = SHIFT_END_REASON.APP_CLOSED) {
+    const openShift = await this.getOpenShift(driverId);
+    if (!openShift) return null;
+
+    return await this.creditShift(openShift.id, {
+      endReason: reason,
+      until: toDate(openShift.creditedUntil)
+    });
+  }
+
+  /**
+   * Credit the time since the last credit to the shift's current state
+   *
+   * The minutes go to the shift and, split at midnight, to the daily summaries
+   * in one transaction. The state for the next stretch is read from the
+   * driver's status, so a status change missed here is corrected on the next
+   * heartbeat.
+   */
+  async creditShift(shiftId, { endReason = null, until = new Date() } = {}) {
+    const shiftRef = doc(db, SHIFT_COLLECTION, shiftId);
+
+    return await runTransaction(db, async (transaction) => {
+      const shiftSnap = await transaction.get(shiftRef);
+      if (!shiftSnap.exists()) {
+        throw new Error('Shift not found');
+      }
+
+      const shift = shiftSnap.data();
+      if (shift.status !== SHIFT_STATUS.OPEN) {
+        return { id: shiftId, ...shift };
+      }
+
+      const driverSnap = await transaction.get(doc(db, DRIVERS_COLLECTION, shift.driverId));
+      const driverStatus = driverSnap.exists() ? driverSnap.data().status : null;
+      const timeZone = shift.timeZone || getDriverTimeZone(driverSnap.exists() ? driverSnap.data() : null);
+
+      const start = toDate(shift.creditedUntil);
+      const end = until > start ? until : start;
+      const isBusy = shift.state === SHIFT_STATE.BUSY;
+      const minutes = (end - start) / 60000;
+
+      await earningsService.recordOnlineTimeInTransaction(
+        transaction,
+        shift.driverId,
+        start,
+        end,
+        isBusy,
+        timeZone,
+        end
+      );
+
+      const update = {
+        state: driverStatus === 'busy' ? SHIFT_STATE.BUSY : SHIFT_STATE.ONLINE,
+        creditedUntil: Timestamp.fromDate(end),
+        availableMinutes: increment(isBusy ? 0 : minutes),
+        busyMinutes: increment(isBusy ? minutes : 0),
+        totalMinutes: increment(minutes),
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+      if (endReason) {
+        update.status = SHIFT_STATUS.CLOSED;
+        update.endedAt = Timestamp.fromDate(end);
+        update.endReason = endReason;
+      }
+
+      transaction.update(shiftRef, update);
+
+      return {
+        id: shiftId,
+        ...shift,
+        ...update,
+        availableMinutes: (shift.availableMinutes || 0) + (isBusy ? 0 : minutes),
+        busyMinutes: (shift.busyMinutes || 0) + (isBusy ? minutes : 0),
+        totalMinutes: (shift.totalMinutes || 0) + minutes
+      };
+    });
+  }
+
+  /**
+   * Credit the active shift every minute while the app runs
+   */
+  startHeartbeat() {
+    if (this.heartbeat || !this.activeShift) return;
+
+    this.heartbeat = setInterval(() => {
+      if (!this.activeShift) return;
+      this.creditShift(this.activeShift.id).catch(error => {
+        console.error('Error in shift heartbeat:', error);
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  /**
+   * Stop the heartbeat
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+export default new ShiftService();
@@ -0,0 +1,109 @@
+import * as FileSystem from 'expo-file-system';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import earningsService from './earningsService.js';
+import {
+  getStatementRange,
+  buildStatementRows,
+  summarizeStatement,
+  buildStatementCsv,
+  buildStatementHtml
+} from './earningsStatement.js';
+
+/**
+ * Statement Service
+ * Builds earnings statements for a date range, writes them to CSV or PDF files
+ * in the cache directory and hands them to the native share sheet, so drivers
+ * can send them to an accountant, email or files app.
+ */
+
+// A4 landscape in points, so every trip column fits across the page
+const PDF_PAGE = { width: 842, height: 595 };
+
+class StatementService {
+  /**
+   * Build a driver's statement for a range of days (YYYY-MM-DD, inclusive)
+   */
+  async getStatement(driverId, startKey, endKey, driverName = null) {
+    try {
+      const timeZone = await earningsService.resolveTimeZone(driverId);
+      const { start, end } = getStatementRange(startKey, endKey, timeZone);
+      const earnings = await earningsService.getEarnings(driverId, start, end, null);
+      const rows = buildStatementRows(earnings, timeZone);
+
+      return {
+        driverName,
+        timeZone,
+        startKey,
+        endKey,
+        rows,
+        totals: summarizeStatement(rows),
+        generatedAt: new Date()
+      };
+    } catch (error) {
+      console.error('Error building statement:', error);
+      throw new Error(`Failed to build statement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the file name (without extension) for a statement
+   */
+  getFileName(statement) {
+    return `gqcars-earnings-${statement.startKey}-to-${statement.endKey}`;
+  }
+
+  /**
+   * Open the share sheet for a file, if this device can share files
+   */
+  async shareFile(uri, mimeType, UTI, dialogTitle) {
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device');
+    }
+    await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle });
+    return uri;
+  }
+
+  /**
+   * Write the statement's trips to a CSV file and share it
+   * Returns the file's URI
+   */
+  async shareCsv(statement) {
+    try {
+      const uri = `${FileSystem.cacheDirectory}${this.getFileName(statement)}.csv`;
+      await FileSystem.writeAsStringAsync(uri, buildStatementCsv(statement.rows), {
+        encoding: FileSystem.EncodingType.UTF8
+      });
+
+      return await this.shareFile(uri, 'text/csv', 'public.comma-separated-values-text', 'Share earnings CSV');
+    } catch (error) {
+      console.error('Error sharing CSV statement:', error);
+      throw new Error(`Failed to share CSV statement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Print the statement to a PDF file and share it
+   * Returns the file's URI
+   */
+  async sharePdf(statement) {
+    try {
+      const { uri: printedUri } = await Print.printToFileAsync({
+        html: buildStatementHtml(statement),
+        ...PDF_PAGE
+      });
+
+      // Give the file a name the driver will recognise once it's shared
+      const uri = `${FileSystem.cacheDirectory}${this.getFileName(statement)}.pdf`;
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+      await FileSystem.moveAsync({ from: printedUri, to: uri });
+
+      return await this.shareFile(uri, 'application/pdf', 'com.adobe.pdf', 'Share earnings statement');
+    } catch (error) {
+      console.error('Error sharing PDF statement:', error);
+      throw new Error(`Failed to share PDF statement: ${error.message}`);
+    }
+  }
+}
+
+export default new StatementService();
@@ -0,0 +1,233 @@
+/**
+ * Time Zone Utilities
+ * Day, week and month boundaries computed in a driver's IANA time zone
+ * (e.g. 'Europe/London') rather than the device or UTC.
+ *
+ * Boundaries are returned as real instants (Date objects), so a day that
+ * crosses a DST change is 23 or 25 hours long.
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+// Common choices offered in ProfileScreen, alongside the device time zone
+export const TIME_ZONE_OPTIONS = [
+  'Europe/London',
+  'Europe/Dublin',
+  'Europe/Paris',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+  'Asia/Dubai',
+  'Australia/Sydney',
+  'UTC'
+];
+
+const formatterCache = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+  }
+  return formatterCache[timeZone];
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the device's time zone
+ * @returns {string} IANA time zone name
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+  } catch (error) {
+    return DEFAULT_TIME_ZONE;
+  }
+};
+
+/**
+ * Check whether a string is a time zone Intl understands
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if usable
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Resolve the time zone to use for a driver
+ * @param {Object} driverProfile - Driver profile (may be null)
+ * @returns {string} The profile's time zone, or the device's
+ */
+export const getDriverTimeZone = (driverProfile) => {
+  const timeZone = driverProfile?.timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : getDeviceTimeZone();
+};
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in minutes (e.g. 60 for BST)
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - wholeSeconds) / 60000);
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ *
+ * Out-of-range fields roll over (day 32 is the 1st of next month). Times that
+ * fall in a DST gap resolve to the same wall time after the clocks change.
+ * @returns {Date} Instant
+ */
+export const zonedTimeToDate = (year, month, day, hour = 0, minute = 0, second = 0, timeZone = DEFAULT_TIME_ZONE) => {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = wallTime - getTimeZoneOffset(new Date(wallTime), timeZone) * 60000;
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  return new Date(wallTime - offset * 60000);
+};
+
+/**
+ * Get the calendar day of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Get the start of the day containing an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} dayOffset - Days to move forward or back
+ * @returns {Date} Midnight in the time zone
+ */
+export const startOfDay = (date, timeZone, dayOffset = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToDate(year, month, day + dayOffset, 0, 0, 0, timeZone);
+};
+
+/**
+ * Get the last millisecond of the day containing an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} End of day in the time zone
+ */
+export const endOfDay = (date, timeZone) => {
+  return new Date(startOfDay(date, timeZone, 1).getTime() - 1);
+};
+
+/**
+ * Get the start of the week containing an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} weekStartsOn - 0 for Sunday, 1 for Monday
+ * @returns {Date} Midnight on the first day of the week
+ */
+export const startOfWeek = (date, timeZone, weekStartsOn = 0) => {
+  const { weekday } = getZonedParts(date, timeZone);
+  const daysSinceStart = (weekday - weekStartsOn + 7) % 7;
+  return startOfDay(date, timeZone, -daysSinceStart);
+};
+
+/**
+ * Get the start of a calendar month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11, like Date#getMonth)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Midnight on the 1st
+ */
+export const startOfMonth = (year, month, timeZone) => {
+  return zonedTimeToDate(year, month + 1, 1, 0, 0, 0, timeZone);
+};
+
+/**
+ * Get the start of the last day of a calendar month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Midnight on the last day of the month
+ */
+export const lastDayOfMonth = (year, month, timeZone) => {
+  return zonedTimeToDate(year, month + 2, 0, 0, 0, 0, timeZone);
+};
+
+/**
+ * Format an instant's time of day in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} e.g. "09:45"
+ */
+export const formatTimeOfDay = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+/**
+ * Split a time range at each midnight in a time zone
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Array} [{ date, minutes }] one entry per day touched, date being where that day's part starts
+ */
+export const splitByDay = (start, end, timeZone) => {
+  const pieces = [];
+  let pieceStart = start;
+
+  while (pieceStart < end) {
+    const nextMidnight = startOfDay(pieceStart, timeZone, 1);
+    const pieceEnd = nextMidnight < end ? nextMidnight : end;
+    pieces.push({ date: pieceStart, minutes: (pieceEnd - pieceStart) / 60000 });
+    pieceStart = pieceEnd;
+  }
+
+  return pieces;
+};
\ No newline at end of file
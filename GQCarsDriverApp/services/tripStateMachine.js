@@ -0,0 +1,68 @@
+/**
+ * Trip Lifecycle State Machine
+ * Defines the legal status transitions for active trips:
+ *
+ * assigned → en_route_pickup → arrived_pickup → passenger_onboard → en_route_dropoff → completed
+ *
+ * Any in-progress trip can be cancelled, and a trip waiting at pickup can be
+ * closed as a passenger no-show. completed, cancelled and no_show are terminal.
+ */
+
+export const TRIP_STATUS = {
+  ASSIGNED: 'assigned',
+  EN_ROUTE_PICKUP: 'en_route_pickup',
+  ARRIVED_PICKUP: 'arrived_pickup',
+  PASSENGER_ONBOARD: 'passenger_onboard',
+  EN_ROUTE_DROPOFF: 'en_route_dropoff',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show'
+};
+
+export const TRIP_TRANSITIONS = {
+  [TRIP_STATUS.ASSIGNED]: [TRIP_STATUS.EN_ROUTE_PICKUP, TRIP_STATUS.CANCELLED],
+  [TRIP_STATUS.EN_ROUTE_PICKUP]: [TRIP_STATUS.ARRIVED_PICKUP, TRIP_STATUS.CANCELLED],
+  [TRIP_STATUS.ARRIVED_PICKUP]: [TRIP_STATUS.PASSENGER_ONBOARD, TRIP_STATUS.NO_SHOW, TRIP_STATUS.CANCELLED],
+  [TRIP_STATUS.PASSENGER_ONBOARD]: [TRIP_STATUS.EN_ROUTE_DROPOFF, TRIP_STATUS.CANCELLED],
+  [TRIP_STATUS.EN_ROUTE_DROPOFF]: [TRIP_STATUS.COMPLETED, TRIP_STATUS.CANCELLED],
+  [TRIP_STATUS.COMPLETED]: [],
+  [TRIP_STATUS.CANCELLED]: [],
+  [TRIP_STATUS.NO_SHOW]: []
+};
+
+// Statuses where the trip is still in progress
+export const ACTIVE_TRIP_STATUSES = [
+  TRIP_STATUS.ASSIGNED,
+  TRIP_STATUS.EN_ROUTE_PICKUP,
+  TRIP_STATUS.ARRIVED_PICKUP,
+  TRIP_STATUS.PASSENGER_ONBOARD,
+  TRIP_STATUS.EN_ROUTE_DROPOFF
+];
+
+/**
+ * Get the statuses a trip may move to next
+ * @param {string} status - Current trip status
+ * @returns {Array} Allowed next statuses
+ */
+export const getAllowedTransitions = (status) => {
+  return TRIP_TRANSITIONS[status] || [];
+};
+
+/**
+ * Check whether a trip may move from one status to another
+ * @param {string} fromStatus - Current trip status
+ * @param {string} toStatus - Requested trip status
+ * @returns {boolean} True if the transition is legal
+ */
+export const canTransition = (fromStatus, toStatus) => {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+};
+
+/**
+ * Check whether a status ends the trip
+ * @param {string} status - Trip status
+ * @returns {boolean} True for completed, cancelled and no-show trips
+ */
+export const isTerminalStatus = (status) => {
+  return status in TRIP_TRANSITIONS && getAllowedTransitions(status).length === 0;
+};
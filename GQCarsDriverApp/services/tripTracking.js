@@ -0,0 +1,168 @@
+import {
+  calculateDistance,
+  encodePolyline,
+  decodePolyline
+} from '../shared/components/Map/mapUtils.js';
+import { TRIP_STATUS } from './tripStateMachine.js';
+
+/**
+ * Trip Breadcrumb Tracking
+ * Builds a trip's GPS trail from location updates, split into the pickup leg
+ * (driving to the passenger, unpaid) and the paid leg (passenger onboard).
+ *
+ * Fixes are dropped when:
+ * - accuracy is worse than maxAccuracyMeters
+ * - the move from the last kept point is within the fix's accuracy radius
+ *   (or minDistanceMeters), which is GPS jitter while stopped
+ * - the implied speed from the last kept point exceeds maxSpeedKmh
+ */
+
+export const TRIP_LEG = {
+  PICKUP: 'pickup',
+  PAID: 'paid'
+};
+
+export const BREADCRUMB_FILTER = {
+  maxAccuracyMeters: 50,
+  minDistanceMeters: 10,
+  maxSpeedKmh: 200
+};
+
+const toMillis = (value) => (value?.toDate ? value.toDate() : new Date(value)).getTime();
+
+/**
+ * Get the leg a trip status belongs to
+ * @param {string} status - Trip status
+ * @returns {string|null} TRIP_LEG value, or null once the trip is over
+ */
+export const getLegForStatus = (status) => {
+  switch (status) {
+    case TRIP_STATUS.ASSIGNED:
+    case TRIP_STATUS.EN_ROUTE_PICKUP:
+    case TRIP_STATUS.ARRIVED_PICKUP:
+      return TRIP_LEG.PICKUP;
+    case TRIP_STATUS.PASSENGER_ONBOARD:
+    case TRIP_STATUS.EN_ROUTE_DROPOFF:
+      return TRIP_LEG.PAID;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether a GPS fix should be added to the trail
+ * @param {Object|null} previous - Last kept point
+ * @param {Object} point - New fix {latitude, longitude, accuracy, timestamp}
+ * @param {Object} filter - Thresholds (defaults to BREADCRUMB_FILTER)
+ * @returns {boolean} True if the fix is kept
+ */
+export const shouldKeepBreadcrumb = (previous, point, filter = BREADCRUMB_FILTER) => {
+  if (point.accuracy && point.accuracy > filter.maxAccuracyMeters) {
+    return false;
+  }
+  if (!previous) {
+    return true;
+  }
+
+  const distanceMeters = calculateDistance(
+    previous.latitude,
+    previous.longitude,
+    point.latitude,
+    point.longitude
+  ) * 1000;
+  if (distanceMeters < Math.max(filter.minDistanceMeters, point.accuracy || 0)) {
+    return false;
+  }
+
+  const elapsedHours = (toMillis(point.timestamp) - toMillis(previous.timestamp)) / 3600000;
+  if (elapsedHours > 0 && (distanceMeters / 1000) / elapsedHours > filter.maxSpeedKmh) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Create an empty tracking state, or resume one saved on a trip
+ * @param {Object} saved - trip.tracking (optional)
+ * @returns {Object} Tracking state with decoded points per leg
+ */
+export const createTrackingState = (saved = null) => {
+  const restoreLeg = (leg) => ({
+    points: leg?.polyline ? decodePolyline(leg.polyline) : [],
+    distance: leg?.distance || 0
+  });
+
+  return {
+    legs: {
+      [TRIP_LEG.PICKUP]: restoreLeg(saved?.pickupLeg),
+      [TRIP_LEG.PAID]: restoreLeg(saved?.paidLeg)
+    },
+    lastPoint: saved?.lastPoint || null,
+    rejectedCount: saved?.rejectedCount || 0
+  };
+};
+
+/**
+ * Add a GPS fix to a tracking state
+ * @param {Object} state - Tracking state (mutated)
+ * @param {Object} point - GPS fix
+ * @param {string} legName - TRIP_LEG value
+ * @returns {boolean} True if the fix was kept
+ */
+export const addBreadcrumb = (state, point, legName) => {
+  if (!shouldKeepBreadcrumb(state.lastPoint, point)) {
+    state.rejectedCount += 1;
+    return false;
+  }
+
+  const leg = state.legs[legName];
+  const previous = leg.points[leg.points.length - 1];
+  if (previous) {
+    leg.distance += calculateDistance(
+      previous.latitude,
+      previous.longitude,
+      point.latitude,
+      point.longitude
+    );
+  } else if (legName === TRIP_LEG.PAID && state.lastPoint) {
+    // The paid leg starts where the pickup leg ended
+    leg.points.push({ latitude: state.lastPoint.latitude, longitude: state.lastPoint.longitude });
+    leg.distance += calculateDistance(
+      state.lastPoint.latitude,
+      state.lastPoint.longitude,
+      point.latitude,
+      point.longitude
+    );
+  }
+
+  leg.points.push({ latitude: point.latitude, longitude: point.longitude });
+  state.lastPoint = {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    accuracy: point.accuracy || null,
+    timestamp: new Date(toMillis(point.timestamp || Date.now()))
+  };
+  return true;
+};
+
+/**
+ * Convert a tracking state to the compressed form stored on the trip
+ * @param {Object} state - Tracking state
+ * @returns {Object} trip.tracking
+ */
+export const serializeTracking = (state) => {
+  const serializeLeg = (leg) => ({
+    distance: Math.round(leg.distance * 1000) / 1000, // km, to the metre
+    pointCount: leg.points.length,
+    polyline: encodePolyline(leg.points)
+  });
+
+  return {
+    pickupLeg: serializeLeg(state.legs[TRIP_LEG.PICKUP]),
+    paidLeg: serializeLeg(state.legs[TRIP_LEG.PAID]),
+    lastPoint: state.lastPoint,
+    rejectedCount: state.rejectedCount,
+    updatedAt: new Date()
+  };
+};
@@ -0,0 +1,207 @@
+import { getDateKey } from './timeZoneUtils.js';
+
+/**
+ * Working Time Rules
+ * Limits on how long a driver may work, evaluated from their shift sessions.
+ *
+ * - Continuous driving: time online since the last break of at least
+ *   minBreakMinutes. Shorter gaps don't reset it but aren't counted either.
+ * - Daily hours: time online in the rolling last 24 hours, so going offline
+ *   at midnight doesn't reset it.
+ *
+ * Hitting either limit puts the driver on a break: they can't go online until
+ * blockedUntil.
+ */
+
+export const DEFAULT_WORKING_TIME_RULES = {
+  maxContinuousMinutes: 270, // 4.5 hours
+  minBreakMinutes: 45,
+  maxDailyMinutes: 600, // 10 hours in any 24
+  warningMinutes: 30 // warn this long before either limit
+};
+
+export const WORKING_TIME_STATUS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  BREAK_REQUIRED: 'break_required',
+  DAILY_LIMIT: 'daily_limit'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+/**
+ * Turn shift sessions into worked time ranges
+ * @param {Array} shifts - Shift sessions (open ones run until now)
+ * @param {Date} now - Current time
+ * @returns {Array} [{ start, end, shift }] sorted by start
+ */
+export const getWorkIntervals = (shifts, now = new Date()) => {
+  return shifts
+    .map(shift => ({
+      start: toDate(shift.startedAt),
+      end: shift.endedAt ? toDate(shift.endedAt) : now,
+      shift
+    }))
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Minutes of a range that fall inside a window
+ * @returns {number} Overlap in minutes
+ */
+const overlapMinutes = (interval, windowStart, windowEnd) => {
+  const start = Math.max(interval.start.getTime(), windowStart.getTime());
+  const end = Math.min(interval.end.getTime(), windowEnd.getTime());
+  return Math.max(0, end - start) / MINUTE_MS;
+};
+
+/**
+ * Find when enough of the rolling window's work drops out to be under the limit
+ * @param {Array} intervals - Work intervals, sorted by start
+ * @param {Date} windowStart - Start of the rolling 24 hours
+ * @param {number} excessMinutes - Minutes over the daily limit
+ * @returns {Date} Time the driver may go back online
+ */
+export const getDailyLimitEnd = (intervals, windowStart, excessMinutes) => {
+  let remaining = excessMinutes;
+
+  for (const interval of intervals) {
+    const start = Math.max(interval.start.getTime(), windowStart.getTime());
+    const minutes = overlapMinutes(interval, windowStart, interval.end);
+    if (minutes <= 0) continue;
+
+    if (minutes >= remaining) {
+      return new Date(start + remaining * MINUTE_MS + DAY_MS);
+    }
+    remaining -= minutes;
+  }
+
+  return new Date(windowStart.getTime() + 2 * DAY_MS);
+};
+
+/**
+ * Evaluate a driver's working time against the rules
+ * @param {Array} shifts - Shift sessions covering at least the last 24 hours
+ * @param {Object} rules - Working time rules (see DEFAULT_WORKING_TIME_RULES)
+ * @param {Date} now - Current time
+ * @returns {Object} { status, canGoOnline, continuousMinutes, dailyMinutes,
+ *   minutesUntilBreak, minutesUntilDailyLimit, nextLimit, blockedUntil }
+ */
+export const evaluateWorkingTime = (shifts, rules = DEFAULT_WORKING_TIME_RULES, now = new Date()) => {
+  const intervals = getWorkIntervals(shifts, now);
+  const windowStart = new Date(now.getTime() - DAY_MS);
+  const minBreakMs = rules.minBreakMinutes * MINUTE_MS;
+
+  const dailyMinutes = intervals.reduce(
+    (total, interval) => total + overlapMinutes(interval, windowStart, now),
+    0
+  );
+
+  // Walk back from the latest shift until a long enough break
+  let continuousMinutes = 0;
+  const lastEnd = intervals.length ? intervals[intervals.length - 1].end : null;
+  if (lastEnd && now - lastEnd < minBreakMs) {
+    for (let i = intervals.length - 1; i >= 0; i--) {
+      if (i < intervals.length - 1 && intervals[i + 1].start - intervals[i].end >= minBreakMs) {
+        break;
+      }
+      continuousMinutes += (intervals[i].end - intervals[i].start) / MINUTE_MS;
+    }
+  }
+
+  const minutesUntilBreak = rules.maxContinuousMinutes - continuousMinutes;
+  const minutesUntilDailyLimit = rules.maxDailyMinutes - dailyMinutes;
+  const nextLimit = minutesUntilBreak <= minutesUntilDailyLimit ? 'break' : 'daily';
+
+  let status = WORKING_TIME_STATUS.OK;
+  let blockedUntil = null;
+
+  if (minutesUntilDailyLimit <= 0) {
+    status = WORKING_TIME_STATUS.DAILY_LIMIT;
+    blockedUntil = getDailyLimitEnd(intervals, windowStart, -minutesUntilDailyLimit);
+  } else if (minutesUntilBreak <= 0) {
+    status = WORKING_TIME_STATUS.BREAK_REQUIRED;
+    blockedUntil = new Date(lastEnd.getTime() + minBreakMs);
+  } else if (Math.min(minutesUntilBreak, minutesUntilDailyLimit) <= rules.warningMinutes) {
+    status = WORKING_TIME_STATUS.WARNING;
+  }
+
+  return {
+    status,
+    canGoOnline: !blockedUntil,
+    continuousMinutes,
+    dailyMinutes,
+    minutesUntilBreak: Math.max(0, minutesUntilBreak),
+    minutesUntilDailyLimit: Math.max(0, minutesUntilDailyLimit),
+    nextLimit,
+    blockedUntil
+  };
+};
+
+/**
+ * Build a per-day log of shifts and breaks, newest day first
+ * @param {Array} shifts - Shift sessions
+ * @param {Object} rules - Working time rules
+ * @param {string} timeZone - Driver's time zone for day grouping
+ * @param {Date} now - Current time
+ * @returns {Array} [{ dateKey, shifts, breaks, workedMinutes, busyMinutes,
+ *   longestStretchMinutes, forcedBreaks, overLimit }]
+ */
+export const buildWorkingTimeLog = (shifts, rules, timeZone, now = new Date()) => {
+  const intervals = getWorkIntervals(shifts, now);
+  const minBreakMs = rules.minBreakMinutes * MINUTE_MS;
+  const days = {};
+  let stretchMinutes = 0;
+
+  intervals.forEach((interval, index) => {
+    const dateKey = getDateKey(interval.start, timeZone);
+    if (!days[dateKey]) {
+      days[dateKey] = {
+        dateKey,
+        shifts: [],
+        breaks: [],
+        workedMinutes: 0,
+        busyMinutes: 0,
+        longestStretchMinutes: 0,
+        forcedBreaks: 0,
+        overLimit: false
+      };
+    }
+    const day = days[dateKey];
+    const minutes = (interval.end - interval.start) / MINUTE_MS;
+
+    const previous = intervals[index - 1];
+    if (previous) {
+      const gap = interval.start - previous.end;
+      if (gap >= minBreakMs) {
+        day.breaks.push({ start: previous.end, end: interval.start, minutes: gap / MINUTE_MS });
+        stretchMinutes = 0;
+      }
+    }
+    stretchMinutes += minutes;
+
+    day.shifts.push({
+      id: interval.shift.id,
+      start: interval.start,
+      end: interval.shift.endedAt ? interval.end : null,
+      minutes,
+      busyMinutes: interval.shift.busyMinutes || 0,
+      endReason: interval.shift.endReason || null
+    });
+    day.workedMinutes += minutes;
+    day.busyMinutes += interval.shift.busyMinutes || 0;
+    day.longestStretchMinutes = Math.max(day.longestStretchMinutes, stretchMinutes);
+    if (interval.shift.endReason === 'forced_break') {
+      day.forcedBreaks += 1;
+    }
+    day.overLimit = day.overLimit ||
+      day.longestStretchMinutes > rules.maxContinuousMinutes ||
+      day.workedMinutes > rules.maxDailyMinutes;
+  });
+
+  return Object.values(days).sort((a, b) => (a.dateKey < b.dateKey ? 1 : -1));
+};
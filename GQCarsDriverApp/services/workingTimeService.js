@@ -0,0 +1,203 @@
+import {
+  doc,
+  getDoc
+} from 'firebase/firestore';
+import { db } from '../../firebase.js';
+import shiftService from './shiftService.js';
+import earningsService from './earningsService.js';
+import notificationService from './notificationService.js';
+import {
+  DEFAULT_WORKING_TIME_RULES,
+  WORKING_TIME_STATUS,
+  evaluateWorkingTime,
+  buildWorkingTimeLog
+} from './workingTimeRules.js';
+
+/**
+ * Working Time Rules Collection Schema:
+ * Collection: working_time_rules
+ * {
+ *   id: string (document ID - 'default'),
+ *   maxContinuousMinutes: number,
+ *   minBreakMinutes: number,
+ *   maxDailyMinutes: number,
+ *   warningMinutes: number,
+ *   updatedAt: timestamp
+ * }
+ *
+ * Any field missing from Firestore falls back to DEFAULT_WORKING_TIME_RULES.
+ * Drivers can read the rules but not change them.
+ */
+
+const COLLECTION_NAME = 'working_time_rules';
+const RULES_DOC_ID = 'default';
+const RULES_CACHE_MS = 10 * 60 * 1000;
+const MONITOR_INTERVAL_MS = 60000;
+const LOOKBACK_MS = 48 * 60 * 60 * 1000; // covers the rolling 24h and the break before it
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WorkingTimeService {
+  constructor() {
+    this.rulesRef = doc(db, COLLECTION_NAME, RULES_DOC_ID);
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.status = null; // last evaluation, see evaluateWorkingTime
+    this.listeners = [];
+    this.monitor = null;
+    this.monitoredDriverId = null;
+    this.alertedStage = null; // warning/break stage already notified
+  }
+
+  /**
+   * Get the working time rules, cached for a few minutes
+   */
+  async getRules(forceRefresh = false) {
+    const isFresh = this.rules && Date.now() - this.rulesLoadedAt < RULES_CACHE_MS;
+    if (isFresh && !forceRefresh) {
+      return this.rules;
+    }
+
+    try {
+      const docSnap = await getDoc(this.rulesRef);
+      this.rules = {
+        ...DEFAULT_WORKING_TIME_RULES,
+        ...(docSnap.exists() ? docSnap.data() : {})
+      };
+      this.rulesLoadedAt = Date.now();
+      return this.rules;
+    } catch (error) {
+      console.error('Error loading working time rules:', error);
+      // Keep enforcing with the last known (or default) rules
+      return this.rules || DEFAULT_WORKING_TIME_RULES;
+    }
+  }
+
+  /**
+   * Evaluate a driver's working time against the rules
+   */
+  async evaluate(driverId, now = new Date()) {
+    try {
+      const [rules, shifts] = await Promise.all([
+        this.getRules(),
+        shiftService.getShiftsWorkedSince(driverId, new Date(now.getTime() - LOOKBACK_MS))
+      ]);
+
+      const status = {
+        ...evaluateWorkingTime(shifts, rules, now),
+        rules
+      };
+      this.status = status;
+      this.notifyListeners(status);
+      return status;
+    } catch (error) {
+      console.error('Error evaluating working time:', error);
+      throw new Error(`Failed to evaluate working time: ${error.message}`);
+    }
+  }
+
+  /**
+   * Subscribe to working time status updates
+   * Returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    if (this.status) {
+      listener(this.status);
+    }
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify working time listeners
+   */
+  notifyListeners(status) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('Error in working time listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Re-evaluate every minute while the driver is online
+   */
+  startMonitoring(driverId) {
+    if (this.monitor && this.monitoredDriverId === driverId) return;
+
+    this.stopMonitoring();
+    this.monitoredDriverId = driverId;
+    this.checkWorkingTime();
+    this.monitor = setInterval(() => this.checkWorkingTime(), MONITOR_INTERVAL_MS);
+  }
+
+  /**
+   * Stop monitoring
+   */
+  stopMonitoring() {
+    if (this.monitor) {
+      clearInterval(this.monitor);
+      this.monitor = null;
+    }
+    this.monitoredDriverId = null;
+  }
+
+  /**
+   * Evaluate the monitored driver and send any due warning
+   */
+  async checkWorkingTime() {
+    if (!this.monitoredDriverId) return;
+
+    try {
+      const status = await this.evaluate(this.monitoredDriverId);
+      await this.sendAlerts(status);
+    } catch (error) {
+      console.error('Error checking working time:', error);
+    }
+  }
+
+  /**
+   * Send each warning or break notification once per stage
+   */
+  async sendAlerts(status) {
+    if (status.status === WORKING_TIME_STATUS.OK) {
+      this.alertedStage = null;
+      return;
+    }
+
+    const stage = `${status.status}:${status.nextLimit}`;
+    if (stage === this.alertedStage) return;
+    this.alertedStage = stage;
+
+    if (status.status === WORKING_TIME_STATUS.WARNING) {
+      const minutesLeft = Math.ceil(Math.min(status.minutesUntilBreak, status.minutesUntilDailyLimit));
+      await notificationService.showWorkingTimeWarning(minutesLeft, status.nextLimit);
+    } else {
+      await notificationService.showBreakRequired(status.blockedUntil);
+    }
+  }
+
+  /**
+   * Get a driver's day-by-day shift and break log for the last few weeks
+   */
+  async getWorkingTimeLog(driverId, days = 28, now = new Date()) {
+    try {
+      const [rules, shifts, timeZone] = await Promise.all([
+        this.getRules(),
+        shiftService.getShiftsWorkedSince(driverId, new Date(now.getTime() - days * DAY_MS)),
+        earningsService.resolveTimeZone(driverId)
+      ]);
+
+      return buildWorkingTimeLog(shifts, rules, timeZone, now);
+    } catch (error) {
+      console.error('Error getting working time log:', error);
+      throw new Error(`Failed to get working time log: ${error.message}`);
+    }
+  }
+}
+
+export default new WorkingTimeService();
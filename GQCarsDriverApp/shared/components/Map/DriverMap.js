@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, Alert } from 'react-native';
 import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
-import { colors } from '../../theme';
+import { useTheme, useThemedStyles } from '../../theme';
 import locationService from '../../../services/locationService';
 
 /**
@@ -20,6 +20,8 @@ const DriverMap = ({
   showTraffic = false,
   style,
 }) => {
+  const { colors, isDark, mapStyle } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const mapRef = useRef(null);
   const [region, setRegion] = useState(null);
   const [route, setRoute] = useState([]);
@@ -126,6 +128,8 @@ const DriverMap = ({
         ref={mapRef}
         style={styles.map}
         provider={PROVIDER_GOOGLE}
+        customMapStyle={mapStyle}
+        userInterfaceStyle={isDark ? 'dark' : 'light'}
         initialRegion={region}
         region={region}
         showsUserLocation={true}
@@ -206,7 +210,7 @@ const DriverMap = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
   },
@@ -0,0 +1,94 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import MapView, { Polygon, PROVIDER_GOOGLE } from 'react-native-maps';
+import { useTheme, useThemedStyles } from '../../theme';
+import { getRegionForCoordinates } from './mapUtils';
+
+/**
+ * Turn a #RRGGBB colour into rgba with the given opacity
+ */
+const withAlpha = (hex, alpha) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+/**
+ * EarningsHeatmap Component
+ * Shades each pickup zone by how much the driver has earned from it
+ */
+const EarningsHeatmap = ({ zones = [], style }) => {
+  const { colors, isDark, mapStyle } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const region = getRegionForCoordinates(
+    zones.flatMap(zone => [
+      { latitude: zone.south, longitude: zone.west },
+      { latitude: zone.north, longitude: zone.east }
+    ])
+  );
+
+  if (!region) {
+    return (
+      <View style={[styles.container, styles.emptyContainer, style]}>
+        <Text style={styles.emptyText}>Complete a few trips to see your best pickup zones</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, style]}>
+      <MapView
+        style={styles.map}
+        provider={PROVIDER_GOOGLE}
+        customMapStyle={mapStyle}
+        userInterfaceStyle={isDark ? 'dark' : 'light'}
+        initialRegion={region}
+        mapType="standard"
+        toolbarEnabled={false}
+        rotateEnabled={false}
+      >
+        {zones.map(zone => (
+          <Polygon
+            key={zone.key}
+            coordinates={[
+              { latitude: zone.south, longitude: zone.west },
+              { latitude: zone.north, longitude: zone.west },
+              { latitude: zone.north, longitude: zone.east },
+              { latitude: zone.south, longitude: zone.east }
+            ]}
+            fillColor={withAlpha(colors.driver.earnings, 0.15 + zone.intensity * 0.6)}
+            strokeColor={withAlpha(colors.driver.earnings, 0.8)}
+            strokeWidth={1}
+          />
+        ))}
+      </MapView>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    height: 240,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+
+  map: {
+    flex: 1,
+  },
+
+  emptyContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+    padding: 16,
+  },
+
+  emptyText: {
+    fontSize: 14,
+    color: colors.text.secondary,
+    textAlign: 'center',
+  },
+});
+
+export default EarningsHeatmap;
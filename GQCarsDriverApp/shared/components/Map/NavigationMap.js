@@ -3,7 +3,7 @@ import { View, StyleSheet, Text, Alert, Linking } from 'react-native';
 import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
 import { Button } from '../ui';
-import { colors, spacing, typography } from '../../theme';
+import { spacing, typography, useTheme, useThemedStyles } from '../../theme';
 
 /**
  * NavigationMap Component
@@ -14,10 +14,13 @@ const NavigationMap = ({
   destination,
   driverLocation,
   tripStatus,
+  actionLabel,
   onNavigationPress,
   onStatusUpdate,
   style,
 }) => {
+  const { colors, isDark, mapStyle } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const mapRef = useRef(null);
   const [region, setRegion] = useState(null);
   const [route, setRoute] = useState([]);
@@ -25,9 +28,12 @@ const NavigationMap = ({
   const [distance, setDistance] = useState(null);
   const [isNavigating, setIsNavigating] = useState(false);
 
+  // Pickup is the destination until the passenger is onboard
+  const isHeadingToPickup = ['assigned', 'en_route_pickup', 'arrived_pickup'].includes(tripStatus);
+
   // Determine current destination based on trip status
   const getCurrentDestination = () => {
-    if (tripStatus === 'en_route_to_pickup' || tripStatus === 'arrived_at_pickup') {
+    if (isHeadingToPickup) {
       return pickup;
     }
     return destination;
@@ -128,7 +134,7 @@ const NavigationMap = ({
     if (!currentDestination) return;
 
     const { latitude, longitude } = currentDestination;
-    const destination_name = tripStatus === 'en_route_to_pickup' ? 'Pickup Location' : 'Destination';
+    const destination_name = isHeadingToPickup ? 'Pickup Location' : 'Destination';
     
     Alert.alert(
       'Open Navigation',
@@ -165,23 +171,35 @@ const NavigationMap = ({
   // Get navigation instructions based on status
   const getNavigationInstructions = () => {
     switch (tripStatus) {
-      case 'en_route_to_pickup':
+      case 'assigned':
+        return {
+          title: 'Trip Assigned',
+          subtitle: 'Head to the pickup location',
+          buttonText: 'Start Driving to Pickup',
+        };
+      case 'en_route_pickup':
         return {
           title: 'Navigate to Pickup',
           subtitle: 'Drive to passenger location',
           buttonText: 'Arrived at Pickup',
         };
-      case 'arrived_at_pickup':
+      case 'arrived_pickup':
         return {
           title: 'At Pickup Location',
           subtitle: 'Waiting for passenger',
-          buttonText: 'Start Trip',
+          buttonText: 'Passenger Onboard',
         };
       case 'passenger_onboard':
+        return {
+          title: 'Passenger Onboard',
+          subtitle: 'Ready to start the trip',
+          buttonText: 'Start Trip',
+        };
+      case 'en_route_dropoff':
         return {
           title: 'Navigate to Destination',
           subtitle: 'Passenger onboard',
-          buttonText: 'Arrived at Destination',
+          buttonText: 'Complete Trip',
         };
       default:
         return {
@@ -193,6 +211,7 @@ const NavigationMap = ({
   };
 
   const instructions = getNavigationInstructions();
+  const statusButtonText = actionLabel !== undefined ? actionLabel : instructions.buttonText;
 
   return (
     <View style={[styles.container, style]}>
@@ -200,6 +219,8 @@ const NavigationMap = ({
         ref={mapRef}
         style={styles.map}
         provider={PROVIDER_GOOGLE}
+        customMapStyle={mapStyle}
+        userInterfaceStyle={isDark ? 'dark' : 'light'}
         initialRegion={region}
         showsUserLocation={true}
         showsMyLocationButton={false}
@@ -231,15 +252,15 @@ const NavigationMap = ({
               latitude: currentDestination.latitude,
               longitude: currentDestination.longitude,
             }}
-            title={tripStatus === 'en_route_to_pickup' ? 'Pickup' : 'Destination'}
+            title={isHeadingToPickup ? 'Pickup' : 'Destination'}
             description={currentDestination.address}
           >
             <View style={[
               styles.destinationMarker,
-              { backgroundColor: tripStatus === 'en_route_to_pickup' ? colors.success : colors.danger }
+              { backgroundColor: isHeadingToPickup ? colors.success : colors.danger }
             ]}>
               <Ionicons 
-                name={tripStatus === 'en_route_to_pickup' ? 'person' : 'flag'} 
+                name={isHeadingToPickup ? 'person' : 'flag'} 
                 size={20} 
                 color={colors.white} 
               />
@@ -287,19 +308,21 @@ const NavigationMap = ({
             style={styles.navButton}
           />
           
-          <Button
-            title={instructions.buttonText}
-            variant="success"
-            onPress={handleArrivedPress}
-            style={styles.statusButton}
-          />
+          {statusButtonText && (
+            <Button
+              title={statusButtonText}
+              variant="success"
+              onPress={handleArrivedPress}
+              style={styles.statusButton}
+            />
+          )}
         </View>
       </View>
     </View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
   },
@@ -318,7 +341,7 @@ const styles = StyleSheet.create({
   },
 
   instructionCard: {
-    backgroundColor: colors.white,
+    backgroundColor: colors.surface,
     borderRadius: 12,
     padding: spacing.md,
     marginBottom: spacing.md,
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, Dimensions } from 'react-native';
 import MapView, { Marker, Circle, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
-import { colors, spacing } from '../../theme';
+import { spacing, useTheme, useThemedStyles } from '../../theme';
 import { calculateDistance, formatDistance } from './mapUtils';
 
 const { width } = Dimensions.get('window');
@@ -19,6 +19,8 @@ const RideRequestMap = ({
   searchRadius = 5, // km
   style,
 }) => {
+  const { colors, isDark, mapStyle } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const mapRef = useRef(null);
   const [region, setRegion] = useState(null);
 
@@ -86,6 +88,8 @@ const RideRequestMap = ({
           ref={mapRef}
           style={styles.map}
           provider={PROVIDER_GOOGLE}
+          customMapStyle={mapStyle}
+          userInterfaceStyle={isDark ? 'dark' : 'light'}
           initialRegion={region}
           showsUserLocation={true}
           showsMyLocationButton={true}
@@ -186,7 +190,7 @@ const RideRequestMap = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
   },
@@ -1,4 +1,5 @@
 export { default as DriverMap } from './DriverMap';
 export { default as NavigationMap } from './NavigationMap';
 export { default as RideRequestMap } from './RideRequestMap';
+export { default as EarningsHeatmap } from './EarningsHeatmap';
 export * from './mapUtils';
\ No newline at end of file
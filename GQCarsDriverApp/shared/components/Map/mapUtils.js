@@ -248,6 +248,37 @@ export const decodePolyline = (encoded) => {
   return coordinates;
 };
 
+/**
+ * Encode coordinates as a Google polyline (inverse of decodePolyline)
+ * @param {Array} coordinates - Array of {latitude, longitude} objects
+ * @returns {string} Encoded polyline string
+ */
+export const encodePolyline = (coordinates) => {
+  let encoded = '';
+  let prevLat = 0;
+  let prevLng = 0;
+
+  const encodeValue = (value) => {
+    let current = value < 0 ? ~(value << 1) : (value << 1);
+    let chunk = '';
+    while (current >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (current & 0x1f)) + 63);
+      current >>= 5;
+    }
+    return chunk + String.fromCharCode(current + 63);
+  };
+
+  (coordinates || []).forEach(coord => {
+    const lat = Math.round(coord.latitude * 1e5);
+    const lng = Math.round(coord.longitude * 1e5);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  });
+
+  return encoded;
+};
+
 /**
  * Get formatted address from coordinates using reverse geocoding
  * @param {number} latitude - Latitude
@@ -1,6 +1,6 @@
 import React from 'react';
 import { TouchableOpacity, Text, StyleSheet } from 'react-native';
-import { colors, spacing, typography } from '../../theme';
+import { spacing, typography, useThemedStyles } from '../../theme';
 
 const Button = ({ 
   title, 
@@ -11,6 +11,7 @@ const Button = ({
   style,
   textStyle 
 }) => {
+  const styles = useThemedStyles(createStyles);
   const buttonStyles = [
     styles.base,
     styles[variant],
@@ -39,7 +40,7 @@ const Button = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   base: {
     borderRadius: 8,
     alignItems: 'center',
@@ -1,8 +1,9 @@
 import React from 'react';
 import { View, StyleSheet } from 'react-native';
-import { colors, spacing } from '../../theme';
+import { spacing, useThemedStyles } from '../../theme';
 
 const Card = ({ children, style, padding = 'md' }) => {
+  const styles = useThemedStyles(createStyles);
   return (
     <View style={[styles.card, styles[padding], style]}>
       {children}
@@ -10,7 +11,7 @@ const Card = ({ children, style, padding = 'md' }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   card: {
     backgroundColor: colors.surface,
     borderRadius: 12,
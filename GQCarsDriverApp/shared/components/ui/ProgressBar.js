@@ -0,0 +1,31 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { useTheme, useThemedStyles } from '../../theme';
+
+const ProgressBar = ({ progress = 0, color, height = 8, style }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const percent = Math.round(Math.min(1, Math.max(0, progress)) * 100);
+
+  return (
+    <View style={[styles.track, { height, borderRadius: height / 2 }, style]}>
+      <View style={[
+        styles.fill,
+        { width: `${percent}%`, borderRadius: height / 2, backgroundColor: color || colors.primary }
+      ]} />
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  track: {
+    backgroundColor: colors.divider,
+    overflow: 'hidden',
+  },
+  
+  fill: {
+    height: '100%',
+  },
+});
+
+export default ProgressBar;
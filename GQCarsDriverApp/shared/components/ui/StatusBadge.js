@@ -1,8 +1,10 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
-import { colors, spacing, typography } from '../../theme';
+import { spacing, typography, useTheme, useThemedStyles } from '../../theme';
 
 const StatusBadge = ({ status, text, size = 'medium' }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const getStatusColor = () => {
     switch (status) {
       case 'online':
@@ -31,7 +33,7 @@ const StatusBadge = ({ status, text, size = 'medium' }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   badge: {
     borderRadius: 12,
     alignItems: 'center',
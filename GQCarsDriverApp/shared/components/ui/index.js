@@ -1,3 +1,4 @@
 export { default as Button } from './Button';
 export { default as Card } from './Card';
-export { default as StatusBadge } from './StatusBadge';
\ No newline at end of file
+export { default as StatusBadge } from './StatusBadge';
+export { default as ProgressBar } from './ProgressBar';
\ No newline at end of file
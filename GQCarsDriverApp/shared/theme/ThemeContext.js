@@ -0,0 +1,101 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import { lightColors, darkColors } from './colors';
+import { lightMapStyle, darkMapStyle } from './mapStyles';
+
+/**
+ * Theme Provider
+ * Picks the light or dark palette from the driver's settings:
+ * `themeMode` is 'light', 'dark' or 'system' (follow the device), and
+ * `autoNightMode` switches to dark between NIGHT_START_HOUR and
+ * NIGHT_END_HOUR local time whatever the mode.
+ */
+
+export const THEME_MODE = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  SYSTEM: 'system'
+};
+
+const NIGHT_START_HOUR = 19;
+const NIGHT_END_HOUR = 7;
+const NIGHT_CHECK_INTERVAL_MS = 60000;
+
+const buildTheme = (scheme, mode) => ({
+  mode,
+  scheme,
+  isDark: scheme === 'dark',
+  colors: scheme === 'dark' ? darkColors : lightColors,
+  mapStyle: scheme === 'dark' ? darkMapStyle : lightMapStyle
+});
+
+const ThemeContext = createContext(buildTheme('light', THEME_MODE.SYSTEM));
+
+/**
+ * Check whether a time falls in the automatic night window
+ * @param {Date} date - Local time to check
+ * @returns {boolean} True between NIGHT_START_HOUR and NIGHT_END_HOUR
+ */
+export const isNightTime = (date = new Date()) => {
+  const hour = date.getHours();
+  return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+};
+
+/**
+ * Work out which color scheme to show
+ * @param {Object} settings - Driver settings ({ themeMode, autoNightMode })
+ * @param {string} systemScheme - Device scheme from useColorScheme ('light', 'dark' or null)
+ * @param {Date} now - Current time
+ * @returns {string} 'light' or 'dark'
+ */
+export const resolveColorScheme = (settings, systemScheme, now = new Date()) => {
+  if (settings?.autoNightMode && isNightTime(now)) {
+    return 'dark';
+  }
+
+  switch (settings?.themeMode) {
+    case THEME_MODE.LIGHT:
+      return 'light';
+    case THEME_MODE.DARK:
+      return 'dark';
+    default:
+      return systemScheme === 'dark' ? 'dark' : 'light';
+  }
+};
+
+// Theme provider component
+export function ThemeProvider({ settings, children }) {
+  const systemScheme = useColorScheme();
+  const [now, setNow] = useState(new Date());
+
+  // Re-check the clock so night mode switches without an app restart
+  useEffect(() => {
+    if (!settings?.autoNightMode) return;
+
+    const interval = setInterval(() => setNow(new Date()), NIGHT_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [settings?.autoNightMode]);
+
+  const scheme = resolveColorScheme(settings, systemScheme, now);
+  const mode = settings?.themeMode || THEME_MODE.SYSTEM;
+  const theme = useMemo(() => buildTheme(scheme, mode), [scheme, mode]);
+
+  return (
+    <ThemeContext.Provider value={theme}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+// Custom hook to use the current theme
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+// Build a component's styles from the current palette, rebuilt only when it changes
+export function useThemedStyles(createStyles) {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [colors, createStyles]);
+}
+
+export default ThemeContext;
@@ -1,4 +1,4 @@
-export const colors = {
+export const lightColors = {
   primary: '#007AFF',
   secondary: '#5856D6',
   success: '#34C759',
@@ -8,6 +8,8 @@ export const colors = {
   background: '#F2F2F7',
   surface: '#FFFFFF',
   card: '#FFFFFF',
+  dangerBackground: '#FFF5F5',
+  warningBackground: '#FFF9E6',
   
   text: {
     primary: '#000000',
@@ -19,10 +21,50 @@ export const colors = {
   border: '#C6C6C8',
   divider: '#E5E5E7',
   
+  white: '#FFFFFF',
+  black: '#000000',
+  
   driver: {
     online: '#34C759',
     offline: '#8E8E93',
     busy: '#FF9500',
     earnings: '#007AFF'
   }
-};
\ No newline at end of file
+};
+
+export const darkColors = {
+  primary: '#0A84FF',
+  secondary: '#5E5CE6',
+  success: '#30D158',
+  warning: '#FF9F0A',
+  danger: '#FF453A',
+  
+  background: '#000000',
+  surface: '#1C1C1E',
+  card: '#1C1C1E',
+  dangerBackground: '#3A1D1D',
+  warningBackground: '#3A2E14',
+  
+  text: {
+    primary: '#FFFFFF',
+    secondary: '#EBEBF5',
+    tertiary: '#8E8E93',
+    inverse: '#FFFFFF'
+  },
+  
+  border: '#38383A',
+  divider: '#2C2C2E',
+  
+  white: '#FFFFFF',
+  black: '#000000',
+  
+  driver: {
+    online: '#30D158',
+    offline: '#8E8E93',
+    busy: '#FF9F0A',
+    earnings: '#0A84FF'
+  }
+};
+
+// Light palette for code outside the ThemeProvider
+export const colors = lightColors;
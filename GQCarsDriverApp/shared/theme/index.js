@@ -1,3 +1,12 @@
-export { colors } from './colors';
+export { colors, lightColors, darkColors } from './colors';
 export { spacing } from './spacing';
-export { typography } from './typography';
\ No newline at end of file
+export { typography } from './typography';
+export { lightMapStyle, darkMapStyle } from './mapStyles';
+export {
+  THEME_MODE,
+  ThemeProvider,
+  useTheme,
+  useThemedStyles,
+  isNightTime,
+  resolveColorScheme
+} from './ThemeContext';